@@ -32,6 +32,11 @@ const routes = [
     name: 'cache',
     component: () => import('@/views/CacheView.vue'),
   },
+  {
+    path: '/secrets',
+    name: 'secrets',
+    component: () => import('@/views/SecretsView.vue'),
+  },
   {
     path: '/crons',
     name: 'crons',
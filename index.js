@@ -9,6 +9,7 @@ const fs = require('fs');
 // Import utilities
 const { parseFileSize, formatFileSize } = require('./src/utils/parseUtils');
 const { ensureDirs } = require('./src/utils/fileUtils');
+const { loadSandboxPolicies } = require('./src/utils/permissionUtils');
 
 // Import services
 const CacheService = require('./src/services/cacheService');
@@ -16,11 +17,14 @@ const DependencyService = require('./src/services/dependencyService');
 const ExecutionService = require('./src/services/executionService');
 const DatabaseService = require('./src/services/databaseService');
 const JobService = require('./src/services/jobService');
+const SecretService = require('./src/services/secretService');
 const MigrationService = require('./src/services/migrationService');
+const ExecutionQueue = require('./src/services/executionQueue');
 
 // Import controllers and middleware
 const ExecutionController = require('./src/controllers/executionController');
 const DashboardController = require('./src/controllers/dashboardController');
+const SecretController = require('./src/controllers/secretController');
 const authMiddleware = require('./src/middleware/auth');
 const setupRoutes = require('./src/routes');
 const setupDashboardRoutes = require('./src/routes/dashboardRoutes');
@@ -31,6 +35,8 @@ const DATA_DIR = process.env.DATA_DIR || './data';
 const EXECUTION_DIR = process.env.EXECUTION_DIR || path.join(DATA_DIR, 'executions');
 const CACHE_DIR = process.env.CACHE_DIR || path.join(DATA_DIR, 'cache');
 const SECRET_KEY = process.env.SECRET_KEY || '';
+// Key the secrets store encryption key is derived from; the store is disabled without it
+const SECRETS_MASTER_KEY = process.env.SECRETS_MASTER_KEY || '';
 const DEFAULT_TIMEOUT = parseInt(process.env.DEFAULT_TIMEOUT || '60000', 10); // 60 seconds default
 const CACHE_SIZE_LIMIT = parseFileSize(process.env.CACHE_SIZE_LIMIT || '1GB');
 
@@ -60,6 +66,35 @@ const DEPENDENCY_VERSION_STRATEGY =
   process.env.DEPENDENCY_VERSION_STRATEGY || 'update';
 const DASHBOARD_ENABLED =
   process.env.DASHBOARD_ENABLED !== 'false'; // enabled by default
+// 'pool' (default) reuses pre-started workers, 'spawn' starts a fresh process per execution
+const EXECUTION_MODE =
+  process.env.EXECUTION_MODE === 'spawn' ? 'spawn' : 'pool';
+const WORKER_POOL_MIN_SIZE = parseInt(process.env.WORKER_POOL_MIN_SIZE || '1', 10);
+const WORKER_POOL_MAX_SIZE = parseInt(process.env.WORKER_POOL_MAX_SIZE || '4', 10);
+const WORKER_MAX_EXECUTIONS = parseInt(process.env.WORKER_MAX_EXECUTIONS || '100', 10);
+// Per-execution resource limits (0 = unlimited); requests may override them up to the MAX values
+const EXECUTION_MEMORY_LIMIT_MB = parseInt(process.env.EXECUTION_MEMORY_LIMIT_MB || '1024', 10);
+const EXECUTION_MEMORY_LIMIT_MAX_MB = parseInt(process.env.EXECUTION_MEMORY_LIMIT_MAX_MB || '4096', 10);
+const EXECUTION_CPU_TIME_LIMIT_MS = parseInt(process.env.EXECUTION_CPU_TIME_LIMIT_MS || '0', 10);
+const EXECUTION_CPU_TIME_LIMIT_MAX_MS = parseInt(process.env.EXECUTION_CPU_TIME_LIMIT_MAX_MS || '0', 10);
+// Node permission model sandbox; per-cache-key overrides come from SANDBOX_POLICIES_FILE
+const SANDBOX_ENABLED = process.env.SANDBOX_ENABLED === 'true';
+const SANDBOX_ALLOW_CHILD_PROCESS = process.env.SANDBOX_ALLOW_CHILD_PROCESS === 'true';
+const SANDBOX_ALLOW_WORKERS = process.env.SANDBOX_ALLOW_WORKERS === 'true';
+const SANDBOX_POLICIES_FILE = process.env.SANDBOX_POLICIES_FILE || '';
+// Executions running at once (0 = unlimited); further executions wait in a FIFO queue
+// of up to MAX_QUEUE_LENGTH jobs (0 = unlimited) before requests are rejected with 429
+const MAX_CONCURRENT_EXECUTIONS = parseInt(process.env.MAX_CONCURRENT_EXECUTIONS || '0', 10);
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH || '0', 10);
+// Size limits for files written to the output/ directory and returned as binary attachments
+const OUTPUT_FILE_SIZE_LIMIT = parseFileSize(process.env.OUTPUT_FILE_SIZE_LIMIT || '10MB');
+const OUTPUT_TOTAL_SIZE_LIMIT = parseFileSize(process.env.OUTPUT_TOTAL_SIZE_LIMIT || '25MB');
+// Size limit of a file uploaded to /execute as multipart/form-data
+const UPLOAD_FILE_SIZE_LIMIT = parseFileSize(process.env.UPLOAD_FILE_SIZE_LIMIT || '1GB');
+// Console and result caps; output over them is truncated instead of buffered and stored in full
+const CONSOLE_ENTRY_LIMIT = parseInt(process.env.CONSOLE_ENTRY_LIMIT || '10000', 10);
+const CONSOLE_SIZE_LIMIT = parseFileSize(process.env.CONSOLE_SIZE_LIMIT || '5MB');
+const RESULT_SIZE_LIMIT = parseFileSize(process.env.RESULT_SIZE_LIMIT || '50MB');
 
 // Initialize express app
 const app = express();
@@ -90,12 +125,48 @@ const dependencyService = new DependencyService(
 const executionService = new ExecutionService(
   EXECUTION_DIR,
   DEFAULT_TIMEOUT,
-  PRUNE_MAX_COUNT
+  PRUNE_MAX_COUNT,
+  {
+    mode: EXECUTION_MODE,
+    pool: {
+      minSize: WORKER_POOL_MIN_SIZE,
+      maxSize: WORKER_POOL_MAX_SIZE,
+      maxExecutionsPerWorker: WORKER_MAX_EXECUTIONS,
+    },
+    limits: {
+      memoryLimitMb: EXECUTION_MEMORY_LIMIT_MB,
+      maxMemoryLimitMb: EXECUTION_MEMORY_LIMIT_MAX_MB,
+      cpuTimeMs: EXECUTION_CPU_TIME_LIMIT_MS,
+      maxCpuTimeMs: EXECUTION_CPU_TIME_LIMIT_MAX_MS,
+    },
+    sandbox: {
+      defaults: {
+        enabled: SANDBOX_ENABLED,
+        allowChildProcess: SANDBOX_ALLOW_CHILD_PROCESS,
+        allowWorker: SANDBOX_ALLOW_WORKERS,
+      },
+      cacheKeys: loadSandboxPolicies(SANDBOX_POLICIES_FILE),
+    },
+    outputLimits: {
+      maxFileSize: OUTPUT_FILE_SIZE_LIMIT,
+      maxTotalSize: OUTPUT_TOTAL_SIZE_LIMIT,
+    },
+    captureLimits: {
+      maxConsoleEntries: CONSOLE_ENTRY_LIMIT,
+      maxConsoleBytes: CONSOLE_SIZE_LIMIT,
+      maxResultBytes: RESULT_SIZE_LIMIT,
+    },
+  }
 );
 
 // Initialize database and job service
 const databaseService = new DatabaseService(DATA_DIR);
 const jobService = new JobService(databaseService, PRUNE_MAX_COUNT);
+const secretService = new SecretService(databaseService, SECRETS_MASTER_KEY);
+const executionQueue = new ExecutionQueue({
+  maxConcurrent: MAX_CONCURRENT_EXECUTIONS,
+  maxQueueLength: MAX_QUEUE_LENGTH,
+});
 
 // Initialize controllers
 const pkg = require('./package.json');
@@ -105,11 +176,12 @@ const executionController = new ExecutionController(
   cacheService,
   CACHE_DIR,
   jobService,
-  { version: pkg.version }
+  { version: pkg.version, executionQueue, uploadFileSizeLimit: UPLOAD_FILE_SIZE_LIMIT, secretService }
 );
+const secretController = new SecretController(secretService);
 
 // Setup routes
-const router = setupRoutes(app, executionController);
+const router = setupRoutes(app, executionController, secretController);
 app.use('/', router);
 
 // Dashboard setup
@@ -128,11 +200,32 @@ if (DASHBOARD_ENABLED) {
       dashboardEnabled: DASHBOARD_ENABLED,
       dependencyVersionStrategy: DEPENDENCY_VERSION_STRATEGY,
       dataDir: DATA_DIR,
+      executionMode: EXECUTION_MODE,
+      workerPoolMinSize: WORKER_POOL_MIN_SIZE,
+      workerPoolMaxSize: WORKER_POOL_MAX_SIZE,
+      workerMaxExecutions: WORKER_MAX_EXECUTIONS,
+      memoryLimitMb: EXECUTION_MEMORY_LIMIT_MB,
+      memoryLimitMaxMb: EXECUTION_MEMORY_LIMIT_MAX_MB,
+      cpuTimeLimitMs: EXECUTION_CPU_TIME_LIMIT_MS,
+      cpuTimeLimitMaxMs: EXECUTION_CPU_TIME_LIMIT_MAX_MS,
+      sandboxEnabled: SANDBOX_ENABLED,
+      sandboxAllowChildProcess: SANDBOX_ALLOW_CHILD_PROCESS,
+      sandboxAllowWorkers: SANDBOX_ALLOW_WORKERS,
+      sandboxPoliciesFile: SANDBOX_POLICIES_FILE,
+      maxConcurrentExecutions: MAX_CONCURRENT_EXECUTIONS,
+      maxQueueLength: MAX_QUEUE_LENGTH,
+      outputFileSizeLimit: OUTPUT_FILE_SIZE_LIMIT,
+      outputTotalSizeLimit: OUTPUT_TOTAL_SIZE_LIMIT,
+      uploadFileSizeLimit: UPLOAD_FILE_SIZE_LIMIT,
+      consoleEntryLimit: CONSOLE_ENTRY_LIMIT,
+      consoleSizeLimit: CONSOLE_SIZE_LIMIT,
+      resultSizeLimit: RESULT_SIZE_LIMIT,
+      secretsEnabled: secretService.isEnabled(),
     }
   );
 
   // Mount dashboard API routes
-  const dashboardRouter = setupDashboardRoutes(dashboardController);
+  const dashboardRouter = setupDashboardRoutes(dashboardController, secretController);
   app.use('/api/dashboard', dashboardRouter);
 
   // Swagger UI for API docs
@@ -220,7 +313,7 @@ async function start() {
     // Initialize database
     databaseService.initialize();
 
-    // Recover interrupted jobs from previous run
+    // Recover interrupted jobs from previous run (queued jobs are resumed below)
     jobService.recoverInterruptedJobs();
 
     // Import legacy executions
@@ -230,17 +323,45 @@ async function start() {
     // Perform initial cache cleanup on startup
     await cacheService.cleanupCache();
 
+    // Pre-start pooled workers
+    executionService.initialize();
+
+    // Resume jobs still queued when the previous run stopped
+    executionController.resumeQueuedJobs();
+
     server = app.listen(PORT, () => {
       console.log(`CodeHarbor Executor running on port ${PORT}`);
       console.log(`Default execution timeout: ${DEFAULT_TIMEOUT}ms`);
+      console.log(
+        `Memory limit: ${EXECUTION_MEMORY_LIMIT_MB || 'unlimited'} MB (max ${EXECUTION_MEMORY_LIMIT_MAX_MB || 'unlimited'}), ` +
+          `CPU time limit: ${EXECUTION_CPU_TIME_LIMIT_MS || 'unlimited'} ms (max ${EXECUTION_CPU_TIME_LIMIT_MAX_MS || 'unlimited'})`
+      );
       console.log(`Authentication: ${SECRET_KEY ? 'enabled' : 'disabled'}`);
+      console.log(`Secrets store: ${SECRETS_MASTER_KEY ? 'enabled' : 'disabled (SECRETS_MASTER_KEY not set)'}`);
       console.log(`Cache size limit: ${formatFileSize(CACHE_SIZE_LIMIT)}`);
+      console.log(
+        `Output file size limit: ${formatFileSize(OUTPUT_FILE_SIZE_LIMIT)} (total ${formatFileSize(OUTPUT_TOTAL_SIZE_LIMIT)})`
+      );
+      console.log(`Upload file size limit: ${formatFileSize(UPLOAD_FILE_SIZE_LIMIT)}`);
+      console.log(
+        `Console limit: ${CONSOLE_ENTRY_LIMIT || 'unlimited'} entries, ${formatFileSize(CONSOLE_SIZE_LIMIT)}; ` +
+          `result size limit: ${formatFileSize(RESULT_SIZE_LIMIT)}`
+      );
       console.log(`Data directory: ${DATA_DIR}`);
       console.log(`Pruning max count: ${PRUNE_MAX_COUNT}`);
       console.log(
         `Dependency version strategy: ${DEPENDENCY_VERSION_STRATEGY}`
       );
       console.log(`Dashboard: ${DASHBOARD_ENABLED ? 'enabled' : 'disabled'}`);
+      console.log(`Sandbox: ${SANDBOX_ENABLED ? 'enabled' : 'disabled'}`);
+      console.log(
+        `Concurrent executions: ${MAX_CONCURRENT_EXECUTIONS || 'unlimited'} (queue length ${MAX_QUEUE_LENGTH || 'unlimited'})`
+      );
+      console.log(
+        EXECUTION_MODE === 'pool'
+          ? `Execution mode: pool (${WORKER_POOL_MIN_SIZE}-${WORKER_POOL_MAX_SIZE} workers, recycled after ${WORKER_MAX_EXECUTIONS} executions)`
+          : 'Execution mode: spawn'
+      );
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -257,16 +378,19 @@ function shutdown() {
   }, 10000);
   forceTimeout.unref();
   if (server) {
-    server.close(() => {
+    server.close(async () => {
       clearTimeout(forceTimeout);
+      await executionService.shutdown();
       databaseService.close();
       console.log('Server closed');
       process.exit(0);
     });
   } else {
     clearTimeout(forceTimeout);
-    databaseService.close();
-    process.exit(0);
+    executionService.shutdown().finally(() => {
+      databaseService.close();
+      process.exit(0);
+    });
   }
 }
 
@@ -3,6 +3,8 @@ const { generateToken } = require('../middleware/dashboardAuth');
 const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { resolveDeterministicOptions, outputsMatch } = require('../utils/deterministicUtils');
+const { validateExecutionRequest, toJobCompletion } = require('../utils/executionRequestUtils');
 
 class DashboardController {
   constructor(jobService, cacheService, executionController, config = {}) {
@@ -61,9 +63,9 @@ class DashboardController {
 
   async getJobs(req, res) {
     try {
-      const { status, cacheKey, search, sortBy, sortOrder, page, limit } = req.query;
+      const { status, errorType, cacheKey, search, sortBy, sortOrder, page, limit } = req.query;
       const result = this.jobService.getJobs({
-        status, cacheKey, search, sortBy, sortOrder,
+        status, errorType, cacheKey, search, sortBy, sortOrder,
         page: page ? parseInt(page, 10) : 1,
         limit: limit ? Math.min(parseInt(limit, 10), 100) : 20,
       });
@@ -77,7 +79,7 @@ class DashboardController {
     try {
       const job = this.jobService.getJob(req.params.jobId);
       if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
-      return res.json(job);
+      return res.json({ ...job, attempts: this.jobService.getJobAttempts(job.job_id) });
     } catch (error) {
       return res.status(500).json({ success: false, error: error.message });
     }
@@ -124,17 +126,24 @@ class DashboardController {
 
   async submitJob(req, res) {
     try {
-      const { code, items, cacheKey, options } = req.body;
-      if (!code) return res.status(400).json({ success: false, error: 'Code is required' });
-      if (!cacheKey) return res.status(400).json({ success: false, error: 'Cache key is required' });
+      const { items, cacheKey, options, files, entry } = req.body;
+      const invalid = validateExecutionRequest({ code: req.body.code, files, entry, cacheKey, options });
+      if (invalid) return res.status(invalid.status).json({ success: false, error: invalid.error });
+      if (this.executionController.executionQueue.isFull()) {
+        return res.status(429).json({ success: false, error: 'Execution queue is full, try again later' });
+      }
 
+      // A multi-file bundle runs the function exported by its entry file
+      const code = files ? files[entry] : req.body.code;
+      // The seed and time of a deterministic execution are stored with the job to replay it
+      const jobOptions = options ? resolveDeterministicOptions(options) : options;
       const jobId = this.jobService.createJob({
-        code, items, cacheKey, options,
+        code, files, entry, items, cacheKey, options: jobOptions,
         metadata: { ip: req.ip, userAgent: req.headers['user-agent'], source: 'dashboard' }
       });
 
       // Execute async with error handling
-      this._executeJobAsync(jobId, { code, items: items || [], cacheKey, options: options || {} })
+      this._executeJobAsync(jobId, { code, files, entry, items: items || [], cacheKey, options: jobOptions || {} })
         .catch(err => console.error('Unhandled error in async job execution:', err));
 
       return res.json({ success: true, jobId });
@@ -143,46 +152,79 @@ class DashboardController {
     }
   }
 
-  async _executeJobAsync(jobId, { code, items, cacheKey, options }) {
+  async _executeJobAsync(jobId, { code, files, entry, items, cacheKey, options }) {
     try {
-      this.jobService.updateJobStatus(jobId, 'running');
-
+      // The job stays pending until executeCodeInternal gets an execution slot
       const result = await this.executionController.executeCodeInternal({
-        code, items, cacheKey, options
+        code, files, entry, items, cacheKey, options, jobId
       });
 
-      if (result.success) {
-        this.jobService.completeJob(jobId, {
-          status: 'success',
-          resultData: result.data,
-          consoleOutput: result.console,
-          executionTimeMs: result.debug?.execution?.totalResponseTimeMs ? parseFloat(result.debug.execution.totalResponseTimeMs) : null,
-          depInstallTimeMs: result.debug?.execution?.dependencyInstallTimeMs ? parseFloat(result.debug.execution.dependencyInstallTimeMs) : null,
-          usedCache: result.debug?.cache?.usedCache || false,
-          dependencies: result.debug?.execution?.installedDependencies || null,
-        });
-      } else {
-        this.jobService.completeJob(jobId, {
-          status: 'error',
-          consoleOutput: result.console,
-          errorMessage: result.error,
-          errorStack: result.stack,
-          executionTimeMs: result.debug?.execution?.totalResponseTimeMs ? parseFloat(result.debug.execution.totalResponseTimeMs) : null,
-          depInstallTimeMs: result.debug?.execution?.dependencyInstallTimeMs ? parseFloat(result.debug.execution.dependencyInstallTimeMs) : null,
-          usedCache: result.debug?.cache?.usedCache || false,
+      this.jobService.completeJob(jobId, toJobCompletion(result));
+    } catch (error) {
+      this.jobService.completeJob(jobId, toJobCompletion({
+        success: false,
+        error: error.error || error.message || 'Unknown error',
+        stack: error.stack || null,
+        console: error.console || [],
+      }));
+    }
+  }
+
+  /**
+   * Run a deterministic job again with the same code, items, options (seed and
+   * time) and installed dependency versions, as a new job, and report whether
+   * its output matches the original one
+   */
+  async replayJob(req, res) {
+    try {
+      const job = this.jobService.getJob(req.params.jobId);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+
+      const options = job.options ? JSON.parse(job.options) : {};
+      if (!options.deterministic) {
+        return res.status(400).json({ success: false, error: 'Only jobs run with options.deterministic can be replayed' });
+      }
+      if (job.streamed) {
+        return res.status(400).json({ success: false, error: 'Streamed jobs keep only a sample of their items and cannot be replayed' });
+      }
+      if (job.status === 'pending' || job.status === 'running') {
+        return res.status(409).json({ success: false, error: `Job is ${job.status}` });
+      }
+      if (this.executionController.executionQueue.isFull()) {
+        return res.status(429).json({ success: false, error: 'Execution queue is full, try again later' });
+      }
+
+      const items = job.items != null ? JSON.parse(job.items) : [];
+      const files = job.files ? JSON.parse(job.files) : undefined;
+      const entry = job.entry || undefined;
+      const installed = job.dependencies ? JSON.parse(job.dependencies) : {};
+      const dependencyVersions = Object.fromEntries(
+        Object.entries(installed).filter(([, version]) => version !== 'unknown')
+      );
+      const replayJobId = this.jobService.createJob({
+        code: job.code, files, entry, items, cacheKey: job.cache_key, options,
+        metadata: { ip: req.ip, userAgent: req.headers['user-agent'], source: 'replay', replayOf: job.job_id }
+      });
+
+      let result;
+      try {
+        result = await this.executionController.executeCodeInternal({
+          code: job.code, files, entry, items, cacheKey: job.cache_key, options, jobId: replayJobId, dependencyVersions
         });
+      } catch (error) {
+        result = { success: false, error: error.error || error.message || 'Unknown error', console: [] };
       }
-    } catch (error) {
-      this.jobService.completeJob(jobId, {
-        status: 'error',
-        errorMessage: error.error || error.message || 'Unknown error',
-        errorStack: error.stack || null,
-        consoleOutput: error.console || [],
-        executionTimeMs: null,
-        depInstallTimeMs: null,
-        usedCache: false,
-        dependencies: null,
+      this.jobService.completeJob(replayJobId, toJobCompletion(result));
+
+      return res.json({
+        success: true,
+        jobId: replayJobId,
+        replayOf: job.job_id,
+        matches: outputsMatch(job, result),
+        result: result.success ? { success: true, data: result.data } : { success: false, error: result.error },
       });
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
     }
   }
 
@@ -196,6 +238,14 @@ class DashboardController {
     }
   }
 
+  async cancelJob(req, res) {
+    try {
+      return await this.executionController.cancelJob(req, res);
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
   async deleteJob(req, res) {
     try {
       const deleted = this.jobService.deleteJob(req.params.jobId);
@@ -214,6 +264,7 @@ class DashboardController {
       return res.json({
         port: config.port,
         secretKey: !!config.secretKey,
+        secretsEnabled: !!config.secretsEnabled,
         defaultTimeout: config.defaultTimeout,
         cacheSizeLimit: config.cacheSizeLimit,
         cacheSizeLimitFormatted:
@@ -224,6 +275,41 @@ class DashboardController {
         dashboardEnabled: config.dashboardEnabled,
         dependencyVersionStrategy: config.dependencyVersionStrategy,
         dataDir: config.dataDir,
+        executionMode: config.executionMode,
+        workerPoolMinSize: config.workerPoolMinSize,
+        workerPoolMaxSize: config.workerPoolMaxSize,
+        workerMaxExecutions: config.workerMaxExecutions,
+        memoryLimitMb: config.memoryLimitMb,
+        memoryLimitMaxMb: config.memoryLimitMaxMb,
+        cpuTimeLimitMs: config.cpuTimeLimitMs,
+        cpuTimeLimitMaxMs: config.cpuTimeLimitMaxMs,
+        sandboxEnabled: config.sandboxEnabled,
+        sandboxAllowChildProcess: config.sandboxAllowChildProcess,
+        sandboxAllowWorkers: config.sandboxAllowWorkers,
+        sandboxPoliciesFile: config.sandboxPoliciesFile,
+        maxConcurrentExecutions: config.maxConcurrentExecutions,
+        maxQueueLength: config.maxQueueLength,
+        outputFileSizeLimitFormatted:
+          typeof config.outputFileSizeLimit === 'number'
+            ? formatFileSize(config.outputFileSizeLimit)
+            : null,
+        outputTotalSizeLimitFormatted:
+          typeof config.outputTotalSizeLimit === 'number'
+            ? formatFileSize(config.outputTotalSizeLimit)
+            : null,
+        uploadFileSizeLimitFormatted:
+          typeof config.uploadFileSizeLimit === 'number'
+            ? formatFileSize(config.uploadFileSizeLimit)
+            : null,
+        consoleEntryLimit: config.consoleEntryLimit,
+        consoleSizeLimitFormatted:
+          typeof config.consoleSizeLimit === 'number'
+            ? formatFileSize(config.consoleSizeLimit)
+            : null,
+        resultSizeLimitFormatted:
+          typeof config.resultSizeLimit === 'number'
+            ? formatFileSize(config.resultSizeLimit)
+            : null,
         nodeVersion: this._systemInfo.nodeVersion,
         pnpmVersion: this._systemInfo.pnpmVersion,
         version: this._systemInfo.version,
@@ -1,8 +1,27 @@
 const path = require('path');
 const os = require('os');
 const { performance } = require('perf_hooks');
+const { setTimeout: sleep } = require('timers/promises');
 const crypto = require('crypto');
 const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const { pathToFileURL } = require('url');
+const { resolveModuleType } = require('../utils/moduleUtils');
+const { transpileTypeScript } = require('../utils/typescriptUtils');
+const { createPositionMapper } = require('../utils/sourceMapUtils');
+const { isTypeScriptFile, getEmittedPath, createImportRewriter } = require('../utils/bundleUtils');
+const { parseErrorPosition, findSyntaxErrorPosition, createCodeFrame } = require('../utils/errorLocationUtils');
+const { getStreamFormat, startEventStream, waitForDrain } = require('../utils/streamUtils');
+const { isMultipartRequest, parseMultipartExecution } = require('../utils/multipartUtils');
+const { isNdjsonRequest, readNdjsonHeader, createLineCounter } = require('../utils/ndjsonUtils');
+const { redactSecrets } = require('../utils/secretUtils');
+const { resolveDeterministicOptions } = require('../utils/deterministicUtils');
+const { shouldRetry, retryDelay } = require('../utils/retryUtils');
+const { validateExecutionRequest, toJobCompletion } = require('../utils/executionRequestUtils');
+const ExecutionQueue = require('../services/executionQueue');
+
+// Items and results of a streamed execution kept with its job
+const STREAM_SAMPLE_SIZE = 10;
 
 class ExecutionController {
   constructor(dependencyService, executionService, cacheService, cacheDir, jobService, config = {}) {
@@ -11,6 +30,13 @@ class ExecutionController {
     this.cacheService = cacheService;
     this.cacheDir = cacheDir;
     this.jobService = jobService || null;
+    // Running executions by jobId: { abortController, console }
+    this.activeExecutions = new Map();
+    this.executionQueue = config.executionQueue || new ExecutionQueue();
+    // Maximum size in bytes of a file uploaded with a multipart request (0 = unlimited)
+    this.uploadFileSizeLimit = config.uploadFileSizeLimit || 0;
+    // Secrets store; its values are injected into executions and redacted from their output
+    this.secretService = config.secretService || null;
     this._version = config.version || require(path.join(__dirname, '../../package.json')).version;
   }
 
@@ -32,11 +58,19 @@ class ExecutionController {
   /**
    * Filter error stack to remove sensitive server information
    * @param {Error} error - The error object with stack trace
+   * @param {Object} [sourceMap] - Source map of transpiled code, used to report original positions
    * @returns {string} - Filtered stack trace
    */
-  filterErrorStack(error) {
+  filterErrorStack(error, sourceMap = null) {
     if (!error.stack) return 'Error: No stack trace available';
 
+    const mapPosition = sourceMap ? createPositionMapper(sourceMap) : null;
+    const toOriginalPosition = (line) =>
+      line.replace(/execution\.m?js:(\d+):(\d+)/, (match, lineNumber, column) => {
+        const original = mapPosition(Number(lineNumber), Number(column));
+        return original ? `execution.ts:${original.line}:${original.column}` : match;
+      });
+
     return error.stack
       .split('\n')
       .map((line, index) => {
@@ -46,12 +80,14 @@ class ExecutionController {
         }
 
         // Filter and clean stack trace lines
-        if (line.includes('execution.js') || line.includes('/node_modules/')) {
-          // Remove server paths before execution.js
-          if (line.includes('execution.js')) {
-            const execMatch = line.match(/(.+)\/execution\.js/);
+        const isExecutionLine = /execution\.m?js/.test(line);
+        if (isExecutionLine || line.includes('/node_modules/')) {
+          // Remove server paths (and file:// URLs of ES modules) before the execution file
+          if (isExecutionLine) {
+            const execMatch = line.match(/(.+)\/execution\.m?js/);
             if (execMatch) {
-              return line.replace(execMatch[1] + '/', '');
+              const cleaned = line.replace(execMatch[1] + '/', '');
+              return mapPosition ? toOriginalPosition(cleaned) : cleaned;
             }
           }
 
@@ -78,12 +114,107 @@ class ExecutionController {
       .join('\n');
   }
 
+  /**
+   * Report the location of a console entry logged from transpiled TypeScript
+   * at its position in the original source
+   * @param {Object} entry - Console entry
+   * @param {Function} [mapPosition] - Position mapper of the source map (see createPositionMapper)
+   */
+  _mapConsoleLocation(entry, mapPosition) {
+    const location = entry && entry.location;
+    if (!mapPosition || !location || !/^execution\.m?js$/.test(location.file)) return entry;
+
+    const original = mapPosition(location.line, location.column);
+    return original
+      ? { ...entry, location: { file: 'execution.ts', line: original.line, column: original.column } }
+      : entry;
+  }
+
+  /**
+   * Take the resource usage reported by the runtime off an execution payload:
+   * it is stored with the job and only returned in the debug block
+   */
+  _recordResourceUsage(payload, jobId, debugInfo) {
+    const { resourceUsage } = payload;
+    if (!resourceUsage) return;
+
+    delete payload.resourceUsage;
+    if (debugInfo) debugInfo.execution.resourceUsage = resourceUsage;
+    if (this.jobService && jobId) {
+      try {
+        this.jobService.recordResourceUsage(jobId, resourceUsage);
+      } catch (error) {
+        console.error('Failed to record resource usage:', error);
+      }
+    }
+  }
+
+  /**
+   * Locate the line of the submitted code an error points at: the first frame of
+   * the execution file in its stack (at its TypeScript position for transpiled
+   * code), or the syntax error Node reported without a position
+   * @param {Object} error - Failure payload ({ error, stack })
+   * @param {string} code - Submitted code
+   * @param {Function} [mapPosition] - Position mapper of the source map (see createPositionMapper)
+   * @returns {Object|null} - { file, line, column, codeFrame }
+   */
+  _locateError(error, code, mapPosition) {
+    let position = parseErrorPosition(error.stack) || parseErrorPosition(error.error);
+    if (position && mapPosition && position.file !== 'execution.ts') {
+      const original = mapPosition(position.line, position.column);
+      position = original ? { file: 'execution.ts', ...original } : null;
+    }
+    if (!position && !mapPosition && /^SyntaxError\b/.test(error.stack || '')) {
+      const syntaxError = findSyntaxErrorPosition(code);
+      position = syntaxError ? { file: 'execution.mjs', ...syntaxError } : null;
+    }
+    if (!position) return null;
+
+    const codeFrame = createCodeFrame(code, position.line, position.column);
+    return codeFrame ? { ...position, codeFrame } : null;
+  }
+
   /**
    * Core execution logic extracted for reuse by dashboard submitJob
-   * Returns the result object without writing to response
+   * Returns the result object without writing to response.
+   * onEvent(event, data) receives 'install' progress and 'console' entries as they happen.
+   * Executions started with a jobId can be stopped with cancelExecution(jobId).
+   * The execution waits in the execution queue (job status 'pending') until a slot is free.
+   * Failed results carry an `errorType`: timeout, killed_by_signal, memory_exceeded,
+   * output_limit_exceeded, invalid_output, user_error or dependency_install_failed, and an `errorLocation`
+   * when the error points at a line of the code.
+   * An executionDir already holding uploaded input files can be passed in.
+   * Secret values of the cache key are redacted from the console, errors and result.
+   * dependencyVersions (name -> version) installs those exact versions, as when replaying a job.
+   * A multi-file bundle passes its files (contents by path) and entry, with the entry's content as code.
+   * Streamed executions pass an itemStream of NDJSON items instead of items; onResult(line) then
+   * receives each result as an NDJSON line and the returned result carries no data.
+   * options.retry runs the code again after the failures it covers (see _runWithRetry).
    */
-  async executeCodeInternal({ code, items = [], cacheKey, options = {} }) {
+  async executeCodeInternal({
+    code,
+    files,
+    entry,
+    items = [],
+    itemStream,
+    onResult,
+    cacheKey,
+    options = {},
+    onEvent,
+    jobId,
+    executionDir: uploadDir,
+    dependencyVersions,
+  }) {
     const apiStartTime = performance.now();
+    options = resolveDeterministicOptions(options);
+
+    // Console entries received so far, kept when the execution is killed
+    // (timeout, crash, cancellation) before it could report them
+    const liveConsole = [];
+    const abortController = new AbortController();
+    if (jobId) {
+      this.activeExecutions.set(jobId, { abortController, console: liveConsole });
+    }
 
     let debugInfo = options.debug
       ? {
@@ -101,76 +232,164 @@ class ExecutionController {
           execution: {
             startTime: new Date().toISOString(),
             totalResponseTimeMs: 0,
+            ...(options.deterministic ? { deterministic: options.deterministic } : {}),
           },
         }
       : null;
 
     const executionTimeout = options.timeout || undefined;
+    const language = options.language || 'javascript';
     const forceUpdate = options.forceUpdate || false;
 
     console.log(
-      `Execution request: cacheKey=${cacheKey}, forceUpdate=${forceUpdate}, debug=${!!options.debug}`
+      `Execution request: cacheKey=${cacheKey}, language=${language}, forceUpdate=${forceUpdate}, debug=${!!options.debug}`
     );
 
-    const dependencies = this.dependencyService.extractDependencies(code);
+    const dependencies = this.dependencyService.extractDependencies(files || code);
+    if (dependencyVersions) {
+      for (const name of Object.keys(dependencies)) {
+        if (dependencyVersions[name]) dependencies[name] = dependencyVersions[name];
+      }
+    }
     console.log('Extracted dependencies:', dependencies);
 
-    let executionDir;
+    let executionDir = uploadDir;
+    let executionCode = code;
+    let sourceMap = null;
+    let mapPosition = null;
+    const toOriginalLocation = (entry) => this._mapConsoleLocation(entry, mapPosition);
+    let secretValues = [];
+    const redact = (value) => redactSecrets(value, secretValues);
+    let releaseSlot = null;
     try {
-      executionDir = await this.executionService.createExecutionDir();
-      const cachePath = path.join(path.resolve(this.cacheDir), cacheKey);
-
-      if (debugInfo) {
-        const cacheEntries = await this.cacheService.getCacheEntries();
-        debugInfo.cache.totalCacheSize = cacheEntries.reduce(
-          (sum, entry) => sum + entry.size,
-          0
-        );
+      releaseSlot = await this.executionQueue.acquire(jobId, abortController.signal);
+      if (this.jobService && jobId) {
+        this.jobService.updateJobStatus(jobId, 'running');
       }
 
-      const installStartTime = performance.now();
-      const installResult = await this.dependencyService.installDependencies(
-        dependencies,
-        executionDir,
-        cacheKey,
-        cachePath,
-        forceUpdate
-      );
-
-      if (debugInfo) {
-        const installEndTime = performance.now();
-        debugInfo.execution.dependencyInstallTimeMs = (
-          installEndTime - installStartTime
-        ).toFixed(2);
-
-        const cacheInfo = await this.cacheService.getCacheEntryInfo(cacheKey);
-        debugInfo.cache.usedCache = cacheInfo.exists && !forceUpdate;
+      if (language === 'typescript') {
+        try {
+          ({ code: executionCode, sourceMap } = transpileTypeScript(code, {
+            moduleType: options.moduleType,
+          }));
+          if (files) {
+            // Once more with the relative imports naming the files emitted for the bundle,
+            // which depend on the module type of the transpiled entry
+            ({ code: executionCode, sourceMap } = transpileTypeScript(code, {
+              moduleType: options.moduleType,
+              rewriteImport: createImportRewriter(files, entry, resolveModuleType(executionCode, options.moduleType))(entry),
+            }));
+          }
+          mapPosition = createPositionMapper(sourceMap);
+        } catch (error) {
+          throw { success: false, error: error.message, errorType: 'user_error', console: [] };
+        }
+      }
 
-        if (cacheInfo.exists) {
-          debugInfo.cache.currentCacheSize = cacheInfo.size;
-          debugInfo.cache.currentCacheSizeFormatted = this.formatBytes(
-            cacheInfo.size
+      let bundleFiles;
+      if (files) {
+        try {
+          bundleFiles = this._prepareBundleFiles(
+            files,
+            entry,
+            language,
+            resolveModuleType(executionCode, options.moduleType)
           );
+        } catch (error) {
+          throw { success: false, error: error.message, errorType: 'user_error', console: [] };
         }
+      }
 
-        const updatedCacheEntries = await this.cacheService.getCacheEntries();
-        const totalSize = updatedCacheEntries.reduce(
-          (sum, entry) => sum + entry.size,
-          0
-        );
-        debugInfo.cache.totalCacheSize = totalSize;
-        debugInfo.cache.totalCacheSizeFormatted = this.formatBytes(totalSize);
-
-        debugInfo.execution.installedDependencies = installResult.dependencies;
+      if (!executionDir) {
+        executionDir = await this.executionService.createExecutionDir();
+      }
+      const cachePath = path.join(path.resolve(this.cacheDir), cacheKey);
+      // Exact versions are installed apart when the cache holds others, leaving the cache as it is
+      const bypassCache =
+        forceUpdate ||
+        (!!dependencyVersions && !(await this.dependencyService.hasCachedVersions(cachePath, dependencies)));
+
+      let secrets = {};
+      if (this.secretService) {
+        try {
+          secrets = this.secretService.resolveSecrets(cacheKey);
+        } catch (error) {
+          throw { success: false, error: error.message, console: [] };
+        }
+        secretValues = Object.values(secrets);
       }
 
-      const result = await this.executionService.executeCode(
-        code,
-        items,
-        executionDir,
-        executionTimeout,
-        options.debug
+      const runOptions = {
+        cacheKey,
+        memoryLimitMb: options.memoryLimitMb,
+        cpuTimeMs: options.cpuTimeMs,
+        moduleType: options.moduleType,
+        consoleArgs: options.consoleArgs,
+        mode: options.mode,
+        concurrency: options.concurrency,
+        continueOnFail: options.continueOnFail,
+        serialization: options.serialization,
+        deterministic: options.deterministic || null,
+        files: bundleFiles,
+        entry,
+        itemStream,
+        onResult: onResult
+          ? (line) => onResult(secretValues.length > 0 ? JSON.stringify(redact(JSON.parse(line))) : line)
+          : undefined,
+        secrets,
+        onConsole: (received) => {
+          const entry = redact(toOriginalLocation(received));
+          liveConsole.push(entry);
+          if (onEvent) onEvent('console', entry);
+        },
+        signal: abortController.signal,
+      };
+      // Installed in the first attempt; a failed install is retried like a failed execution
+      let installed = false;
+      const result = await this._runWithRetry(
+        async () => {
+          if (!installed) {
+            await this._installDependencies({
+              dependencies,
+              executionDir,
+              cacheKey,
+              cachePath,
+              bypassCache,
+              jobId,
+              onEvent,
+              signal: abortController.signal,
+              debugInfo,
+            });
+            installed = true;
+          }
+          // Console entries of a failed attempt are not those of the next one
+          liveConsole.length = 0;
+          return this.executionService.executeCode(
+            executionCode,
+            items,
+            executionDir,
+            executionTimeout,
+            options.debug,
+            runOptions
+          );
+        },
+        {
+          retry: options.retry,
+          jobId,
+          onEvent,
+          signal: abortController.signal,
+          redact,
+          releaseSlot: () => {
+            releaseSlot();
+            releaseSlot = null;
+          },
+          acquireSlot: async () => {
+            releaseSlot = await this.executionQueue.acquire(jobId, abortController.signal);
+          },
+        }
       );
+      if (result.console) result.console = result.console.map(toOriginalLocation);
+      this._recordResourceUsage(result, jobId, debugInfo);
 
       if (debugInfo) {
         const apiEndTime = performance.now();
@@ -190,9 +409,10 @@ class ExecutionController {
 
       await this.executionService.cleanupExecutionDir(executionDir);
 
-      return result;
+      return redact(result);
     } catch (error) {
       console.error('Error: ' + error.stack);
+      this._recordResourceUsage(error, jobId, debugInfo);
 
       if (executionDir) {
         await this.executionService.cleanupExecutionDir(executionDir);
@@ -214,44 +434,287 @@ class ExecutionController {
         }
       }
 
-      const filteredStack = this.filterErrorStack(error);
+      const filteredStack = this.filterErrorStack(error, sourceMap);
+      const cancelled = abortController.signal.aborted;
+      const errorLocation = cancelled ? null : this._locateError(error, code, mapPosition);
+      const consoleOutput =
+        error.console && error.console.length > 0 ? error.console.map(toOriginalLocation) : liveConsole;
 
       if (!error.error && error.console && error.console.length > 0) {
         error.error = error.console[0].message;
       }
 
-      return {
+      return redact({
         success: false,
-        error: error.error || 'Internal server error',
+        error: cancelled ? 'Execution cancelled' : this._stripExecutionDir(error.error, executionDir) || 'Internal server error',
+        ...(cancelled ? { cancelled: true } : {}),
+        ...(!cancelled && error.errorType ? { errorType: error.errorType } : {}),
         stack: filteredStack,
-        console: error.console || [],
+        ...(errorLocation ? { errorLocation } : {}),
+        ...(error.failedItems ? { failedItems: error.failedItems } : {}),
+        ...(error.attempts ? { attempts: error.attempts } : {}),
+        console: consoleOutput,
         ...(options.debug && !error.debug ? { debug: debugInfo } : {}),
         ...(error.debug ? { debug: error.debug } : {}),
+      });
+    } finally {
+      if (releaseSlot) releaseSlot();
+      if (jobId) {
+        this.activeExecutions.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Install the dependencies of an execution into its directory (see
+   * DependencyService.installDependencies), record the installed versions with
+   * the job and fill in the cache part of the debug info
+   */
+  async _installDependencies({ dependencies, executionDir, cacheKey, cachePath, bypassCache, jobId, onEvent, signal, debugInfo }) {
+    if (debugInfo) {
+      const cacheEntries = await this.cacheService.getCacheEntries();
+      debugInfo.cache.totalCacheSize = cacheEntries.reduce(
+        (sum, entry) => sum + entry.size,
+        0
+      );
+    }
+
+    const installStartTime = performance.now();
+    let installResult;
+    try {
+      installResult = await this.dependencyService.installDependencies(
+        dependencies,
+        executionDir,
+        cacheKey,
+        cachePath,
+        bypassCache,
+        {
+          onProgress: onEvent ? (message) => onEvent('install', { message }) : undefined,
+          signal,
+        }
+      );
+    } catch (error) {
+      throw {
+        success: false,
+        error: `Dependency installation failed: ${error.message}`,
+        errorType: 'dependency_install_failed',
+        stack: error.stack,
+        console: [],
       };
     }
+
+    if (signal.aborted) {
+      throw { success: false, error: 'Execution cancelled', cancelled: true, console: [] };
+    }
+
+    // Kept with every job (not only debug ones) so it can be replayed with the same versions
+    if (this.jobService && jobId) {
+      try {
+        this.jobService.recordDependencies(jobId, installResult.dependencies);
+      } catch (error) {
+        console.error('Failed to record installed dependencies:', error);
+      }
+    }
+
+    if (debugInfo) {
+      const installEndTime = performance.now();
+      debugInfo.execution.dependencyInstallTimeMs = (
+        installEndTime - installStartTime
+      ).toFixed(2);
+
+      const cacheInfo = await this.cacheService.getCacheEntryInfo(cacheKey);
+      debugInfo.cache.usedCache = cacheInfo.exists && !bypassCache;
+
+      if (cacheInfo.exists) {
+        debugInfo.cache.currentCacheSize = cacheInfo.size;
+        debugInfo.cache.currentCacheSizeFormatted = this.formatBytes(
+          cacheInfo.size
+        );
+      }
+
+      const updatedCacheEntries = await this.cacheService.getCacheEntries();
+      const totalSize = updatedCacheEntries.reduce(
+        (sum, entry) => sum + entry.size,
+        0
+      );
+      debugInfo.cache.totalCacheSize = totalSize;
+      debugInfo.cache.totalCacheSizeFormatted = this.formatBytes(totalSize);
+
+      debugInfo.execution.installedDependencies = installResult.dependencies;
+    }
   }
 
   /**
-   * Handle code execution requests
+   * Run an attempt of an execution, and run it again after each failure covered
+   * by the retry policy ({ attempts, backoffMs, retryOn }), waiting backoffMs
+   * doubled after each failure. With a policy, every attempt is recorded with
+   * the job, a 'retry' event is sent before the next attempt and the result or
+   * failure carries the number of attempts made. The execution queue slot is
+   * given up while waiting, so queued executions are not held up by the backoff.
+   * @param {Function} run - Starts an attempt, resolving with its result or rejecting with its failure
+   * @param {Object} options - { retry, jobId, onEvent, signal, redact, releaseSlot, acquireSlot }:
+   *   releaseSlot gives up the slot of the execution and acquireSlot waits for a new one
    */
-  async executeCode(req, res) {
-    const { code, items = [], cacheKey, options = {} } = req.body;
+  async _runWithRetry(run, { retry, jobId, onEvent, signal, redact, releaseSlot, acquireSlot }) {
+    for (let attempt = 1; ; attempt++) {
+      const startTime = performance.now();
+      try {
+        const result = await run();
+        if (retry) {
+          this._recordAttempt(jobId, { attempt, status: 'success', startTime });
+          result.attempts = attempt;
+        }
+        return result;
+      } catch (error) {
+        if (!retry) throw error;
+        this._recordAttempt(jobId, {
+          attempt,
+          status: 'error',
+          errorMessage: redact(error.error),
+          errorType: error.errorType,
+          startTime,
+        });
+        if (signal.aborted || !shouldRetry(retry, error, attempt)) {
+          error.attempts = attempt;
+          throw error;
+        }
 
-    if (!code) {
-      return res
-        .status(400)
-        .json({ success: false, error: 'Code is required' });
+        const delayMs = retryDelay(retry, attempt);
+        console.log(`Attempt ${attempt} of ${retry.attempts} failed (${error.errorType}), retrying in ${delayMs}ms`);
+        if (onEvent) onEvent('retry', redact({ attempt, error: error.error, errorType: error.errorType, delayMs }));
+        releaseSlot();
+        try {
+          await sleep(delayMs, undefined, { signal });
+          await acquireSlot();
+        } catch {
+          throw { success: false, error: 'Execution cancelled', cancelled: true, attempts: attempt, console: [] };
+        }
+      }
     }
+  }
 
-    if (!cacheKey) {
-      return res.status(400).json({
+  /**
+   * Record an attempt of a retried execution with its job if jobService is available
+   */
+  _recordAttempt(jobId, { startTime, ...attempt }) {
+    if (!this.jobService || !jobId) return;
+
+    try {
+      this.jobService.recordAttempt(jobId, {
+        ...attempt,
+        durationMs: parseFloat((performance.now() - startTime).toFixed(2)),
+      });
+    } catch (error) {
+      console.error('Failed to record execution attempt:', error);
+    }
+  }
+
+  /**
+   * Make the paths of an error message (e.g. of a module that is not found)
+   * relative to the execution directory, which is a server path
+   */
+  _stripExecutionDir(message, executionDir) {
+    if (typeof message !== 'string' || !executionDir) return message;
+    const dir = path.resolve(executionDir);
+    return message.split(`${pathToFileURL(dir).href}/`).join('').split(`${dir}${path.sep}`).join('');
+  }
+
+  /**
+   * Get the files of a bundle to write next to its entry. With TypeScript, .ts/.mts/.cts
+   * files are transpiled to the module type of the entry (see getEmittedPath for their
+   * names), with their relative imports naming the emitted files.
+   */
+  _prepareBundleFiles(files, entry, language, moduleType) {
+    const rewriteImports = createImportRewriter(files, entry, moduleType);
+    const prepared = {};
+    for (const [filePath, content] of Object.entries(files)) {
+      if (filePath === entry) continue;
+
+      if (language !== 'typescript' || !isTypeScriptFile(filePath)) {
+        prepared[filePath] = content;
+        continue;
+      }
+      const fileModuleType = { c: 'cjs', m: 'esm' }[filePath.match(/\.([cm]?)ts$/)[1]] || moduleType;
+      prepared[getEmittedPath(filePath, moduleType)] = transpileTypeScript(content, {
+        moduleType: fileModuleType,
+        fileName: filePath,
+        rewriteImport: rewriteImports(filePath),
+      }).code;
+    }
+    return prepared;
+  }
+
+  /**
+   * Handle code execution requests. Besides JSON, the request can be
+   * multipart/form-data with files that are streamed to the execution directory,
+   * or NDJSON: the request object on the first line and one item per line after
+   * it, streamed to the code with the results streamed back (see _streamItems).
+   */
+  async executeCode(req, res) {
+    if (this.executionQueue.isFull()) {
+      return res.status(429).json({
         success: false,
-        error:
-          'Cache key is required (should be a hash of workflow ID and node name)',
+        error: 'Execution queue is full, try again later',
+      });
+    }
+
+    let body = req.body;
+    let uploadDir = null;
+    // Only an items file uploaded with a multipart request, never a path named by the client
+    let itemsFile = null;
+    let itemStream = null;
+    if (isNdjsonRequest(req)) {
+      try {
+        body = await readNdjsonHeader(req);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+      if (body.items !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Items of an NDJSON request are sent on the lines after the request object',
+        });
+      }
+      itemStream = req;
+    } else if (isMultipartRequest(req)) {
+      uploadDir = await this.executionService.createExecutionDir();
+      try {
+        ({ body, itemsFile } = await parseMultipartExecution(req, uploadDir, {
+          maxFileSize: this.uploadFileSizeLimit,
+        }));
+      } catch (error) {
+        await fs.rm(uploadDir, { recursive: true, force: true });
+        return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    }
+
+    const { items = [], cacheKey, files, entry } = body;
+
+    let invalid = validateExecutionRequest({ code: body.code, files, entry, cacheKey, options: body.options });
+    // The results of an attempt on streamed items have already been sent
+    if (!invalid && (itemStream || itemsFile) && body.options?.retry) {
+      invalid = { status: 400, error: 'Executions on streamed items cannot be retried' };
+    }
+    if (invalid) {
+      if (uploadDir) await fs.rm(uploadDir, { recursive: true, force: true });
+      return res.status(invalid.status).json({ success: false, error: invalid.error });
+    }
+    if (itemsFile) {
+      itemStream = createReadStream(itemsFile);
+      // Failing to read the items ends the response, which cancels the execution like a client going away
+      itemStream.on('error', (error) => {
+        console.error('Failed to read the uploaded items file:', error);
+        res.destroy();
       });
+      res.on('close', () => itemStream.destroy());
     }
+    // A multi-file bundle runs the function exported by its entry file
+    const code = files ? files[entry] : body.code;
+    // The seed and time of a deterministic execution are stored with the job to replay it
+    const options = resolveDeterministicOptions(body.options);
 
-    // Create job record if jobService is available
+    // Create job record if jobService is available; it stays pending until
+    // the execution gets a slot in the execution queue
     let jobId = null;
     if (this.jobService) {
       try {
@@ -261,20 +724,38 @@ class ExecutionController {
         };
         jobId = this.jobService.createJob({
           code,
+          files,
+          entry,
           items,
+          streamed: !!itemStream,
+          uploaded: !!uploadDir,
           cacheKey,
           options,
           metadata,
         });
-        this.jobService.updateJobStatus(jobId, 'running');
       } catch (err) {
         console.error('Failed to create job record:', err);
       }
     }
 
+    if (itemStream) {
+      return this._streamItems(res, jobId, {
+        code, files, entry, itemStream, cacheKey, options, executionDir: uploadDir,
+      });
+    }
+
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      return this._streamExecution(res, streamFormat, jobId, {
+        code, files, entry, items, cacheKey, options, executionDir: uploadDir,
+      });
+    }
+
     let result;
     try {
-      result = await this.executeCodeInternal({ code, items, cacheKey, options });
+      result = await this.executeCodeInternal({
+        code, files, entry, items, cacheKey, options, jobId, executionDir: uploadDir,
+      });
     } catch (err) {
       console.error('Unexpected execution error:', err);
       if (this.jobService && jobId) {
@@ -283,42 +764,7 @@ class ExecutionController {
       return res.status(500).json({ success: false, error: 'Internal server error', ...(jobId ? { jobId } : {}) });
     }
 
-    // Complete job record if jobService is available
-    if (this.jobService && jobId) {
-      try {
-        if (result.success) {
-          this.jobService.completeJob(jobId, {
-            status: 'success',
-            resultData: result.data,
-            consoleOutput: result.console,
-            executionTimeMs: result.debug?.execution?.totalResponseTimeMs
-              ? parseFloat(result.debug.execution.totalResponseTimeMs)
-              : null,
-            depInstallTimeMs: result.debug?.execution?.dependencyInstallTimeMs
-              ? parseFloat(result.debug.execution.dependencyInstallTimeMs)
-              : null,
-            usedCache: result.debug?.cache?.usedCache || false,
-            dependencies: result.debug?.execution?.installedDependencies || null,
-          });
-        } else {
-          this.jobService.completeJob(jobId, {
-            status: 'error',
-            consoleOutput: result.console,
-            errorMessage: result.error,
-            errorStack: result.stack,
-            executionTimeMs: result.debug?.execution?.totalResponseTimeMs
-              ? parseFloat(result.debug.execution.totalResponseTimeMs)
-              : null,
-            depInstallTimeMs: result.debug?.execution?.dependencyInstallTimeMs
-              ? parseFloat(result.debug.execution.dependencyInstallTimeMs)
-              : null,
-            usedCache: result.debug?.cache?.usedCache || false,
-          });
-        }
-      } catch (err) {
-        console.error('Failed to complete job record:', err);
-      }
-    }
+    this._completeJob(jobId, result);
 
     // Add jobId to response if available
     if (jobId) {
@@ -332,6 +778,205 @@ class ExecutionController {
     }
   }
 
+  /**
+   * Run an execution while streaming dependency install progress and console
+   * output as they happen, ending with a 'result' event that carries the same
+   * payload as the JSON response
+   */
+  async _streamExecution(res, format, jobId, { code, files, entry, items, cacheKey, options, executionDir }) {
+    const send = startEventStream(res, format);
+    if (jobId) send('job', { jobId });
+
+    let result;
+    try {
+      result = await this.executeCodeInternal({
+        code, files, entry, items, cacheKey, options, onEvent: send, jobId, executionDir,
+      });
+    } catch (err) {
+      console.error('Unexpected execution error:', err);
+      result = { success: false, error: 'Internal server error', console: [] };
+    }
+
+    this._completeJob(jobId, result);
+
+    if (jobId) {
+      result.jobId = jobId;
+    }
+
+    send('result', result);
+    res.end();
+  }
+
+  /**
+   * Run an execution on a stream of NDJSON items, always answering with NDJSON:
+   * each result is sent as an `item` event as soon as the code produces it,
+   * between the install and console events, and the final `result` event
+   * carries the item and result counts instead of data. Neither the items nor
+   * the results are held in memory; the job keeps the counts and the first
+   * STREAM_SAMPLE_SIZE of each. A client going away cancels the execution.
+   */
+  async _streamItems(res, jobId, { itemStream, ...request }) {
+    const send = startEventStream(res, 'ndjson');
+    if (jobId) send('job', { jobId });
+    res.on('close', () => {
+      if (!res.writableFinished && jobId) this.cancelExecution(jobId);
+    });
+
+    const itemCounter = createLineCounter(STREAM_SAMPLE_SIZE);
+    const resultSample = [];
+    let resultCount = 0;
+    const onResult = (line) => {
+      resultCount++;
+      if (resultSample.length < STREAM_SAMPLE_SIZE) resultSample.push(JSON.parse(line));
+      if (res.writableEnded || res.destroyed) return undefined;
+      // The line is JSON already, so it is written into the event as it is
+      return res.write(`{"event":"item","data":${line}}\n`) ? undefined : waitForDrain(res);
+    };
+
+    let result;
+    try {
+      result = await this.executeCodeInternal({
+        ...request,
+        itemStream: itemStream.pipe(itemCounter.stream),
+        onResult,
+        onEvent: send,
+        jobId,
+      });
+    } catch (err) {
+      console.error('Unexpected execution error:', err);
+      result = { success: false, error: 'Internal server error', console: [] };
+    }
+
+    const { count: itemCount, sample: itemSample } = itemCounter.stats();
+    result = { ...result, itemCount, resultCount };
+    this._completeJob(jobId, { ...result, data: resultSample });
+    if (this.jobService && jobId) {
+      try {
+        this.jobService.recordStreamCounts(jobId, { itemCount, resultCount, itemSample });
+      } catch (err) {
+        console.error('Failed to record stream counts:', err);
+      }
+    }
+
+    if (jobId) {
+      result.jobId = jobId;
+    }
+
+    send('result', result);
+    res.end();
+  }
+
+  /**
+   * Complete the job record of an execution if jobService is available
+   */
+  _completeJob(jobId, result) {
+    if (!this.jobService || !jobId) return;
+
+    try {
+      this.jobService.completeJob(jobId, toJobCompletion(result));
+    } catch (err) {
+      console.error('Failed to complete job record:', err);
+    }
+  }
+
+  /**
+   * Run the jobs left queued (pending) by a previous server run, in queue order.
+   * Their results are only recorded in the job history.
+   * @returns {number} - Number of resumed jobs
+   */
+  resumeQueuedJobs() {
+    if (!this.jobService) return 0;
+
+    const jobs = [];
+    for (const job of this.jobService.getQueuedJobs()) {
+      // The items of a streamed job were never stored, nor were the files of
+      // an uploaded one (only its execution directory had them), so neither
+      // can run again
+      if (job.streamed) {
+        this.jobService.completeJob(job.job_id, {
+          status: 'interrupted',
+          errorMessage: 'Execution interrupted by server restart (streamed items cannot be resumed)',
+        });
+      } else if (job.uploaded) {
+        this.jobService.completeJob(job.job_id, {
+          status: 'interrupted',
+          errorMessage: 'Execution interrupted by server restart (uploaded files cannot be resumed)',
+        });
+      } else {
+        jobs.push(job);
+      }
+    }
+
+    for (const job of jobs) {
+      const parse = (value, fallback) => {
+        try {
+          return value ? JSON.parse(value) : fallback;
+        } catch {
+          return fallback;
+        }
+      };
+
+      this.executeCodeInternal({
+        code: job.code,
+        files: parse(job.files, undefined),
+        entry: job.entry || undefined,
+        items: parse(job.items, []),
+        cacheKey: job.cache_key,
+        options: parse(job.options, {}),
+        jobId: job.job_id,
+      })
+        .then((result) => this._completeJob(job.job_id, result))
+        .catch((err) => console.error(`Failed to resume job ${job.job_id}:`, err));
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Resumed ${jobs.length} queued job(s)`);
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Abort the running execution of a job (dependency install or code)
+   * @returns {boolean} - Whether an execution was running for the job
+   */
+  cancelExecution(jobId) {
+    const execution = this.activeExecutions.get(jobId);
+    if (!execution) return false;
+    execution.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Handle job cancellation requests
+   */
+  async cancelJob(req, res) {
+    const { jobId } = req.params;
+    const job = this.jobService ? this.jobService.getJob(jobId) : null;
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.status !== 'pending' && job.status !== 'running') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is not running (status: ${job.status})`,
+      });
+    }
+
+    // Record the cancellation right away with the output produced so far;
+    // the execution completes the record again once it has been killed
+    const execution = this.activeExecutions.get(jobId);
+    this.jobService.completeJob(jobId, {
+      status: 'cancelled',
+      consoleOutput: execution ? execution.console : null,
+      errorMessage: 'Execution cancelled',
+    });
+    this.cancelExecution(jobId);
+
+    return res.json({ success: true, jobId, status: 'cancelled' });
+  }
+
   /**
    * Health check endpoint handler
    */
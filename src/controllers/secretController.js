@@ -0,0 +1,70 @@
+const { isValidSecretName } = require('../utils/secretUtils');
+
+class SecretController {
+  constructor(secretService) {
+    this.secretService = secretService;
+  }
+
+  /**
+   * Respond with 503 when no master key is configured
+   */
+  _rejectDisabled(res) {
+    if (this.secretService.isEnabled()) return false;
+    res.status(503).json({ success: false, error: 'Secrets are disabled: SECRETS_MASTER_KEY is not set' });
+    return true;
+  }
+
+  /**
+   * List the secrets without their values
+   */
+  async listSecrets(req, res) {
+    try {
+      return res.json({ enabled: this.secretService.isEnabled(), secrets: this.secretService.listSecrets() });
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Create a secret or replace its value. Without a cacheKey the secret is global.
+   */
+  async saveSecret(req, res) {
+    if (this._rejectDisabled(res)) return;
+
+    const { name, value, cacheKey } = req.body || {};
+    if (!isValidSecretName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid secret name (letters, digits and underscores, not starting with a digit, and not a reserved name)',
+      });
+    }
+    if (typeof value !== 'string' || value === '') {
+      return res.status(400).json({ success: false, error: 'Secret value is required' });
+    }
+    if (cacheKey != null && typeof cacheKey !== 'string') {
+      return res.status(400).json({ success: false, error: 'cacheKey must be a string' });
+    }
+
+    try {
+      const secret = this.secretService.setSecret({ name, value, cacheKey });
+      return res.json({ success: true, secret });
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Delete a secret by id
+   */
+  async deleteSecret(req, res) {
+    try {
+      const deleted = this.secretService.deleteSecret(Number(req.params.id));
+      if (!deleted) return res.status(404).json({ success: false, error: 'Secret not found' });
+      return res.json({ success: true });
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+module.exports = SecretController;
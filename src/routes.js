@@ -1,6 +1,6 @@
 const express = require('express');
 
-function setupRoutes(app, executionController) {
+function setupRoutes(app, executionController, secretController) {
   const router = express.Router();
 
   // Execute code endpoint
@@ -9,6 +9,19 @@ function setupRoutes(app, executionController) {
     executionController.executeCode.bind(executionController)
   );
 
+  // Cancel a running job
+  router.post(
+    '/jobs/:jobId/cancel',
+    executionController.cancelJob.bind(executionController)
+  );
+
+  // Secrets store
+  if (secretController) {
+    router.get('/secrets', secretController.listSecrets.bind(secretController));
+    router.post('/secrets', secretController.saveSecret.bind(secretController));
+    router.delete('/secrets/:id', secretController.deleteSecret.bind(secretController));
+  }
+
   // Health check endpoint
   router.get(
     '/health',
@@ -1,7 +1,7 @@
 const express = require('express');
 const { dashboardAuthMiddleware } = require('../middleware/dashboardAuth');
 
-function setupDashboardRoutes(dashboardController) {
+function setupDashboardRoutes(dashboardController, secretController) {
   const router = express.Router();
 
   // Login/logout - no auth required
@@ -15,12 +15,20 @@ function setupDashboardRoutes(dashboardController) {
   router.get('/jobs/stats', dashboardController.getJobStats.bind(dashboardController));
   router.get('/jobs/:jobId', dashboardController.getJob.bind(dashboardController));
   router.get('/jobs/:jobId/poll', dashboardController.pollJob.bind(dashboardController));
+  router.post('/jobs/:jobId/cancel', dashboardController.cancelJob.bind(dashboardController));
+  router.post('/jobs/:jobId/replay', dashboardController.replayJob.bind(dashboardController));
   router.delete('/jobs/:jobId', dashboardController.deleteJob.bind(dashboardController));
   router.get('/cache', dashboardController.getCacheAnalysis.bind(dashboardController));
   router.get('/info', dashboardController.getInfo.bind(dashboardController));
   router.get('/settings', dashboardController.getSettings.bind(dashboardController));
   router.post('/execute', dashboardController.submitJob.bind(dashboardController));
 
+  if (secretController) {
+    router.get('/secrets', secretController.listSecrets.bind(secretController));
+    router.post('/secrets', secretController.saveSecret.bind(secretController));
+    router.delete('/secrets/:id', secretController.deleteSecret.bind(secretController));
+  }
+
   return router;
 }
 
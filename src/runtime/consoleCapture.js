@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { Console } = require('console');
+const { Writable } = require('stream');
+const { fileURLToPath } = require('url');
+
+/**
+ * Console capture used by the runtime. Every console method is rendered by a
+ * private Console instance (so formatting matches Node's, util.inspect
+ * included) and collected as entries instead of being written to stdout.
+ */
+
+// Level reported for each captured console method
+const CONSOLE_METHOD_TYPES = {
+  log: 'log',
+  info: 'info',
+  debug: 'debug',
+  warn: 'warn',
+  error: 'error',
+  dir: 'log',
+  dirxml: 'log',
+  table: 'log',
+  trace: 'debug',
+  assert: 'error',
+  count: 'log',
+  countReset: 'warn',
+  time: 'log',
+  timeEnd: 'log',
+  timeLog: 'log',
+  group: 'log',
+  groupCollapsed: 'log',
+  groupEnd: 'log',
+};
+
+const GROUP_METHODS = ['group', 'groupCollapsed'];
+
+const STACK_FRAME_PATTERN = /at (?:.* \()?((?:file:\/\/)?[^()]+):(\d+):(\d+)\)?$/;
+
+/**
+ * Convert a value to something JSON can represent, for the structured `args` of an entry
+ */
+function toJsonValue(value) {
+  const ancestors = [];
+  try {
+    const json = JSON.stringify(value, function (key, val) {
+      // Track the objects on the current path to detect circular references
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+      if (typeof val === 'bigint') return val.toString();
+      if (typeof val === 'function') return `[Function: ${val.name || 'anonymous'}]`;
+      if (typeof val === 'symbol') return val.toString();
+      if (val === undefined) return key === '' ? null : undefined;
+      if (val instanceof Error) return { name: val.name, message: val.message, stack: val.stack };
+      if (val instanceof Map) return Object.fromEntries(Array.from(val, ([k, v]) => [String(k), v]));
+      if (val instanceof Set) return Array.from(val);
+      if (val && typeof val === 'object') {
+        if (ancestors.includes(val)) return '[Circular]';
+        ancestors.push(val);
+      }
+      return val;
+    });
+    return json === undefined ? null : JSON.parse(json);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Position of a stack frame in a file of the execution directory, relative to it
+ */
+function parseStackFrame(frame, executionDir) {
+  const match = frame && frame.match(STACK_FRAME_PATTERN);
+  if (!match) return undefined;
+
+  let file = match[1];
+  if (file.startsWith('file://')) {
+    try {
+      file = fileURLToPath(file);
+    } catch {
+      return undefined;
+    }
+  }
+  const relative = path.relative(executionDir, file);
+  // Frames outside the execution directory would expose server paths
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return undefined;
+
+  return {
+    file: relative.split(path.sep).join('/'),
+    line: Number(match[2]),
+    column: Number(match[3]),
+  };
+}
+
+/**
+ * Location of the code that called a console method
+ */
+function getCallerLocation(executionDir, calledMethod) {
+  const holder = {};
+  const stackTraceLimit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 1;
+  Error.captureStackTrace(holder, calledMethod);
+  Error.stackTraceLimit = stackTraceLimit;
+
+  const frame = String(holder.stack || '').split('\n')[1];
+  return parseStackFrame(frame, executionDir);
+}
+
+/**
+ * Keep the frames of console.trace output that point into the execution
+ * directory, with paths relative to it
+ */
+function cleanTrace(message, executionDir) {
+  const prefix = executionDir + path.sep;
+  return message
+    .split('\n')
+    .filter((line) => !/^\s+at /.test(line) || line.includes(prefix))
+    .map((line) => line.split(prefix).join(''))
+    .join('\n');
+}
+
+/**
+ * Cut a string to at most maxBytes bytes of UTF-8
+ */
+function truncateUtf8(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return text;
+  // Drop a character cut in half at the end
+  return Buffer.from(text).subarray(0, maxBytes).toString().replace(/\uFFFD$/, '');
+}
+
+/**
+ * Size counted against the console size limit: the message and the arguments as JSON
+ */
+function entrySize(entry) {
+  return Buffer.byteLength(entry.message) + (entry.args ? Buffer.byteLength(JSON.stringify(entry.args)) : 0);
+}
+
+/**
+ * Override the console methods so user output is collected instead of
+ * written to stdout, where it would corrupt the result payload. Entries are
+ * also handed to onEntry as they happen when streaming is requested.
+ * Once maxEntries entries or maxBytes bytes (0 = unlimited) are collected,
+ * the entry crossing the limit is cut and later entries are dropped.
+ * @param {Array} consoleCapture - Receives the entries
+ * @param {Function} [onEntry] - Called with each entry as it is captured
+ * @param {Object} [options] - { executionDir, includeArgs, maxEntries, maxBytes }: entries carry the
+ *   caller location relative to executionDir and, with includeArgs, the arguments as JSON
+ * @returns {Function} - Appends a `truncated` entry reporting the dropped output, if any
+ */
+function captureConsole(
+  consoleCapture,
+  onEntry,
+  { executionDir = process.cwd(), includeArgs = false, maxEntries = 0, maxBytes = 0 } = {}
+) {
+  // Stack frames carry real paths
+  const rootDir = (() => {
+    try {
+      return fs.realpathSync(executionDir);
+    } catch {
+      return executionDir;
+    }
+  })();
+  let written = '';
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      written += chunk.toString();
+      callback();
+    },
+  });
+  // Formats the output; groups are reported with `depth` instead of indentation
+  const renderer = new Console({ stdout: sink, stderr: sink, colorMode: false, groupIndentation: 0 });
+  let depth = 0;
+  const total = { entries: 0, bytes: 0 };
+  let capturedBytes = 0;
+  let truncated = false;
+
+  const record = (entry) => {
+    const size = entrySize(entry);
+    total.entries++;
+    total.bytes += size;
+    if (truncated || (maxEntries > 0 && consoleCapture.length >= maxEntries)) {
+      truncated = true;
+      return;
+    }
+
+    let kept = entry;
+    if (maxBytes > 0 && capturedBytes + size > maxBytes) {
+      const { args, ...rest } = entry;
+      kept = { ...rest, message: truncateUtf8(entry.message, maxBytes - capturedBytes), truncated: true };
+      truncated = true;
+    }
+    capturedBytes += entrySize(kept);
+    consoleCapture.push(kept);
+    if (onEntry) onEntry(kept);
+  };
+
+  for (const [method, type] of Object.entries(CONSOLE_METHOD_TYPES)) {
+    const captured = function (...args) {
+      written = '';
+      renderer[method](...args);
+      const message = written.replace(/\n$/, '');
+
+      if (written) {
+        const location = getCallerLocation(rootDir, captured);
+        const entry = {
+          type,
+          message: method === 'trace' ? cleanTrace(message, rootDir) : message,
+          timestamp: new Date().toISOString(),
+          ...(method !== type ? { method } : {}),
+          ...(depth > 0 ? { depth } : {}),
+          ...(location ? { location } : {}),
+          ...(includeArgs ? { args: args.map(toJsonValue) } : {}),
+        };
+        record(entry);
+      }
+
+      if (GROUP_METHODS.includes(method)) depth++;
+      if (method === 'groupEnd' && depth > 0) depth--;
+    };
+    console[method] = captured;
+  }
+
+  return () => {
+    if (!truncated) return;
+    const entry = {
+      type: 'warn',
+      message:
+        `Console output truncated: kept ${consoleCapture.length} of ${total.entries} entries ` +
+        `(${capturedBytes} of ${total.bytes} bytes)`,
+      timestamp: new Date().toISOString(),
+      truncated: true,
+      originalEntries: total.entries,
+      originalSize: total.bytes,
+    };
+    consoleCapture.push(entry);
+    if (onEntry) onEntry(entry);
+  };
+}
+
+module.exports = {
+  captureConsole,
+  truncateUtf8,
+  toJsonValue,
+  parseStackFrame,
+};
@@ -0,0 +1,57 @@
+/**
+ * Deterministic mode of an execution: Math.random is replaced by a seeded
+ * generator and the clock is frozen, so running the same code with the same
+ * seed and time gives the same result.
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Date constructor whose current time is always `time`. Dates created from
+ * explicit values are unchanged and instanceof Date still holds.
+ */
+function createFrozenDate(OriginalDate, time) {
+  function FrozenDate(...args) {
+    if (!new.target) return new OriginalDate(time).toString();
+    return Reflect.construct(OriginalDate, args.length > 0 ? args : [time], new.target);
+  }
+  Object.setPrototypeOf(FrozenDate, OriginalDate);
+  FrozenDate.prototype = OriginalDate.prototype;
+  FrozenDate.now = () => time;
+  return FrozenDate;
+}
+
+/**
+ * Seed Math.random and freeze Date for the execution
+ * @param {Object} options - { seed: 32-bit unsigned integer, time: ISO timestamp }
+ * @returns {Function} - Restores the original Math.random and Date
+ */
+function installDeterminism({ seed, time }) {
+  const originalRandom = Math.random;
+  const OriginalDate = globalThis.Date;
+
+  Math.random = createRandom(seed);
+  globalThis.Date = createFrozenDate(OriginalDate, OriginalDate.parse(time));
+
+  return () => {
+    Math.random = originalRandom;
+    globalThis.Date = OriginalDate;
+  };
+}
+
+module.exports = {
+  createRandom,
+  installDeterminism,
+};
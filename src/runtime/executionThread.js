@@ -0,0 +1,17 @@
+const { parentPort, workerData } = require('worker_threads');
+const { runUserCode } = require('./runner');
+
+/**
+ * Entry point of the thread a pooled worker starts for each execution. The
+ * user code gets a realm of its own (builtins, globals, module registry,
+ * environment), so nothing it changes is seen by the next execution.
+ */
+
+const { executionDir, items, entryFile, streamConsole, runtimeOptions } = workerData;
+const onConsole = streamConsole
+  ? (entry) => parentPort.postMessage({ type: 'console', entry })
+  : undefined;
+
+runUserCode(executionDir, items, entryFile, onConsole, runtimeOptions).then((payload) => {
+  parentPort.postMessage({ type: 'result', payload });
+});
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { captureConsole, truncateUtf8 } = require('./consoleCapture');
+const { serializeResult } = require('./serialization');
+const { installDeterminism } = require('./determinism');
+
+// Bytes of JSON kept as the preview of a result over the size limit
+const RESULT_PREVIEW_BYTES = 1024;
+
+/**
+ * Runtime loaded inside the child process (cold-spawn wrapper) or the thread
+ * a pooled worker starts for the execution.
+ * It loads the user module from the execution directory, captures console
+ * output and produces the `{ success, data, console }` payload.
+ */
+
+/**
+ * Turn errors into the message reported to the caller. Accesses blocked by
+ * the permission model get an explicit explanation instead of Node's generic text.
+ * Only file system errors name their resource: newer Node versions also set it
+ * for other permissions (e.g. the command of a denied child process).
+ */
+function formatErrorMessage(error) {
+  if (!(error instanceof Error)) return String(error);
+  if (error.code === 'ERR_ACCESS_DENIED') {
+    const isFileSystem = String(error.permission).startsWith('FileSystem');
+    const target = isFileSystem && error.resource ? ` access to ${error.resource}` : ' access';
+    return `Permission denied: ${error.permission || 'Resource'}${target} is not allowed by the sandbox policy`;
+  }
+  return error.message;
+}
+
+/**
+ * Report failures that happen outside the promise chain of the user function:
+ * uncaught exceptions, unhandled rejections, process.exit() calls and the
+ * event loop running empty before the returned promise settled.
+ * onFailure(error, context) is called for each of them.
+ * @returns {Function} - Removes the handlers and restores process.exit
+ */
+function watchProcess(onFailure) {
+  const originalExit = process.exit;
+  const onUncaughtException = (error) => onFailure(error, 'Uncaught exception');
+  const onUnhandledRejection = (reason) => onFailure(reason, 'Unhandled promise rejection');
+  const onBeforeExit = () =>
+    onFailure(new Error('The code finished without returning a value (its promise never settled)'));
+
+  process.exit = (code) => {
+    const error = new Error(
+      `The code called process.exit(${code === undefined ? '' : code}) before returning a value`
+    );
+    onFailure(error);
+    // Stop the rest of the user code like a real exit would
+    throw error;
+  };
+  process.on('uncaughtException', onUncaughtException);
+  process.on('unhandledRejection', onUnhandledRejection);
+  process.on('beforeExit', onBeforeExit);
+
+  return () => {
+    process.exit = originalExit;
+    process.removeListener('uncaughtException', onUncaughtException);
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+    process.removeListener('beforeExit', onBeforeExit);
+  };
+}
+
+/**
+ * Path of a binary reference created for an input file, or a plain path
+ */
+function binaryFilePath(reference) {
+  const filePath = typeof reference === 'string' ? reference : reference && reference.filePath;
+  if (typeof filePath !== 'string') {
+    throw new Error('Expected a binary reference with a filePath');
+  }
+  return filePath;
+}
+
+/**
+ * Helpers passed to the user function as its second argument, with the secrets of the execution
+ */
+const userContext = {
+  getBinaryBuffer: (reference) => fs.promises.readFile(binaryFilePath(reference)),
+  getBinaryStream: (reference) => fs.createReadStream(binaryFilePath(reference)),
+};
+
+/**
+ * Call the user function once per item, running up to `concurrency` items at
+ * a time, and collect the results in item order. Without continueOnFail no
+ * further items are started after one fails; with it, a failed item's result
+ * is `{ error }` and the batch goes on.
+ * @returns {Promise<Object>} - { results, failedItems, failure: { index, error } | null }
+ */
+async function runEachItem(userModule, items, context, { concurrency = 1, continueOnFail = false } = {}) {
+  const list = Array.isArray(items) ? items : [items];
+  const results = new Array(list.length);
+  const failedItems = [];
+  let failure = null;
+  let next = 0;
+
+  const work = async () => {
+    while (next < list.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await userModule(list[index], { ...context, itemIndex: index, items: list });
+      } catch (error) {
+        if (!continueOnFail) {
+          failure = failure || { index, error };
+          return;
+        }
+        failedItems.push(index);
+        results[index] = { error: formatErrorMessage(error) };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, work));
+
+  return { results, failedItems: failedItems.sort((a, b) => a - b), failure };
+}
+
+/**
+ * Whether the user function returned results to stream one by one: a generator
+ * or any other (async) iterable apart from strings
+ */
+function isResultIterable(value) {
+  if (value === null || value === undefined || typeof value === 'string') return false;
+  return typeof value[Symbol.asyncIterator] === 'function' || typeof value[Symbol.iterator] === 'function';
+}
+
+/**
+ * Run the user function on a stream of items, passing each result to
+ * writeResult as soon as it is produced (it may return a promise to apply
+ * backpressure). The function receives the items as an async iterable and
+ * returns or yields its results; with 'eachItem' it is called once per item,
+ * up to `concurrency` items at a time, and the results keep the item order.
+ * @returns {Promise<Object>} - { failedItems, failure: { index, error } | null }
+ */
+async function streamResults(userModule, items, context, writeResult, options = {}) {
+  const write = (value) => {
+    let serialized;
+    try {
+      serialized = serializeResult(value, options.serialization);
+    } catch (error) {
+      error.errorType = 'invalid_output';
+      throw error;
+    }
+    return writeResult(serialized);
+  };
+
+  if (options.mode !== 'eachItem') {
+    const output = await userModule(items, context);
+    if (isResultIterable(output)) {
+      for await (const value of output) await write(value);
+    } else if (output !== undefined) {
+      await write(output);
+    }
+    return { failedItems: [], failure: null };
+  }
+
+  const concurrency = options.concurrency || 1;
+  const failedItems = [];
+  const pending = [];
+  const settle = async (item, index) => {
+    try {
+      return { index, value: await userModule(item, { ...context, itemIndex: index }) };
+    } catch (error) {
+      return { index, failed: true, error };
+    }
+  };
+  // Write the result of the oldest running item; returns the failure ending the stream, if any
+  const writeNext = async () => {
+    const { index, value, failed, error } = await pending.shift();
+    if (!failed) {
+      await write(value);
+      return null;
+    }
+    if (!options.continueOnFail) return { index, error };
+    failedItems.push(index);
+    await write({ error: formatErrorMessage(error) });
+    return null;
+  };
+
+  let index = 0;
+  for await (const item of items) {
+    pending.push(settle(item, index++));
+    if (pending.length >= concurrency) {
+      const failure = await writeNext();
+      if (failure) return { failedItems, failure };
+    }
+  }
+  while (pending.length > 0) {
+    const failure = await writeNext();
+    if (failure) return { failedItems, failure };
+  }
+  return { failedItems, failure: null };
+}
+
+/**
+ * Replace a result whose JSON exceeds maxBytes (0 = unlimited) with a marker
+ * carrying its original size and the beginning of its JSON
+ */
+function limitResult(data, maxBytes) {
+  if (!maxBytes) return data;
+
+  let json;
+  try {
+    json = JSON.stringify(data);
+  } catch {
+    // Serialized results are always JSON-safe
+    return data;
+  }
+  const originalSize = json === undefined ? 0 : Buffer.byteLength(json);
+  if (originalSize <= maxBytes) return data;
+
+  return {
+    truncated: true,
+    originalSize,
+    preview: truncateUtf8(json, Math.min(RESULT_PREVIEW_BYTES, maxBytes)),
+  };
+}
+
+/**
+ * Count the bytes written to a stream (user code writing to process.stdout
+ * or process.stderr directly instead of through the console)
+ * @returns {Function} - Restores the stream and returns the byte count
+ */
+function countWrittenBytes(stream) {
+  const originalWrite = stream.write;
+  let bytes = 0;
+  stream.write = function (chunk, encoding, ...rest) {
+    if (typeof chunk === 'string') bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    else if (chunk) bytes += chunk.length;
+    return originalWrite.call(this, chunk, encoding, ...rest);
+  };
+  return () => {
+    stream.write = originalWrite;
+    return bytes;
+  };
+}
+
+/**
+ * Start measuring the resources used by the execution
+ * @returns {Function} - Returns { peakRssBytes, heapUsedBytes, cpuUserMs, cpuSystemMs, stdoutBytes, stderrBytes }.
+ *   The peak RSS is the process maximum, which for a pooled worker includes its earlier executions.
+ */
+function measureResources() {
+  const startCpu = process.cpuUsage();
+  const stopStdout = countWrittenBytes(process.stdout);
+  const stopStderr = countWrittenBytes(process.stderr);
+
+  return () => {
+    const cpu = process.cpuUsage(startCpu);
+    return {
+      // maxRSS is reported in kilobytes
+      peakRssBytes: process.resourceUsage().maxRSS * 1024,
+      heapUsedBytes: process.memoryUsage().heapUsed,
+      cpuUserMs: cpu.user / 1000,
+      cpuSystemMs: cpu.system / 1000,
+      stdoutBytes: stopStdout(),
+      stderrBytes: stopStderr(),
+    };
+  };
+}
+
+/**
+ * Load the user function: CommonJS files are required, ES modules (.mjs)
+ * are imported and their default export is used
+ */
+async function loadUserFunction(entryPath) {
+  if (path.extname(entryPath) === '.mjs') {
+    const namespace = await import(pathToFileURL(entryPath).href);
+    if (typeof namespace.default !== 'function') {
+      throw new Error('The code must export a function (use `export default`)');
+    }
+    return namespace.default;
+  }
+
+  let userModule = require(entryPath);
+  // Transpiled `export default` (e.g. TypeScript compiled to CommonJS)
+  if (userModule && userModule.__esModule && typeof userModule.default === 'function') {
+    userModule = userModule.default;
+  }
+  if (typeof userModule !== 'function') {
+    throw new Error('The code must export a function');
+  }
+  return userModule;
+}
+
+/**
+ * Load the entry file from the execution directory and call it with the items
+ * @param {string} executionDir - Absolute path of the execution directory
+ * @param {Array} items - Input items passed to the user function
+ * @param {string} entryFile - File containing the user code (execution.js or execution.mjs)
+ * @param {Function} [onConsole] - Called with each console entry as it is captured
+ * @param {Object} [runtimeOptions] - { consoleArgs, maxConsoleEntries, maxConsoleBytes, maxResultBytes,
+ *   mode, concurrency, continueOnFail, secretNames, serialization, deterministic }: include the console call
+ *   arguments as JSON, the size limits of the console and result (0 = unlimited), how items are passed (see
+ *   runEachItem for 'eachItem'), the environment variables holding secrets, also passed to the function as
+ *   `secrets`, how the result is serialized (see serializeResult) and the { seed, time } of a deterministic
+ *   execution (see installDeterminism)
+ * @param {Function} [writeResult] - Streams the results: items is then an async iterable and each result
+ *   is passed to writeResult instead of being returned in the payload (see streamResults)
+ * @returns {Promise<Object>} - Result payload with the `resourceUsage` of the execution (never rejects)
+ */
+async function runUserCode(executionDir, items, entryFile = 'execution.js', onConsole, runtimeOptions = {}, writeResult) {
+  const stopMeasuring = measureResources();
+  const restoreDeterminism = runtimeOptions.deterministic
+    ? installDeterminism(runtimeOptions.deterministic)
+    : () => {};
+  const consoleCapture = [];
+  const finishConsole = captureConsole(consoleCapture, onConsole, {
+    executionDir,
+    includeArgs: !!runtimeOptions.consoleArgs,
+    maxEntries: runtimeOptions.maxConsoleEntries || 0,
+    maxBytes: runtimeOptions.maxConsoleBytes || 0,
+  });
+
+  const failure = (error, context) => {
+    const message = formatErrorMessage(error);
+    return {
+      success: false,
+      error: context ? `${context}: ${message}` : message,
+      stack: error instanceof Error ? error.stack : undefined,
+      console: consoleCapture,
+    };
+  };
+
+  const secrets = Object.freeze(
+    Object.fromEntries((runtimeOptions.secretNames || []).map((name) => [name, process.env[name]]))
+  );
+  const context = { ...userContext, secrets };
+
+  let stopWatching;
+  const processFailure = new Promise((resolve) => {
+    stopWatching = watchProcess((error, context) => resolve(failure(error, context)));
+  });
+
+  const run = (async () => {
+    try {
+      const userModule = await loadUserFunction(path.join(executionDir, entryFile));
+
+      if (writeResult) {
+        const outcome = await streamResults(userModule, items, context, writeResult, runtimeOptions);
+        if (outcome.failure) {
+          const { index, error } = outcome.failure;
+          return { ...failure(error, `Item ${index}`), failedItems: [index] };
+        }
+        return {
+          success: true,
+          ...(runtimeOptions.mode === 'eachItem' ? { failedItems: outcome.failedItems } : {}),
+          console: consoleCapture,
+        };
+      }
+
+      let data;
+      let failedItems;
+      if (runtimeOptions.mode === 'eachItem') {
+        const outcome = await runEachItem(userModule, items, context, runtimeOptions);
+        if (outcome.failure) {
+          const { index, error } = outcome.failure;
+          return { ...failure(error, `Item ${index}`), failedItems: [index] };
+        }
+        ({ results: data, failedItems } = outcome);
+      } else {
+        data = await userModule(items, context);
+      }
+
+      let serialized;
+      try {
+        serialized = serializeResult(data, runtimeOptions.serialization);
+      } catch (error) {
+        return { ...failure(error), errorType: 'invalid_output' };
+      }
+      return {
+        success: true,
+        data: limitResult(serialized, runtimeOptions.maxResultBytes),
+        ...(failedItems ? { failedItems } : {}),
+        console: consoleCapture,
+      };
+    } catch (error) {
+      return error && error.errorType === 'invalid_output'
+        ? { ...failure(error), errorType: 'invalid_output' }
+        : failure(error);
+    }
+  })();
+
+  let payload;
+  try {
+    // Whichever comes first: the user function settles or the process reports a failure
+    payload = await Promise.race([run, processFailure]);
+  } finally {
+    stopWatching();
+    // The payload holds consoleCapture, so the marker entry is part of it
+    finishConsole();
+    restoreDeterminism();
+  }
+  return { ...payload, resourceUsage: stopMeasuring() };
+}
+
+module.exports = {
+  runUserCode,
+  formatErrorMessage,
+  limitResult,
+};
@@ -0,0 +1,158 @@
+/**
+ * Conversion of the value returned by the user function into something that
+ * survives the JSON boundary between the execution process and the server.
+ *
+ * 'json' (default) keeps plain JSON.stringify behaviour.
+ * 'rich' keeps the types JSON loses: Buffers and byte arrays become n8n binary
+ * entries, Dates ISO strings, and BigInt, Map, Set, typed arrays, non-finite
+ * numbers and undefined array entries `{ $type, value }` objects. Properties
+ * set to undefined are dropped, as JSON.stringify does.
+ * Values that cannot be represented fail with an error naming their path.
+ */
+
+const SERIALIZATION_MODES = ['json', 'rich'];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Check whether a serialization option is supported
+ */
+function isValidSerialization(serialization) {
+  return serialization === undefined || SERIALIZATION_MODES.includes(serialization);
+}
+
+/**
+ * Path of a property, in JavaScript accessor syntax
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER_PATTERN.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function unserializable(description, path) {
+  return new Error(`Result cannot be serialized: ${description} at ${path}`);
+}
+
+/**
+ * n8n binary entry holding the bytes as base64
+ */
+function toBinaryEntry(buffer) {
+  return { data: buffer.toString('base64'), mimeType: 'application/octet-stream', fileSize: buffer.length };
+}
+
+function serializeRich(value, path, ancestors) {
+  if (value === null) return null;
+
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      return Number.isFinite(value) ? value : { $type: 'number', value: String(value) };
+    case 'bigint':
+      return { $type: 'bigint', value: value.toString() };
+    case 'undefined':
+      return { $type: 'undefined' };
+    case 'function':
+      throw unserializable(`function ${value.name || '(anonymous)'}`, path);
+    case 'symbol':
+      throw unserializable(value.toString(), path);
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw unserializable('invalid Date', path);
+    return value.toISOString();
+  }
+  if (value instanceof ArrayBuffer) return toBinaryEntry(Buffer.from(value));
+  if (value instanceof Uint8Array || value instanceof DataView) {
+    return toBinaryEntry(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+  }
+  if (ArrayBuffer.isView(value)) {
+    const numbers = Array.from(value, (entry) => (typeof entry === 'bigint' ? entry.toString() : entry));
+    return { $type: value.constructor.name, value: numbers };
+  }
+
+  if (ancestors.includes(value)) throw unserializable('circular reference', path);
+  ancestors.push(value);
+  try {
+    if (value instanceof Map) {
+      return {
+        $type: 'Map',
+        value: Array.from(value, ([key, entry], index) => [
+          serializeRich(key, `${path}[map key ${index}]`, ancestors),
+          serializeRich(entry, `${path}[map value ${index}]`, ancestors),
+        ]),
+      };
+    }
+    if (value instanceof Set) {
+      return {
+        $type: 'Set',
+        value: Array.from(value, (entry, index) => serializeRich(entry, `${path}[set entry ${index}]`, ancestors)),
+      };
+    }
+    if (value instanceof Error) {
+      return { $type: 'Error', name: value.name, message: value.message };
+    }
+    if (Array.isArray(value)) {
+      return Array.from(value, (entry, index) => serializeRich(entry, childPath(path, index), ancestors));
+    }
+    if (typeof value.toJSON === 'function') {
+      return serializeRich(value.toJSON(), path, ancestors);
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry === undefined) continue;
+      result[key] = serializeRich(entry, childPath(path, key), ancestors);
+    }
+    return result;
+  } finally {
+    ancestors.pop();
+  }
+}
+
+/**
+ * Find the value JSON.stringify failed on, following the same rules it does
+ */
+function findJsonError(value, path, ancestors) {
+  if (value && typeof value.toJSON === 'function') value = value.toJSON();
+  if (typeof value === 'bigint') return unserializable('BigInt', path);
+  if (!value || typeof value !== 'object') return null;
+  if (ancestors.includes(value)) return unserializable('circular reference', path);
+
+  ancestors.push(value);
+  const entries = Array.isArray(value) ? value.map((entry, index) => [index, entry]) : Object.entries(value);
+  for (const [key, entry] of entries) {
+    const error = findJsonError(entry, childPath(path, key), ancestors);
+    if (error) return error;
+  }
+  ancestors.pop();
+  return null;
+}
+
+/**
+ * Convert the result of the user function for the payload
+ * @param {*} value - Returned value (undefined, for no result, is kept as is)
+ * @param {string} [serialization] - 'json' (default) or 'rich'
+ * @returns {*} - JSON-safe value
+ */
+function serializeResult(value, serialization = 'json') {
+  if (value === undefined) return undefined;
+
+  if (serialization === 'rich') {
+    return serializeRich(value, 'data', []);
+  }
+
+  try {
+    JSON.stringify(value);
+  } catch (error) {
+    throw findJsonError(value, 'data', []) || unserializable(error.message, 'data');
+  }
+  return value;
+}
+
+module.exports = {
+  SERIALIZATION_MODES,
+  isValidSerialization,
+  serializeResult,
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Entry point of a pre-started pool worker. Receives executions over IPC and
+ * runs them one at a time, each in a thread of its own (see executionThread)
+ * that is terminated once it reported its result, taking along the timers,
+ * modules and globals the user code left behind. Only the working directory
+ * is shared with the thread, and it is restored between executions.
+ */
+
+const THREAD_SCRIPT = path.join(__dirname, 'executionThread.js');
+const baseCwd = process.cwd();
+
+/**
+ * Run an execution in a new thread
+ * @returns {Promise<Object>} - { payload } reported by the thread, or { limitExceeded: 'memory' }
+ *   when the thread ran out of heap
+ */
+function runInThread(id, { executionDir, items, entryFile, streamConsole, secrets, runtimeOptions }) {
+  return new Promise((resolve) => {
+    const thread = new Worker(THREAD_SCRIPT, {
+      workerData: { executionDir, items, entryFile, streamConsole, runtimeOptions },
+      // A copy for the thread: the secrets and changes made by the user code go away with it
+      env: { ...process.env, ...secrets },
+    });
+    let outcome = null;
+
+    thread.on('message', (message) => {
+      if (!message || outcome) return;
+      if (message.type === 'console') {
+        process.send({ type: 'console', id, entry: message.entry });
+      } else if (message.type === 'result') {
+        outcome = { payload: message.payload };
+        thread.terminate();
+      }
+    });
+    thread.on('error', (error) => {
+      if (outcome) return;
+      outcome =
+        error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? { limitExceeded: 'memory' }
+          : { payload: { success: false, error: error.message, stack: error.stack, console: [] } };
+    });
+    thread.on('exit', () => {
+      resolve(outcome || { payload: { success: false, error: 'The code ended without returning a value', console: [] } });
+    });
+  });
+}
+
+async function handleExecute({ id, executionDir, ...execution }) {
+  let outcome;
+  try {
+    process.chdir(executionDir);
+    outcome = await runInThread(id, { executionDir, ...execution });
+  } finally {
+    process.chdir(baseCwd);
+  }
+  process.send({ type: 'result', id, ...outcome });
+}
+
+process.on('message', (message) => {
+  if (message && message.type === 'execute') {
+    handleExecute(message).catch((error) => {
+      process.send({
+        type: 'result',
+        id: message.id,
+        payload: { success: false, error: error.message, stack: error.stack, console: [] },
+      });
+    });
+  }
+});
+
+// Exit together with the parent instead of lingering as an orphan
+process.on('disconnect', () => process.exit(0));
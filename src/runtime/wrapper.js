@@ -0,0 +1,105 @@
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { runUserCode } = require('./runner');
+
+/**
+ * Entry point of a cold-spawned execution, started with the execution
+ * directory as its working directory. The input arrives on stdin: a JSON line
+ * with the entry file and runtime options, followed by the items as JSON.
+ * The payload is written as JSON to PAYLOAD_FD, so output the user code writes
+ * to stdout or stderr cannot be mistaken for it.
+ *
+ * Started with STREAM_FLAG, the items after the first line are NDJSON, passed
+ * to the user code as an async iterable, and its results are written as NDJSON
+ * to RESULTS_FD while it runs.
+ */
+
+const STREAM_FLAG = '--stream';
+const RESULTS_FD = 4;
+const PAYLOAD_FD = 5;
+
+/**
+ * Read stdin until the parent closes it. Nothing else runs before the input
+ * is available, so it is read synchronously without going through the event loop.
+ */
+function readInput() {
+  const input = fs.readFileSync(0);
+  const headerEnd = input.indexOf('\n');
+  if (headerEnd === -1) {
+    throw new Error('Missing execution header on stdin');
+  }
+  const { entryFile, runtimeOptions } = JSON.parse(input.toString('utf8', 0, headerEnd));
+  const items = JSON.parse(input.toString('utf8', headerEnd + 1));
+  return { entryFile, runtimeOptions, items };
+}
+
+/**
+ * Parse the remaining NDJSON lines of stdin one item at a time; blank lines are skipped
+ */
+async function* readItems(lines) {
+  let lineNumber = 0;
+  for (let next = await lines.next(); !next.done; next = await lines.next()) {
+    lineNumber++;
+    if (!next.value.trim()) continue;
+    try {
+      yield JSON.parse(next.value);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber} of the items: ${error.message}`);
+    }
+  }
+}
+
+async function runStream(onConsole) {
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity })[Symbol.asyncIterator]();
+  let entryFile;
+  let runtimeOptions;
+  try {
+    const header = await lines.next();
+    if (header.done) throw new Error('Missing execution header on stdin');
+    ({ entryFile, runtimeOptions } = JSON.parse(header.value));
+  } catch (error) {
+    return { success: false, error: `Invalid execution input: ${error.message}`, console: [] };
+  }
+
+  const results = fs.createWriteStream(null, { fd: RESULTS_FD });
+  // Waiting for 'drain' holds the user code back while the server is behind
+  const writeResult = (value) => {
+    if (!results.write(`${JSON.stringify(value) ?? 'null'}\n`)) return once(results, 'drain');
+  };
+  const payload = await runUserCode(
+    process.cwd(),
+    readItems(lines),
+    entryFile,
+    onConsole,
+    runtimeOptions || {},
+    writeResult
+  );
+  await new Promise((resolve) => results.end(resolve));
+  return payload;
+}
+
+async function main() {
+  // Stream console entries when started with an IPC channel, without
+  // letting the channel keep the process alive
+  const onConsole = process.send ? (entry) => process.send({ type: 'console', entry }) : undefined;
+  if (process.channel) process.channel.unref();
+
+  if (process.argv.includes(STREAM_FLAG)) {
+    return runStream(onConsole);
+  }
+
+  let input;
+  try {
+    input = readInput();
+  } catch (error) {
+    return { success: false, error: `Invalid execution input: ${error.message}`, console: [] };
+  }
+  return runUserCode(process.cwd(), input.items, input.entryFile, onConsole, input.runtimeOptions || {});
+}
+
+// Exit once the payload is written: timers or sockets left open by the
+// user code must not keep the process running until the timeout
+main().then((payload) => {
+  fs.createWriteStream(null, { fd: PAYLOAD_FD }).end(JSON.stringify(payload), () => process.exit());
+});
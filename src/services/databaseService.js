@@ -2,6 +2,72 @@ const path = require('path');
 const Database = require('better-sqlite3');
 const fs = require('fs');
 
+const JOB_STATUSES = ['pending', 'running', 'success', 'error', 'imported', 'interrupted', 'cancelled'];
+
+// Columns added after the first release, created on existing databases by _migrateSchema
+const ADDED_COLUMNS = {
+  error_type: 'TEXT',
+  output_files: 'TEXT',
+  error_location: 'TEXT',
+  peak_rss_bytes: 'INTEGER',
+  heap_used_bytes: 'INTEGER',
+  cpu_user_ms: 'REAL',
+  cpu_system_ms: 'REAL',
+  stdout_bytes: 'INTEGER',
+  stderr_bytes: 'INTEGER',
+  wall_time_ms: 'REAL',
+  files: 'TEXT',
+  entry: 'TEXT',
+  streamed: 'INTEGER DEFAULT 0',
+  uploaded: 'INTEGER DEFAULT 0',
+  item_count: 'INTEGER',
+  result_count: 'INTEGER',
+};
+
+/**
+ * CREATE TABLE statement of the jobs table (also used to rebuild it on migration)
+ */
+function jobsTableSql(tableName) {
+  const statuses = JOB_STATUSES.map((status) => `'${status}'`).join(', ');
+  return `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (${statuses})),
+      code TEXT NOT NULL,
+      files TEXT,
+      entry TEXT,
+      items TEXT,
+      streamed INTEGER DEFAULT 0,
+      uploaded INTEGER DEFAULT 0,
+      item_count INTEGER,
+      result_count INTEGER,
+      cache_key TEXT,
+      dependencies TEXT,
+      options TEXT,
+      console_output TEXT,
+      result_data TEXT,
+      output_files TEXT,
+      error_message TEXT,
+      error_type TEXT,
+      error_stack TEXT,
+      error_location TEXT,
+      execution_time_ms REAL,
+      dependency_install_time_ms REAL,
+      used_cache INTEGER DEFAULT 0,
+      peak_rss_bytes INTEGER,
+      heap_used_bytes INTEGER,
+      cpu_user_ms REAL,
+      cpu_system_ms REAL,
+      stdout_bytes INTEGER,
+      stderr_bytes INTEGER,
+      wall_time_ms REAL,
+      request_metadata TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      completed_at TEXT
+    )`;
+}
+
 class DatabaseService {
   constructor(dataDir = './data') {
     this.dataDir = dataDir;
@@ -23,33 +89,37 @@ class DatabaseService {
 
     // Create tables and indices
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS jobs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        job_id TEXT NOT NULL UNIQUE,
-        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'success', 'error', 'imported', 'interrupted')),
-        code TEXT NOT NULL,
-        items TEXT,
-        cache_key TEXT,
-        dependencies TEXT,
-        options TEXT,
-        console_output TEXT,
-        result_data TEXT,
-        error_message TEXT,
-        error_stack TEXT,
-        execution_time_ms REAL,
-        dependency_install_time_ms REAL,
-        used_cache INTEGER DEFAULT 0,
-        request_metadata TEXT,
-        created_at TEXT NOT NULL DEFAULT (datetime('now')),
-        completed_at TEXT
-      );
+      ${jobsTableSql('jobs')};
 
       CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
       CREATE INDEX IF NOT EXISTS idx_jobs_cache_key ON jobs(cache_key);
       CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
+
+      CREATE TABLE IF NOT EXISTS secrets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        cache_key TEXT NOT NULL DEFAULT '',
+        encrypted_value TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (name, cache_key)
+      );
+
+      CREATE TABLE IF NOT EXISTS job_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        error_message TEXT,
+        error_type TEXT,
+        duration_ms REAL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_attempts_job_id ON job_attempts(job_id);
     `);
 
-    // Migrate: add 'interrupted' status support for existing databases
+    // Migrate: extend the status CHECK constraint and add new columns for existing databases
     this._migrateSchema();
 
     console.log('Database initialized at', this.dbPath);
@@ -57,35 +127,24 @@ class DatabaseService {
   }
 
   /**
-   * Migrate schema for existing databases (adds 'interrupted' status)
+   * Migrate schema for existing databases. SQLite cannot alter a CHECK
+   * constraint, so the table is rebuilt when a status is missing from it;
+   * missing columns are added.
    */
   _migrateSchema() {
     const checkInfo = this.db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='jobs'").get();
-    if (checkInfo && checkInfo.sql && !checkInfo.sql.includes('interrupted')) {
-      const columns = 'id, job_id, status, code, items, cache_key, dependencies, options, console_output, result_data, error_message, error_stack, execution_time_ms, dependency_install_time_ms, used_cache, request_metadata, created_at, completed_at';
+    const missingStatuses = checkInfo && checkInfo.sql
+      ? JOB_STATUSES.filter((status) => !checkInfo.sql.includes(`'${status}'`))
+      : [];
+
+    if (missingStatuses.length > 0) {
+      const columns = this.db
+        .prepare('PRAGMA table_info(jobs)')
+        .all()
+        .map((column) => column.name)
+        .join(', ');
       const migrate = this.db.transaction(() => {
-        this.db.exec(`
-          CREATE TABLE jobs_new (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            job_id TEXT NOT NULL UNIQUE,
-            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'success', 'error', 'imported', 'interrupted')),
-            code TEXT NOT NULL,
-            items TEXT,
-            cache_key TEXT,
-            dependencies TEXT,
-            options TEXT,
-            console_output TEXT,
-            result_data TEXT,
-            error_message TEXT,
-            error_stack TEXT,
-            execution_time_ms REAL,
-            dependency_install_time_ms REAL,
-            used_cache INTEGER DEFAULT 0,
-            request_metadata TEXT,
-            created_at TEXT NOT NULL DEFAULT (datetime('now')),
-            completed_at TEXT
-          )
-        `);
+        this.db.exec(jobsTableSql('jobs_new'));
         this.db.exec(`INSERT INTO jobs_new (${columns}) SELECT ${columns} FROM jobs`);
         this.db.exec('DROP TABLE jobs');
         this.db.exec('ALTER TABLE jobs_new RENAME TO jobs');
@@ -93,8 +152,22 @@ class DatabaseService {
         this.db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_cache_key ON jobs(cache_key)');
         this.db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at)');
       });
-      migrate();
-      console.log('Database schema migrated: added interrupted status');
+      // Dropping the old table must not cascade to the rows referencing it (job_attempts)
+      this.db.pragma('foreign_keys = OFF');
+      try {
+        migrate();
+      } finally {
+        this.db.pragma('foreign_keys = ON');
+      }
+      console.log(`Database schema migrated: added ${missingStatuses.join(', ')} status`);
+    }
+
+    const columns = this.db.prepare('PRAGMA table_info(jobs)').all().map((column) => column.name);
+    for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE jobs ADD COLUMN ${column} ${type}`);
+        console.log(`Database schema migrated: added ${column} column`);
+      }
     }
   }
 
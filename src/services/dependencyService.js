@@ -1,6 +1,7 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { exec } = require('child_process');
+const { isSourceFile } = require('../utils/bundleUtils');
 
 /**
  * Native Node.js modules that should be excluded from dependencies
@@ -49,9 +50,16 @@ class DependencyService {
   }
 
   /**
-   * Extract dependencies from code
+   * Extract dependencies from code, or from every source file of a multi-file
+   * bundle (file contents by path). Relative and absolute imports are local files.
    */
   extractDependencies(code) {
+    if (code && typeof code === 'object') {
+      return Object.entries(code)
+        .filter(([filePath]) => isSourceFile(filePath))
+        .reduce((dependencies, [, source]) => ({ ...dependencies, ...this.extractDependencies(source) }), {});
+    }
+
     const dependencies = {};
 
     // Match both require statements and import statements
@@ -60,28 +68,34 @@ class DependencyService {
     const importRegex =
       /import\s+(?:(?:\{[^}]*\}|\*\s+as\s+[^\s]+|[^\s,{}]+)(?:\s*,\s*(?:\{[^}]*\}|\*\s+as\s+[^\s]+|[^\s,{}]+))*\s+from\s+)?['"](@?[^'"]+)['"]/g;
 
+    // Type-only imports/exports (TypeScript) are erased at compile time and
+    // never load the package: `import type X from 'pkg'`, `import { type X } from 'pkg'`
+    const source = code
+      .replace(/\b(?:import|export)\s+type\s+(?!from\s*['"])[^;'"]*?\bfrom\s*['"][^'"]+['"]/g, '')
+      .replace(/\bimport\s*\{\s*(?:type\s+[^,}]+,?\s*)+\}\s*from\s*['"][^'"]+['"]/g, '');
+
     let match;
 
     // Extract from require statements
-    while ((match = requireRegex.exec(code)) !== null) {
+    while ((match = requireRegex.exec(source)) !== null) {
       const fullPackageName = match[1];
       // Extract base package name (without version specifier)
       const packageName = this.extractBasePackageName(fullPackageName);
 
-      // Exclude native Node.js modules
-      if (!this.isNativeModule(packageName)) {
+      // Exclude native Node.js modules and local files
+      if (!this.isNativeModule(packageName) && !this.isLocalModule(fullPackageName)) {
         dependencies[packageName] = 'latest';
       }
     }
 
     // Extract from import statements
-    while ((match = importRegex.exec(code)) !== null) {
+    while ((match = importRegex.exec(source)) !== null) {
       const fullPackageName = match[1];
       // Extract base package name (without version specifier)
       const packageName = this.extractBasePackageName(fullPackageName);
 
-      // Exclude native Node.js modules
-      if (!this.isNativeModule(packageName)) {
+      // Exclude native Node.js modules and local files
+      if (!this.isNativeModule(packageName) && !this.isLocalModule(fullPackageName)) {
         dependencies[packageName] = 'latest';
       }
     }
@@ -106,6 +120,13 @@ class DependencyService {
     return match ? match[1] : fullName;
   }
 
+  /**
+   * Check if a module specifier points at a local file (./lib, ../config.json, /abs/path)
+   */
+  isLocalModule(specifier) {
+    return specifier.startsWith('.') || specifier.startsWith('/');
+  }
+
   /**
    * Check if a module is a native Node.js module
    */
@@ -147,15 +168,26 @@ class DependencyService {
     return installedDependencies;
   }
 
+  /**
+   * Check whether the cache holds exactly the given versions of the dependencies
+   */
+  async hasCachedVersions(cachePath, dependencies) {
+    const cachedVersions = await this.getInstalledVersions(cachePath, dependencies);
+    return Object.entries(dependencies).every(([pkg, version]) => cachedVersions[pkg] === version);
+  }
+
   /**
    * Install dependencies
+   * @param {Object} [hooks] - { onProgress, signal }: onProgress receives progress messages
+   *   (cache usage, pnpm output); aborting signal kills a running pnpm install
    */
   async installDependencies(
     dependencies,
     codeDir,
     cacheKey,
     cachePath,
-    forceUpdate = false
+    forceUpdate = false,
+    { onProgress = () => {}, signal } = {}
   ) {
     // Ensure we have absolute paths for cache and target directories
     const cacheModulesPath = path.join(cachePath, 'node_modules');
@@ -185,6 +217,7 @@ class DependencyService {
 
           if (missingDependencies.length === 0) {
             console.log(`Using cached dependencies for key: ${cacheKey}`);
+            onProgress(`Using cached dependencies: ${Object.keys(dependencies).join(', ')}`);
             // Create symlink from cache to execution directory
             try {
               await fs.symlink(cacheModulesPath, targetNodeModules);
@@ -227,7 +260,8 @@ class DependencyService {
         const pinnedVersions = await this.readPinnedVersions(cachePath);
         if (pinnedVersions) {
           for (const [pkg, version] of Object.entries(dependencies)) {
-            if (pinnedVersions[pkg]) {
+            // Versions requested explicitly (e.g. to replay a job) are kept
+            if (pinnedVersions[pkg] && version === 'latest') {
               dependencies[pkg] = pinnedVersions[pkg];
             }
           }
@@ -252,10 +286,11 @@ class DependencyService {
 
       // Install dependencies
       console.log('Installing dependencies:', dependencies);
+      onProgress(`Installing dependencies: ${Object.keys(dependencies).join(', ')}`);
       return new Promise((resolve, reject) => {
-        exec(
+        const install = exec(
           'pnpm install --no-frozen-lockfile',
-          { cwd: codeDir },
+          { cwd: codeDir, signal },
           async (error, stdout, stderr) => {
             if (error) {
               console.error(`pnpm install error: ${error.message}`);
@@ -314,9 +349,17 @@ class DependencyService {
             }
 
             console.log('Dependencies installed successfully');
+            onProgress('Dependencies installed successfully');
             resolve({ success: true, dependencies: actualDependencies });
           }
         );
+
+        // Forward pnpm output line by line while it is installing
+        install.stdout.on('data', (data) => {
+          for (const line of data.toString().split('\n')) {
+            if (line.trim()) onProgress(line.trim());
+          }
+        });
       });
     } catch (error) {
       console.error('Error in dependency installation:', error);
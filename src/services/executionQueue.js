@@ -0,0 +1,101 @@
+function cancelledError() {
+  const error = new Error('Execution cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Limits how many executions (dependency install and code run) happen at
+ * once. Executions over the limit wait in FIFO order for a free slot.
+ */
+class ExecutionQueue {
+  constructor({ maxConcurrent = 0, maxQueueLength = 0 } = {}) {
+    // 0 = unlimited
+    this.maxConcurrent = Math.max(0, maxConcurrent);
+    this.maxQueueLength = Math.max(0, maxQueueLength);
+
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Get the number of running and queued executions
+   */
+  getStats() {
+    return {
+      running: this.running,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueueLength: this.maxQueueLength,
+    };
+  }
+
+  _hasFreeSlot() {
+    return this.maxConcurrent === 0 || this.running < this.maxConcurrent;
+  }
+
+  /**
+   * Whether a new execution would exceed the maximum queue length
+   */
+  isFull() {
+    if (this._hasFreeSlot() && this.waiting.length === 0) return false;
+    return this.maxQueueLength > 0 && this.waiting.length >= this.maxQueueLength;
+  }
+
+  /**
+   * 1-based position of a queued execution, or 0 when it is not queued
+   */
+  getPosition(id) {
+    return this.waiting.findIndex((entry) => entry.id === id) + 1;
+  }
+
+  /**
+   * Wait for a free slot. Resolves with a function releasing the slot;
+   * rejects with a `cancelled` error when the signal is aborted while queued.
+   */
+  acquire(id, signal) {
+    if (signal && signal.aborted) return Promise.reject(cancelledError());
+
+    if (this._hasFreeSlot() && this.waiting.length === 0) {
+      this.running++;
+      return Promise.resolve(this._createRelease());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { id, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.waiting.indexOf(entry);
+          if (index !== -1) this.waiting.splice(index, 1);
+          reject(cancelledError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this.waiting.push(entry);
+    });
+  }
+
+  _createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.running--;
+      this._next();
+    };
+  }
+
+  /**
+   * Hand free slots to the oldest queued executions
+   */
+  _next() {
+    while (this.waiting.length > 0 && this._hasFreeSlot()) {
+      const entry = this.waiting.shift();
+      if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+      this.running++;
+      entry.resolve(this._createRelease());
+    }
+  }
+}
+
+module.exports = ExecutionQueue;
@@ -1,13 +1,189 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { spawn } = require('child_process');
+const readline = require('readline');
 const { performance } = require('perf_hooks');
+const WorkerPool = require('./workerPool');
+const { monitorProcessLimits, isOutOfMemoryError } = require('../utils/processUtils');
+const { resolveSandboxPolicy, buildPermissionArgs, buildPermissionEnv } = require('../utils/permissionUtils');
+const { resolveModuleType } = require('../utils/moduleUtils');
+const { getMimeType } = require('../utils/mimeUtils');
+const { materializeBinaryInputs, inlineBinaryReferences } = require('../utils/binaryUtils');
+const { buildExecutionEnv } = require('../utils/secretUtils');
+
+const RUNNER_PATH = path.join(__dirname, '../runtime/runner.js');
+const WRAPPER_PATH = path.join(__dirname, '../runtime/wrapper.js');
+// Wrapper flag of streamed executions and the descriptor their results are written to
+const STREAM_FLAG = '--stream';
+const RESULTS_FD = 4;
+// Descriptor the wrapper writes the payload to, apart from what the user code writes to stdout
+const PAYLOAD_FD = 5;
+
+const ENTRY_FILES = {
+  cjs: 'execution.js',
+  esm: 'execution.mjs',
+};
+
+const LIMIT_ERRORS = {
+  memory: 'Memory limit exceeded',
+  cpu: 'CPU time limit exceeded',
+  output: 'Output limit exceeded (too much written to stdout or stderr)',
+};
+
+// errorType reported when a resource limit kills the execution
+const LIMIT_ERROR_TYPES = {
+  memory: 'memory_exceeded',
+  cpu: 'timeout',
+  output: 'output_limit_exceeded',
+};
+
+// Tail of stderr kept to report crashes of spawned executions
+const STDERR_TAIL_BYTES = 4096;
+
+const CANCELLED_ERROR = 'Execution cancelled';
+
+// Binary entries of the input items are written here for the user code to read
+const INPUT_DIR = 'input';
+// Files written here by the user code are returned as binary attachments
+const OUTPUT_DIR = 'output';
+
+/**
+ * Pass each non-empty line of a stream to onLine, waiting for the promise it
+ * may return before reading on
+ */
+async function forwardLines(stream, onLine) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line && onLine) await onLine(line);
+  }
+}
 
 class ExecutionService {
-  constructor(executionDir, defaultTimeout, maxExecutionDirs) {
+  constructor(executionDir, defaultTimeout, maxExecutionDirs, options = {}) {
     this.executionDir = executionDir;
     this.defaultTimeout = defaultTimeout;
     this.maxExecutionDirs = maxExecutionDirs ?? 100;
+    // 'pool' runs code on pre-started workers, 'spawn' starts a fresh node process per execution
+    this.mode = options.mode === 'pool' ? 'pool' : 'spawn';
+    this.poolOptions = options.pool || {};
+    this.workerPool = null;
+    // Per-execution resource limits: defaults and server-side ceilings (0 = unlimited)
+    this.limits = {
+      memoryLimitMb: 0,
+      maxMemoryLimitMb: 0,
+      cpuTimeMs: 0,
+      maxCpuTimeMs: 0,
+      ...options.limits,
+    };
+    // Permission model policies: { defaults, cacheKeys: { [cacheKey]: policy } }
+    this.sandbox = options.sandbox || {};
+    // Size limits in bytes for collected output files (0 = unlimited)
+    this.outputLimits = {
+      maxFileSize: 0,
+      maxTotalSize: 0,
+      ...options.outputLimits,
+    };
+    // Console and result size limits applied by the runtime; over them the output is truncated (0 = unlimited)
+    this.captureLimits = {
+      maxConsoleEntries: 0,
+      maxConsoleBytes: 0,
+      maxResultBytes: 0,
+      ...options.captureLimits,
+    };
+  }
+
+  /**
+   * Get the sandbox policy that applies to a cache key
+   */
+  resolveSandboxPolicy(cacheKey) {
+    return resolveSandboxPolicy(this.sandbox, cacheKey);
+  }
+
+  /**
+   * Node flags restricting a sandboxed execution to its own directory:
+   * reads from the directory, its node_modules and the runtime, writes to the directory
+   */
+  async _getPermissionArgs(policy, executionDir) {
+    if (!policy.enabled) return [];
+
+    const dirs = [path.resolve(executionDir)];
+    const realDir = await fs.realpath(executionDir).catch(() => null);
+    if (realDir) dirs.push(realDir);
+
+    const readPaths = [...dirs, path.dirname(RUNNER_PATH), ...policy.allowRead];
+    // Cached dependencies are symlinked into the execution directory
+    const nodeModules = await fs
+      .realpath(path.join(executionDir, 'node_modules'))
+      .catch(() => null);
+    if (nodeModules) readPaths.push(nodeModules);
+
+    return buildPermissionArgs({
+      readPaths,
+      writePaths: [...dirs, ...policy.allowWrite],
+      allowChildProcess: policy.allowChildProcess,
+      allowWorker: policy.allowWorker,
+    });
+  }
+
+  /**
+   * Resolve the effective limits for an execution, applying the server
+   * defaults and capping requested values at the configured ceilings
+   */
+  resolveLimits({ memoryLimitMb, cpuTimeMs } = {}) {
+    const resolve = (requested, fallback, ceiling) => {
+      let value = requested > 0 ? requested : fallback;
+      if (ceiling > 0 && (!(value > 0) || value > ceiling)) {
+        value = ceiling;
+      }
+      return value > 0 ? value : 0;
+    };
+
+    return {
+      memoryLimitMb: resolve(memoryLimitMb, this.limits.memoryLimitMb, this.limits.maxMemoryLimitMb),
+      cpuTimeMs: resolve(cpuTimeMs, this.limits.cpuTimeMs, this.limits.maxCpuTimeMs),
+    };
+  }
+
+  /**
+   * Node flags enforcing the heap part of a memory limit
+   */
+  _getNodeArgs({ memoryLimitMb }) {
+    return memoryLimitMb ? [`--max-old-space-size=${memoryLimitMb}`] : [];
+  }
+
+  /**
+   * Pre-start pool workers when running in pool mode
+   */
+  initialize() {
+    if (this.mode === 'pool') {
+      this.getWorkerPool();
+    }
+    return this;
+  }
+
+  /**
+   * Get the worker pool, starting it on first use
+   */
+  getWorkerPool() {
+    if (!this.workerPool) {
+      this.workerPool = new WorkerPool({
+        ...this.poolOptions,
+        // Workers are started with the default limits; executions asking for
+        // a different memory limit are cold-spawned instead
+        execArgv: this._getNodeArgs(this.resolveLimits()),
+      }).start();
+    }
+    return this.workerPool;
+  }
+
+  /**
+   * Stop all pooled workers
+   */
+  async shutdown() {
+    if (this.workerPool) {
+      await this.workerPool.shutdown();
+      this.workerPool = null;
+    }
   }
 
   /**
@@ -97,270 +273,475 @@ class ExecutionService {
   }
 
   /**
-   * Execute code in a sandboxed environment
+   * Execute code in a sandboxed environment.
+   * runOptions.onConsole receives console entries while the code is running;
+   * aborting runOptions.signal kills the execution.
+   * runOptions.mode 'eachItem' calls the function once per item (see runEachItem in the runtime).
+   * runOptions.secrets (values by name) are set as environment variables of the execution.
+   * runOptions.serialization ('json', the default, or 'rich') selects how the result is serialized.
+   * runOptions.deterministic ({ seed, time }) seeds Math.random and freezes Date.
+   * runOptions.files (contents by relative path) are written next to the code, which is
+   * written in the directory of runOptions.entry for multi-file bundles.
+   * runOptions.itemStream (a readable of NDJSON items) replaces items: the items are piped to
+   * the code as they are read and runOptions.onResult(line) receives each result as an NDJSON
+   * line while it runs, the payload carrying no data. It may return a promise to pause the code.
+   * Failures reject with an `errorType`: timeout, killed_by_signal,
+   * memory_exceeded, output_limit_exceeded, invalid_output or user_error.
    */
   async executeCode(
     code,
     items,
     executionDir,
     timeout,
-    collectDebugInfo = false
+    collectDebugInfo = false,
+    runOptions = {}
   ) {
-    const executionFile = path.join(executionDir, 'execution.js');
-    const dataFile = path.join(executionDir, 'data.json');
-    const wrapperFile = path.join(executionDir, 'wrapper.js');
-    const debugFile = path.join(executionDir, 'debug.json');
+    const moduleType = resolveModuleType(code, runOptions.moduleType);
+    // The entry of a multi-file bundle is written in its own directory, so its relative imports resolve
+    const entryFile = runOptions.entry
+      ? path.posix.join(path.posix.dirname(runOptions.entry), ENTRY_FILES[moduleType])
+      : ENTRY_FILES[moduleType];
+    const executionFile = path.join(executionDir, entryFile);
+    const effectiveTimeout = timeout || this.defaultTimeout;
+    const limits = this.resolveLimits(runOptions);
+    const sandbox = this.resolveSandboxPolicy(runOptions.cacheKey);
+    const streamed = !!runOptions.itemStream;
+    // Pooled workers have a fixed heap size and no permission restrictions, so
+    // a custom memory limit or a sandboxed execution needs a fresh process;
+    // streamed items and results need its pipes
+    const mode =
+      this.mode === 'pool' &&
+      !sandbox.enabled &&
+      !streamed &&
+      limits.memoryLimitMb === this.resolveLimits().memoryLimitMb
+        ? 'pool'
+        : 'spawn';
 
     // Start timing for execution
     const startTime = performance.now();
+    let runStartTime = null;
+
+    // The wall time is measured here, so killed executions, which report no
+    // resource usage of their own, still get it (with their output byte counts)
+    const withWallTime = (payload) => {
+      if (runStartTime !== null) {
+        payload.resourceUsage = {
+          ...payload.resourceUsage,
+          wallTimeMs: parseFloat((performance.now() - runStartTime).toFixed(2)),
+        };
+      }
+      return payload;
+    };
+
+    const withDebugInfo = (response) => {
+      if (collectDebugInfo) {
+        const executionTime = (performance.now() - startTime).toFixed(2);
+        response.debug = {
+          executionTimeMs: parseFloat(executionTime),
+          executionMode: mode,
+          moduleType,
+          limits,
+          sandboxed: sandbox.enabled,
+        };
+      }
+      return response;
+    };
 
     try {
-      // Write the user code to a file
+      // Write the user code to a file, next to the other files of a bundle
+      await this.writeBundleFiles(executionDir, runOptions.files);
+      await fs.mkdir(path.dirname(executionFile), { recursive: true });
       await fs.writeFile(executionFile, code);
+      // Files written by a previous attempt of a retried execution are not collected again
+      await fs.rm(path.join(executionDir, OUTPUT_DIR), { recursive: true, force: true });
+      await fs.mkdir(path.join(executionDir, OUTPUT_DIR), { recursive: true });
+
+      const run = {
+        items: streamed ? undefined : await materializeBinaryInputs(items, executionDir, INPUT_DIR),
+        itemStream: runOptions.itemStream,
+        onResult: runOptions.onResult,
+        executionDir,
+        entryFile,
+        timeout: effectiveTimeout,
+        limits,
+        // Writes to stdout and stderr bypass the console capture, so they count against its byte limit
+        maxOutputBytes: this.captureLimits.maxConsoleBytes,
+        sandbox,
+        onConsole: runOptions.onConsole,
+        signal: runOptions.signal,
+        secrets: runOptions.secrets || {},
+        runtimeOptions: {
+          consoleArgs: !!runOptions.consoleArgs,
+          mode: runOptions.mode || 'all',
+          concurrency: runOptions.concurrency || 1,
+          continueOnFail: !!runOptions.continueOnFail,
+          secretNames: Object.keys(runOptions.secrets || {}),
+          serialization: runOptions.serialization || 'json',
+          deterministic: runOptions.deterministic || null,
+          ...this.captureLimits,
+        },
+      };
+      runStartTime = performance.now();
+      const result = withWallTime(
+        mode === 'pool' ? await this._runInWorkerPool(run) : await this._runInChildProcess(run)
+      );
+
+      // Ensure console property exists
+      if (!result.console) {
+        result.console = [];
+      }
 
-      // Write the input data to a file
-      await fs.writeFile(dataFile, JSON.stringify(items));
-
-      // Create a wrapper script that will import the user code and execute it
-      const wrapperCode = `
-        const userModule = require('./execution.js');
-        const fs = require('fs');
-        const path = require('path');
-
-        // Initialize console capture array
-        const consoleCapture = [];
-
-        // Save original console methods
-        const originalConsole = {
-          log: console.log,
-          info: console.info,
-          warn: console.warn,
-          error: console.error,
-          debug: console.debug
-        };
-
-        // Helper function to safely stringify objects
-        function safeStringify(obj) {
-          try {
-            if (obj === undefined) return 'undefined';
-            if (obj === null) return 'null';
-            if (typeof obj === 'object') return JSON.stringify(obj);
-            return String(obj);
-          } catch (err) {
-            return '[Circular or Non-Serializable Object]';
-          }
-        }
+      // Input files returned unchanged get their content back
+      if (!streamed) {
+        result.data = await inlineBinaryReferences(result.data, executionDir, INPUT_DIR);
+      }
 
-        // Override console methods to capture output
-        console.log = function(...args) {
-          const message = args.map(safeStringify).join(' ');
-          consoleCapture.push({ type: 'log', message, timestamp: new Date().toISOString() });
-        };
+      const binary = await this.collectOutputFiles(executionDir, result.console);
+      if (binary) {
+        result.binary = binary;
+      }
 
-        console.info = function(...args) {
-          const message = args.map(safeStringify).join(' ');
-          consoleCapture.push({ type: 'info', message, timestamp: new Date().toISOString() });
-        };
+      return withDebugInfo(result);
+    } catch (error) {
+      if (error && error.success === false) {
+        throw withDebugInfo(withWallTime(error));
+      }
+      console.error('Error in code execution:', error);
+      throw withDebugInfo({
+        success: false,
+        error: error.message,
+        console: [], // Include empty console array for consistency
+      });
+    }
+  }
 
-        console.warn = function(...args) {
-          const message = args.map(safeStringify).join(' ');
-          consoleCapture.push({ type: 'warn', message, timestamp: new Date().toISOString() });
-        };
+  /**
+   * Write the files of a multi-file bundle (contents by path relative to the
+   * execution directory, see validateBundle)
+   */
+  async writeBundleFiles(executionDir, files = {}) {
+    for (const [filePath, content] of Object.entries(files)) {
+      const target = path.join(executionDir, filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+    }
+  }
 
-        console.error = function(...args) {
-          const message = args.map(safeStringify).join(' ');
-          consoleCapture.push({ type: 'error', message, timestamp: new Date().toISOString() });
-        };
+  /**
+   * Read the files written to the output directory as n8n-style binary
+   * entries keyed by their path relative to it. Symlinks are skipped so
+   * user code cannot expose files from outside the execution directory.
+   */
+  async collectOutputFiles(executionDir, consoleOutput = []) {
+    const outputDir = path.join(executionDir, OUTPUT_DIR);
+    const entries = await fs.readdir(outputDir, { recursive: true }).catch(() => []);
+    const { maxFileSize, maxTotalSize } = this.outputLimits;
+    const outputLimitError = (error) => ({
+      success: false,
+      error,
+      errorType: 'invalid_output',
+      console: consoleOutput,
+    });
+
+    const binary = {};
+    let totalSize = 0;
+    for (const entry of entries.sort()) {
+      const filePath = path.join(outputDir, entry);
+      const stats = await fs.lstat(filePath);
+      if (!stats.isFile()) continue;
+
+      const name = entry.split(path.sep).join('/');
+      if (maxFileSize > 0 && stats.size > maxFileSize) {
+        throw outputLimitError(
+          `Output file ${name} is ${stats.size} bytes, exceeding the limit of ${maxFileSize} bytes`
+        );
+      }
+      totalSize += stats.size;
+      if (maxTotalSize > 0 && totalSize > maxTotalSize) {
+        throw outputLimitError(
+          `Output files exceed the total size limit of ${maxTotalSize} bytes`
+        );
+      }
 
-        console.debug = function(...args) {
-          const message = args.map(safeStringify).join(' ');
-          consoleCapture.push({ type: 'debug', message, timestamp: new Date().toISOString() });
-        };
+      const data = await fs.readFile(filePath);
+      binary[name] = {
+        fileName: path.basename(filePath),
+        mimeType: getMimeType(filePath),
+        data: data.toString('base64'),
+        fileSize: stats.size,
+      };
+    }
 
-        ${
-          collectDebugInfo
-            ? `
-        // For debug info collection
-        const collectDependencyInfo = () => {
-          const dependencies = {};
-          try {
-            const packageJson = require('./package.json');
-            if (packageJson.dependencies) {
-              Object.keys(packageJson.dependencies).forEach(dep => {
-                try {
-                  // Try to get the actual version from node_modules
-                  const depPackageJson = require(path.join('./node_modules', dep, 'package.json'));
-                  dependencies[dep] = depPackageJson.version;
-                } catch (err) {
-                  dependencies[dep] = packageJson.dependencies[dep] + ' (specified)';
-                }
-              });
-            }
-          } catch (err) {
-            // No package.json found
-          }
-          return dependencies;
-        };
+    return Object.keys(binary).length > 0 ? binary : null;
+  }
 
-        // Collect debug info
-        const debugInfo = {
-          // nodeVersion: process.version,
-          // platform: process.platform,
-          // arch: process.arch,
-          // dependencies: collectDependencyInfo()
+  /**
+   * Run the execution on a pre-started worker from the pool
+   */
+  async _runInWorkerPool({
+    items,
+    executionDir,
+    entryFile,
+    timeout,
+    limits,
+    maxOutputBytes,
+    onConsole,
+    signal,
+    secrets,
+    runtimeOptions,
+  }) {
+    let payload;
+    try {
+      payload = await this.getWorkerPool().run(
+        { executionDir: path.resolve(executionDir), items, entryFile, onConsole, signal, secrets, runtimeOptions },
+        timeout,
+        { ...limits, maxOutputBytes }
+      );
+    } catch (error) {
+      console.error(`Pooled execution failed: ${error.message}`);
+      // Bytes the worker wrote before it was killed or crashed
+      const resourceUsage = error.outputBytes;
+      if (error.cancelled) {
+        throw { success: false, error: CANCELLED_ERROR, cancelled: true, console: [], resourceUsage };
+      }
+      if (error.limitExceeded) {
+        throw {
+          success: false,
+          error: LIMIT_ERRORS[error.limitExceeded],
+          errorType: LIMIT_ERROR_TYPES[error.limitExceeded],
+          console: [], // Include empty console array for consistency
+          resourceUsage,
         };
+      }
+      // A worker exiting cleanly never reported a result; other exits are crashes of the user code
+      let errorType;
+      if (error.timedOut) errorType = 'timeout';
+      else if (error.exitSignal) errorType = 'killed_by_signal';
+      else if (error.exitCode === 0) errorType = 'invalid_output';
+      else if (error.exitCode != null) errorType = 'user_error';
+      throw {
+        success: false,
+        error: error.stderr || error.message,
+        ...(errorType ? { errorType } : {}),
+        console: [], // Include empty console array for consistency
+        resourceUsage,
+      };
+    }
 
-        fs.writeFileSync('./debug.json', JSON.stringify(debugInfo));
-        `
-            : ''
-        }
-
-        // Read input data
-        const items = JSON.parse(fs.readFileSync('./data.json', 'utf8'));
-
-        // Ensure the module exports a function
-        if (typeof userModule !== 'function') {
-          throw new Error('The code must export a function');
-        }
+    if (!payload) {
+      throw { success: false, error: 'Invalid output format', errorType: 'invalid_output', console: [] };
+    }
+    if (!payload.success) {
+      throw { ...payload, errorType: payload.errorType || 'user_error' };
+    }
+    return payload;
+  }
 
-        // Execute the function
-        Promise.resolve()
-          .then(() => userModule(items))
-          .then(result => {
-            // Write result to stdout using original console.log to avoid capture
-            originalConsole.log(JSON.stringify({
-              success: true,
-              data: result,
-              console: consoleCapture
-            }));
-          })
-          .catch(error => {
-            // Write error to stderr using original console.error to avoid capture
-            originalConsole.error(JSON.stringify({
-              success: false,
-              error: error.message,
-              stack: error.stack,
-              console: consoleCapture
-            }));
-          });
-      `;
+  /**
+   * Cold-spawn a fresh node process running the static wrapper script.
+   * The input is streamed to it over stdin and the payload comes back on a
+   * pipe of its own; when console entries are streamed they are sent back over
+   * an IPC channel. Streamed results come back as NDJSON on another pipe (see
+   * the wrapper). stdout and stderr only carry what the user code writes there:
+   * they are counted, not parsed, and the process is killed past maxOutputBytes.
+   */
+  async _runInChildProcess({
+    items,
+    itemStream,
+    onResult,
+    executionDir,
+    entryFile,
+    timeout,
+    limits,
+    maxOutputBytes,
+    sandbox,
+    onConsole,
+    signal,
+    secrets,
+    runtimeOptions,
+  }) {
+    const nodeArgs = [
+      ...this._getNodeArgs(limits),
+      ...(await this._getPermissionArgs(sandbox, executionDir)),
+    ];
+
+    const header = `${JSON.stringify({ entryFile, runtimeOptions: runtimeOptions || {} })}\n`;
+    let resultsForwarded = Promise.resolve();
+
+    // Execute the wrapper script
+    const outcome = new Promise((resolve, reject) => {
+      const child = spawn('node', [...nodeArgs, WRAPPER_PATH, ...(itemStream ? [STREAM_FLAG] : [])], {
+        cwd: executionDir,
+        // Secrets only reach the process through its environment, never the files it is started from
+        env: { ...buildExecutionEnv(secrets), ...(sandbox.enabled ? buildPermissionEnv(sandbox) : {}) },
+        stdio: ['pipe', 'pipe', 'pipe', onConsole ? 'ipc' : 'ignore', itemStream ? 'pipe' : 'ignore', 'pipe'],
+      });
 
-      await fs.writeFile(wrapperFile, wrapperCode);
+      // The input is serialized while the process boots: a header line with the
+      // entry file and runtime options, then the items. A process that dies
+      // before reading it closes the pipe, and the close handler reports why.
+      child.stdin.on('error', () => {});
+      if (itemStream) {
+        // Not pipeline(): a process ending early must not destroy the source (the request)
+        child.stdin.write(header);
+        itemStream.pipe(child.stdin);
+        resultsForwarded = forwardLines(child.stdio[RESULTS_FD], onResult);
+      } else {
+        child.stdin.end(`${header}${JSON.stringify(items)}`);
+      }
 
-      // Execute the wrapper script
-      return new Promise((resolve, reject) => {
-        const process = spawn('node', ['wrapper.js'], {
-          cwd: executionDir,
-          timeout: timeout || this.defaultTimeout,
+      if (onConsole) {
+        child.on('message', (message) => {
+          if (message && message.type === 'console') onConsole(message.entry);
         });
+      }
 
-        let stdout = '';
-        let stderr = '';
+      const payloadChunks = [];
+      let stderr = '';
+      const outputBytes = { stdoutBytes: 0, stderrBytes: 0 };
+      let limitExceeded = null;
+      let cancelled = false;
+      let timedOut = false;
+
+      const timer = timeout
+        ? setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+          }, timeout)
+        : null;
+
+      const onAbort = () => {
+        cancelled = true;
+        child.kill('SIGKILL');
+      };
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
 
-        process.stdout.on('data', (data) => {
-          stdout += data.toString();
-        });
+      const stopMonitor = monitorProcessLimits(child.pid, limits, (limit) => {
+        limitExceeded = limit;
+        child.kill('SIGKILL');
+      });
 
-        process.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
+      const countOutput = (counter, data) => {
+        outputBytes[counter] += data.length;
+        const total = outputBytes.stdoutBytes + outputBytes.stderrBytes;
+        if (maxOutputBytes && total > maxOutputBytes && !limitExceeded) {
+          limitExceeded = 'output';
+          child.kill('SIGKILL');
+        }
+      };
+      child.stdout.on('data', (data) => countOutput('stdoutBytes', data));
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-STDERR_TAIL_BYTES);
+        countOutput('stderrBytes', data);
+      });
+      child.stdio[PAYLOAD_FD].on('data', (data) => payloadChunks.push(data));
 
-        process.on('close', async (code) => {
-          // Calculate execution time
-          const endTime = performance.now();
-          const executionTime = (endTime - startTime).toFixed(2);
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        stopMonitor();
+        if (signal) signal.removeEventListener('abort', onAbort);
 
-          let debugInfo = null;
+        if (cancelled) {
+          console.error('Execution cancelled');
+          reject({ success: false, error: CANCELLED_ERROR, cancelled: true, console: [], resourceUsage: { ...outputBytes } });
+          return;
+        }
 
-          if (collectDebugInfo) {
-            try {
-              const debugFileContent = await fs.readFile(debugFile, 'utf8');
-              debugInfo = JSON.parse(debugFileContent);
+        if (!limitExceeded && isOutOfMemoryError(stderr)) {
+          limitExceeded = 'memory';
+        }
+        if (limitExceeded) {
+          console.error(`Execution killed: ${LIMIT_ERRORS[limitExceeded]}`);
+          reject({
+            success: false,
+            error: LIMIT_ERRORS[limitExceeded],
+            errorType: LIMIT_ERROR_TYPES[limitExceeded],
+            console: [], // Include empty console array for consistency
+            resourceUsage: { ...outputBytes },
+          });
+          return;
+        }
 
-              // Add execution time
-              debugInfo.executionTimeMs = parseFloat(executionTime);
-            } catch (error) {
-              console.error('Error reading debug info:', error);
-              debugInfo = { error: 'Failed to collect debug info' };
-            }
-          }
+        if (timedOut) {
+          console.error(`Execution timed out after ${timeout}ms`);
+          reject({
+            success: false,
+            error: `Execution timed out after ${timeout}ms`,
+            errorType: 'timeout',
+            console: [], // Include empty console array for consistency
+            resourceUsage: { ...outputBytes },
+          });
+          return;
+        }
 
-          if (code !== 0 || stderr) {
-            console.error(`Execution failed with code ${code}`);
-            try {
-              // Try to parse the error from stderr
-              const errorData = JSON.parse(stderr);
-              if (collectDebugInfo && debugInfo) {
-                errorData.debug = debugInfo;
-              }
-              reject(errorData);
-            } catch (e) {
-              const errorResponse = {
-                success: false,
-                error: stderr || 'Unknown execution error',
-                console: [], // Include empty console array for consistency
-              };
-              if (collectDebugInfo && debugInfo) {
-                errorResponse.debug = debugInfo;
-              }
-              reject(errorResponse);
-            }
-            return;
-          }
+        if (exitSignal) {
+          console.error(`Execution killed by signal ${exitSignal}`);
+          reject({
+            success: false,
+            error: `Execution killed by signal ${exitSignal}`,
+            errorType: 'killed_by_signal',
+            console: [], // Include empty console array for consistency
+            resourceUsage: { ...outputBytes },
+          });
+          return;
+        }
 
-          try {
-            const result = JSON.parse(stdout);
-            if (collectDebugInfo && debugInfo) {
-              result.debug = debugInfo;
-            }
+        let payload = null;
+        try {
+          payload = JSON.parse(Buffer.concat(payloadChunks).toString('utf8'));
+        } catch {
+          // No payload: the process crashed or exited before the wrapper wrote it
+        }
 
-            // Ensure console property exists
-            if (!result.console) {
-              result.console = [];
-            }
+        if (payload && payload.success) {
+          resolve(payload);
+          return;
+        }
+        if (payload) {
+          reject({ ...payload, errorType: payload.errorType || 'user_error' });
+          return;
+        }
 
-            console.log(result);
+        if (code !== 0) {
+          console.error(`Execution failed with code ${code}`);
+          reject({
+            success: false,
+            error: stderr || 'Unknown execution error',
+            errorType: 'user_error',
+            console: [], // Include empty console array for consistency
+            resourceUsage: { ...outputBytes },
+          });
+          return;
+        }
 
-            resolve(result);
-          } catch (error) {
-            const errorResponse = {
-              success: false,
-              error: 'Invalid output format',
-              stdout: stdout, // Include the raw stdout in the error response
-              console: [], // Include empty console array for consistency
-            };
-            if (collectDebugInfo && debugInfo) {
-              errorResponse.debug = debugInfo;
-            }
-            reject(errorResponse);
-          }
+        reject({
+          success: false,
+          error: 'Invalid output format',
+          errorType: 'invalid_output',
+          console: [], // Include empty console array for consistency
+          resourceUsage: { ...outputBytes },
         });
+      });
 
-        process.on('error', (error) => {
-          const errorResponse = {
-            success: false,
-            error: error.message,
-            console: [], // Include empty console array for consistency
-          };
-          if (collectDebugInfo) {
-            const endTime = performance.now();
-            const executionTime = (endTime - startTime).toFixed(2);
-            errorResponse.debug = {
-              executionTimeMs: parseFloat(executionTime),
-              error: 'Process error',
-            };
-          }
-          reject(errorResponse);
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        stopMonitor();
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject({
+          success: false,
+          error: error.message,
+          console: [], // Include empty console array for consistency
         });
       });
-    } catch (error) {
-      console.error('Error in code execution:', error);
-      throw {
-        success: false,
-        error: error.message,
-        console: [], // Include empty console array for consistency
-      };
-    }
+    });
+
+    // Results still being forwarded when the process exits are delivered first
+    outcome.catch(() => {});
+    await resultsForwarded.catch(() => {});
+    return outcome;
   }
 
   /**
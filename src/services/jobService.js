@@ -16,21 +16,28 @@ class JobService {
   }
 
   /**
-   * Create a new job record
+   * Create a new job record. Multi-file bundles keep their files (JSON) and
+   * entry, with the entry's content as code. Streamed jobs (NDJSON items) keep
+   * no items, only the counts and sample of recordStreamCounts. Uploaded jobs
+   * (multipart) reference files that only exist in their execution directory.
    */
-  createJob({ code, items, cacheKey, options, metadata }) {
+  createJob({ code, files, entry, items, streamed, uploaded, cacheKey, options, metadata }) {
     const db = this.databaseService.getDb();
     const jobId = this._generateJobId();
 
     const stmt = db.prepare(`
-      INSERT INTO jobs (job_id, status, code, items, cache_key, options, request_metadata)
-      VALUES (@job_id, 'pending', @code, @items, @cache_key, @options, @request_metadata)
+      INSERT INTO jobs (job_id, status, code, files, entry, items, streamed, uploaded, cache_key, options, request_metadata)
+      VALUES (@job_id, 'pending', @code, @files, @entry, @items, @streamed, @uploaded, @cache_key, @options, @request_metadata)
     `);
 
     stmt.run({
       job_id: jobId,
       code: code || '',
-      items: items != null ? JSON.stringify(items) : null,
+      files: files ? JSON.stringify(files) : null,
+      entry: entry || null,
+      items: items != null && !streamed ? JSON.stringify(items) : null,
+      streamed: streamed ? 1 : 0,
+      uploaded: uploaded ? 1 : 0,
       cache_key: cacheKey || null,
       options: options ? JSON.stringify(options) : null,
       request_metadata: metadata ? JSON.stringify(metadata) : null,
@@ -57,9 +64,12 @@ class JobService {
   completeJob(jobId, {
     status,
     resultData,
+    outputFiles,
     consoleOutput,
     errorMessage,
+    errorType,
     errorStack,
+    errorLocation,
     executionTimeMs,
     depInstallTimeMs,
     usedCache,
@@ -70,13 +80,16 @@ class JobService {
       UPDATE jobs SET
         status = @status,
         result_data = @result_data,
+        output_files = @output_files,
         console_output = @console_output,
         error_message = @error_message,
+        error_type = @error_type,
         error_stack = @error_stack,
+        error_location = @error_location,
         execution_time_ms = @execution_time_ms,
         dependency_install_time_ms = @dep_install_time_ms,
         used_cache = @used_cache,
-        dependencies = @dependencies,
+        dependencies = COALESCE(@dependencies, dependencies),
         completed_at = datetime('now')
       WHERE job_id = @job_id
     `);
@@ -85,9 +98,12 @@ class JobService {
       job_id: jobId,
       status: status || 'success',
       result_data: resultData != null ? JSON.stringify(resultData) : null,
+      output_files: outputFiles ? JSON.stringify(outputFiles) : null,
       console_output: consoleOutput != null ? JSON.stringify(consoleOutput) : null,
       error_message: errorMessage || null,
+      error_type: errorType || null,
       error_stack: errorStack || null,
+      error_location: errorLocation ? JSON.stringify(errorLocation) : null,
       execution_time_ms: executionTimeMs != null ? executionTimeMs : null,
       dep_install_time_ms: depInstallTimeMs != null ? depInstallTimeMs : null,
       used_cache: usedCache ? 1 : 0,
@@ -96,13 +112,98 @@ class JobService {
   }
 
   /**
-   * Mark jobs left in 'running' or 'pending' status as 'interrupted'
-   * Called on startup to recover from crashes
+   * Store the dependency versions installed for a job
+   * (completeJob keeps them when it is given none)
+   */
+  recordDependencies(jobId, dependencies) {
+    const db = this.databaseService.getDb();
+    db.prepare('UPDATE jobs SET dependencies = ? WHERE job_id = ?').run(JSON.stringify(dependencies), jobId);
+  }
+
+  /**
+   * Store the number of items and results of a streamed job, with the first
+   * items as a sample in place of the items
+   */
+  recordStreamCounts(jobId, { itemCount, resultCount, itemSample }) {
+    const db = this.databaseService.getDb();
+    db.prepare(`
+      UPDATE jobs SET item_count = @item_count, result_count = @result_count, items = @items
+      WHERE job_id = @job_id
+    `).run({
+      job_id: jobId,
+      item_count: itemCount ?? null,
+      result_count: resultCount ?? null,
+      items: itemSample ? JSON.stringify(itemSample) : null,
+    });
+  }
+
+  /**
+   * Record an attempt of a job run with a retry policy: its number (from 1),
+   * status ('success' or 'error'), error and duration
+   */
+  recordAttempt(jobId, { attempt, status, errorMessage, errorType, durationMs }) {
+    const db = this.databaseService.getDb();
+    db.prepare(`
+      INSERT INTO job_attempts (job_id, attempt, status, error_message, error_type, duration_ms)
+      VALUES (@job_id, @attempt, @status, @error_message, @error_type, @duration_ms)
+    `).run({
+      job_id: jobId,
+      attempt,
+      status,
+      error_message: errorMessage || null,
+      error_type: errorType || null,
+      duration_ms: durationMs ?? null,
+    });
+  }
+
+  /**
+   * Get the attempts recorded for a job, in order
+   */
+  getJobAttempts(jobId) {
+    const db = this.databaseService.getDb();
+    return db
+      .prepare('SELECT attempt, status, error_message, error_type, duration_ms, created_at FROM job_attempts WHERE job_id = ? ORDER BY attempt')
+      .all(jobId);
+  }
+
+  /**
+   * Store the resource usage of a job: reported by the runtime (see
+   * measureResources), with the wall time measured by the server. Killed
+   * executions only have the wall time and output byte counts.
+   */
+  recordResourceUsage(jobId, { peakRssBytes, heapUsedBytes, cpuUserMs, cpuSystemMs, stdoutBytes, stderrBytes, wallTimeMs }) {
+    const db = this.databaseService.getDb();
+    db.prepare(`
+      UPDATE jobs SET
+        peak_rss_bytes = @peak_rss_bytes,
+        heap_used_bytes = @heap_used_bytes,
+        cpu_user_ms = @cpu_user_ms,
+        cpu_system_ms = @cpu_system_ms,
+        stdout_bytes = @stdout_bytes,
+        stderr_bytes = @stderr_bytes,
+        wall_time_ms = @wall_time_ms
+      WHERE job_id = @job_id
+    `).run({
+      job_id: jobId,
+      peak_rss_bytes: peakRssBytes ?? null,
+      heap_used_bytes: heapUsedBytes ?? null,
+      cpu_user_ms: cpuUserMs ?? null,
+      cpu_system_ms: cpuSystemMs ?? null,
+      stdout_bytes: stdoutBytes ?? null,
+      stderr_bytes: stderrBytes ?? null,
+      wall_time_ms: wallTimeMs ?? null,
+    });
+  }
+
+  /**
+   * Mark jobs left in 'running' status as 'interrupted'
+   * Called on startup to recover from crashes; 'pending' jobs are still
+   * queued and are resumed (see getQueuedJobs)
    */
   recoverInterruptedJobs() {
     const db = this.databaseService.getDb();
     const result = db.prepare(
-      "UPDATE jobs SET status = 'interrupted', error_message = 'Execution interrupted by server restart', completed_at = datetime('now') WHERE status IN ('running', 'pending')"
+      "UPDATE jobs SET status = 'interrupted', error_message = 'Execution interrupted by server restart', completed_at = datetime('now') WHERE status = 'running'"
     ).run();
     if (result.changes > 0) {
       console.log(`Recovered ${result.changes} interrupted job(s)`);
@@ -110,6 +211,14 @@ class JobService {
     return result.changes;
   }
 
+  /**
+   * Get the jobs waiting for an execution slot, oldest first
+   */
+  getQueuedJobs() {
+    const db = this.databaseService.getDb();
+    return db.prepare("SELECT * FROM jobs WHERE status = 'pending' ORDER BY id ASC").all();
+  }
+
   /**
    * Prune oldest jobs when count exceeds MAX_JOB_HISTORY
    */
@@ -132,7 +241,7 @@ class JobService {
   /**
    * Get paginated list of jobs with filters
    */
-  getJobs({ status, cacheKey, search, sortBy = 'created_at', sortOrder = 'desc', page = 1, limit = 20 } = {}) {
+  getJobs({ status, errorType, cacheKey, search, sortBy = 'created_at', sortOrder = 'desc', page = 1, limit = 20 } = {}) {
     const db = this.databaseService.getDb();
     const conditions = [];
     const params = {};
@@ -142,6 +251,11 @@ class JobService {
       params.status = status;
     }
 
+    if (errorType) {
+      conditions.push('error_type = @errorType');
+      params.errorType = errorType;
+    }
+
     if (cacheKey) {
       conditions.push('cache_key = @cacheKey');
       params.cacheKey = cacheKey;
@@ -172,7 +286,7 @@ class JobService {
     const jobs = db
       .prepare(
         `SELECT id, job_id, status, cache_key, execution_time_ms, dependency_install_time_ms,
-                used_cache, error_message, created_at, completed_at
+                used_cache, error_message, error_type, created_at, completed_at
          FROM jobs ${whereClause}
          ORDER BY ${safeSortBy} ${safeSortOrder}
          LIMIT @limit OFFSET @offset`
@@ -190,11 +304,19 @@ class JobService {
 
   /**
    * Get full job detail by jobId
+   * Pending jobs include their 1-based queue_position
    */
   getJob(jobId) {
     const db = this.databaseService.getDb();
     const job = db.prepare('SELECT * FROM jobs WHERE job_id = ?').get(jobId);
-    return job || null;
+    if (!job) return null;
+
+    if (job.status === 'pending') {
+      job.queue_position = db
+        .prepare("SELECT COUNT(*) as position FROM jobs WHERE status = 'pending' AND id <= ?")
+        .get(job.id).position;
+    }
+    return job;
   }
 
   /**
@@ -209,7 +331,11 @@ class JobService {
           COUNT(*) as total,
           SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as success,
           SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error,
-          AVG(CASE WHEN execution_time_ms IS NOT NULL THEN execution_time_ms END) as avg_execution_time_ms
+          AVG(CASE WHEN execution_time_ms IS NOT NULL THEN execution_time_ms END) as avg_execution_time_ms,
+          AVG(peak_rss_bytes) as avg_peak_rss_bytes,
+          MAX(peak_rss_bytes) as max_peak_rss_bytes,
+          AVG(cpu_user_ms + cpu_system_ms) as avg_cpu_time_ms,
+          SUM(cpu_user_ms + cpu_system_ms) as total_cpu_time_ms
         FROM jobs`
       )
       .get();
@@ -221,6 +347,10 @@ class JobService {
       avgExecutionTimeMs: stats.avg_execution_time_ms
         ? parseFloat(stats.avg_execution_time_ms.toFixed(2))
         : 0,
+      avgPeakRssBytes: stats.avg_peak_rss_bytes ? Math.round(stats.avg_peak_rss_bytes) : 0,
+      maxPeakRssBytes: stats.max_peak_rss_bytes || 0,
+      avgCpuTimeMs: stats.avg_cpu_time_ms ? parseFloat(stats.avg_cpu_time_ms.toFixed(2)) : 0,
+      totalCpuTimeMs: stats.total_cpu_time_ms ? parseFloat(stats.total_cpu_time_ms.toFixed(2)) : 0,
     };
   }
 
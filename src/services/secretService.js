@@ -0,0 +1,112 @@
+const { isValidSecretName, deriveSecretKey, encryptSecret, decryptSecret } = require('../utils/secretUtils');
+
+// Secrets stored with an empty cache key apply to every execution
+const GLOBAL_SCOPE = '';
+
+class SecretService {
+  constructor(databaseService, masterKey) {
+    this.databaseService = databaseService;
+    // Without a master key the secrets store is disabled
+    this.key = masterKey ? deriveSecretKey(masterKey) : null;
+  }
+
+  /**
+   * Whether a master key is configured
+   */
+  isEnabled() {
+    return !!this.key;
+  }
+
+  _requireKey() {
+    if (!this.key) {
+      throw new Error('Secrets are disabled: SECRETS_MASTER_KEY is not set');
+    }
+    return this.key;
+  }
+
+  /**
+   * Map a database row to the public shape of a secret, without its value
+   */
+  _toSecret(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      cacheKey: row.cache_key || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * List the secrets (names and scopes only), global ones first
+   */
+  listSecrets() {
+    const db = this.databaseService.getDb();
+    return db
+      .prepare('SELECT id, name, cache_key, created_at, updated_at FROM secrets ORDER BY cache_key ASC, name ASC')
+      .all()
+      .map((row) => this._toSecret(row));
+  }
+
+  /**
+   * Create a secret, or replace the value of the secret with the same name and scope
+   * @param {Object} secret - { name, value, cacheKey }: no cacheKey makes the secret global
+   */
+  setSecret({ name, value, cacheKey }) {
+    const key = this._requireKey();
+    const db = this.databaseService.getDb();
+    const scope = cacheKey || GLOBAL_SCOPE;
+
+    db.prepare(`
+      INSERT INTO secrets (name, cache_key, encrypted_value)
+      VALUES (@name, @cache_key, @encrypted_value)
+      ON CONFLICT (name, cache_key) DO UPDATE SET
+        encrypted_value = excluded.encrypted_value,
+        updated_at = datetime('now')
+    `).run({ name, cache_key: scope, encrypted_value: encryptSecret(value, key) });
+
+    const row = db
+      .prepare('SELECT id, name, cache_key, created_at, updated_at FROM secrets WHERE name = ? AND cache_key = ?')
+      .get(name, scope);
+    return this._toSecret(row);
+  }
+
+  /**
+   * Delete a secret by id
+   * @returns {boolean} - Whether a secret was deleted
+   */
+  deleteSecret(id) {
+    const db = this.databaseService.getDb();
+    return db.prepare('DELETE FROM secrets WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Decrypt the secrets available to an execution: the global ones, overridden
+   * by those scoped to its cache key
+   * @returns {Object} - Secret values by name
+   */
+  resolveSecrets(cacheKey) {
+    if (!this.key) return {};
+
+    const db = this.databaseService.getDb();
+    const rows = db
+      .prepare(
+        "SELECT name, cache_key, encrypted_value FROM secrets WHERE cache_key = '' OR cache_key = ? ORDER BY cache_key ASC"
+      )
+      .all(cacheKey || GLOBAL_SCOPE);
+
+    const secrets = {};
+    for (const row of rows) {
+      // Names reserved after the secret was stored are never injected
+      if (!isValidSecretName(row.name)) continue;
+      try {
+        secrets[row.name] = decryptSecret(row.encrypted_value, this.key);
+      } catch {
+        throw new Error(`Secret ${row.name} cannot be decrypted (was SECRETS_MASTER_KEY changed?)`);
+      }
+    }
+    return secrets;
+  }
+}
+
+module.exports = SecretService;
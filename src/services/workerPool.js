@@ -0,0 +1,299 @@
+const path = require('path');
+const { fork } = require('child_process');
+const { monitorProcessLimits, isOutOfMemoryError } = require('../utils/processUtils');
+const { buildExecutionEnv } = require('../utils/secretUtils');
+
+const WORKER_SCRIPT = path.join(__dirname, '../runtime/worker.js');
+
+function cancelledError() {
+  const error = new Error('Execution cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+class WorkerPool {
+  constructor({ minSize = 1, maxSize = 4, maxExecutionsPerWorker = 100, execArgv = [] } = {}) {
+    this.minSize = Math.max(0, minSize);
+    this.maxSize = Math.max(1, maxSize, this.minSize);
+    this.maxExecutionsPerWorker = maxExecutionsPerWorker;
+    this.execArgv = execArgv;
+
+    this.workers = new Set();
+    this.idleWorkers = [];
+    this.waiting = [];
+    this.closed = false;
+    this._nextExecutionId = 0;
+  }
+
+  /**
+   * Pre-start the minimum number of workers
+   */
+  start() {
+    this._replenish();
+    return this;
+  }
+
+  /**
+   * Get the current pool size and usage
+   */
+  getStats() {
+    return {
+      size: this.workers.size,
+      idle: this.idleWorkers.length,
+      busy: this.workers.size - this.idleWorkers.length,
+      waiting: this.waiting.length,
+    };
+  }
+
+  /**
+   * Fork a new worker process and track its lifecycle
+   */
+  _spawnWorker() {
+    const child = fork(WORKER_SCRIPT, [], {
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      execArgv: this.execArgv,
+      // Workers run user code, so they only get the allowlisted environment
+      env: buildExecutionEnv(),
+    });
+
+    // onOutput is set by the running execution to count what it writes
+    const worker = { process: child, executions: 0, stderr: '', onOutput: null };
+
+    // Output written directly to stdout/stderr bypasses console capture;
+    // keep the stderr tail so crashes can be reported
+    child.stdout.on('data', (data) => {
+      if (worker.onOutput) worker.onOutput('stdoutBytes', data.length);
+    });
+    child.stderr.on('data', (data) => {
+      worker.stderr = (worker.stderr + data.toString()).slice(-4096);
+      if (worker.onOutput) worker.onOutput('stderrBytes', data.length);
+    });
+
+    child.on('exit', () => this._removeWorker(worker));
+    child.on('error', (error) => {
+      console.error('Worker process error:', error);
+      this._removeWorker(worker);
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Forget a worker that exited or was killed and restore the pool size
+   */
+  _removeWorker(worker) {
+    if (!this.workers.has(worker)) return;
+    this.workers.delete(worker);
+    this.idleWorkers = this.idleWorkers.filter((w) => w !== worker);
+    this._dispatch();
+    this._replenish();
+  }
+
+  /**
+   * Kill a worker so it is never reused
+   */
+  _destroyWorker(worker) {
+    if (worker.process.exitCode === null && worker.process.signalCode === null) {
+      worker.process.kill('SIGKILL');
+    }
+    this._removeWorker(worker);
+  }
+
+  /**
+   * Keep at least minSize workers alive
+   */
+  _replenish() {
+    if (this.closed) return;
+    while (this.workers.size < this.minSize) {
+      this.idleWorkers.push(this._spawnWorker());
+    }
+  }
+
+  /**
+   * Hand idle (or newly spawned) workers to queued executions
+   */
+  _dispatch() {
+    while (!this.closed && this.waiting.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (!worker && this.workers.size < this.maxSize) {
+        worker = this._spawnWorker();
+      }
+      if (!worker) return;
+      this.waiting.shift().resolve(worker);
+    }
+  }
+
+  /**
+   * Get a worker for an execution, waiting if the pool is at capacity
+   */
+  _acquire() {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is shut down'));
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Return a worker to the pool, recycling it once it reached its execution limit
+   */
+  _release(worker) {
+    worker.executions++;
+    if (this.closed || worker.executions >= this.maxExecutionsPerWorker) {
+      worker.process.kill();
+      this._removeWorker(worker);
+      return;
+    }
+    this.idleWorkers.push(worker);
+    this._dispatch();
+  }
+
+  /**
+   * Run user code from an execution directory on a pooled worker
+   * @param {Object} execution - { executionDir, items, entryFile, onConsole, signal, runtimeOptions }
+   * @param {number} timeout - Timeout in milliseconds; the worker is killed when exceeded
+   * @param {Object} limits - { memoryLimitMb, cpuTimeMs, maxOutputBytes }; the worker is killed when
+   *   exceeded (maxOutputBytes counts the bytes written to stdout and stderr)
+   * @returns {Promise<Object>} - The payload produced by the runner; aborting
+   *   the signal kills the worker and rejects with an error flagged `cancelled`.
+   *   Errors carry the `outputBytes` ({ stdoutBytes, stderrBytes }) written until then.
+   */
+  async run({ executionDir, items, entryFile = 'execution.js', onConsole, signal, secrets, runtimeOptions }, timeout, limits = {}) {
+    const worker = await this._acquire();
+    if (signal && signal.aborted) {
+      this._release(worker);
+      throw cancelledError();
+    }
+
+    const id = ++this._nextExecutionId;
+    const child = worker.process;
+    worker.stderr = '';
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const outputBytes = { stdoutBytes: 0, stderrBytes: 0 };
+      const fail = (error) => {
+        error.outputBytes = { ...outputBytes };
+        reject(error);
+      };
+
+      const onLimitExceeded = (limit) => {
+        cleanup();
+        this._destroyWorker(worker);
+        const error = new Error(`Execution exceeded its ${limit} limit`);
+        error.limitExceeded = limit;
+        fail(error);
+      };
+      const stopMonitor = monitorProcessLimits(child.pid, limits, onLimitExceeded);
+
+      worker.onOutput = (counter, bytes) => {
+        outputBytes[counter] += bytes;
+        if (limits.maxOutputBytes && outputBytes.stdoutBytes + outputBytes.stderrBytes > limits.maxOutputBytes) {
+          onLimitExceeded('output');
+        }
+      };
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        stopMonitor();
+        worker.onOutput = null;
+        child.removeListener('message', onMessage);
+        child.removeListener('exit', onExit);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        this._destroyWorker(worker);
+        fail(cancelledError());
+      };
+
+      const onMessage = (message) => {
+        if (!message || message.id !== id) return;
+        if (message.type === 'console' && onConsole) {
+          onConsole(message.entry);
+        } else if (message.type === 'result' && message.limitExceeded) {
+          // The execution thread ran out of heap
+          onLimitExceeded(message.limitExceeded);
+        } else if (message.type === 'result') {
+          cleanup();
+          this._release(worker);
+          resolve(message.payload);
+        }
+      };
+
+      const onExit = (code, signal) => {
+        cleanup();
+        const error = new Error(
+          `Worker exited unexpectedly (${signal ? `signal ${signal}` : `code ${code}`})`
+        );
+        error.stderr = worker.stderr;
+        error.exitCode = code;
+        error.exitSignal = signal;
+        if (isOutOfMemoryError(worker.stderr)) {
+          error.limitExceeded = 'memory';
+        }
+        fail(error);
+      };
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          cleanup();
+          this._destroyWorker(worker);
+          const error = new Error(`Execution timed out after ${timeout}ms`);
+          error.timedOut = true;
+          fail(error);
+        }, timeout);
+      }
+
+      child.on('message', onMessage);
+      child.once('exit', onExit);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      const execute = {
+        type: 'execute',
+        id,
+        executionDir,
+        items,
+        entryFile,
+        streamConsole: !!onConsole,
+        secrets,
+        runtimeOptions,
+      };
+      child.send(execute, (error) => {
+        if (error) {
+          cleanup();
+          this._destroyWorker(worker);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop all workers and reject executions still waiting for one
+   */
+  async shutdown() {
+    this.closed = true;
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(new Error('Worker pool is shut down'));
+    }
+    const exits = [...this.workers].map(
+      (worker) => new Promise((resolve) => {
+        if (worker.process.exitCode !== null || worker.process.signalCode !== null) {
+          return resolve();
+        }
+        worker.process.once('exit', resolve);
+        worker.process.kill();
+      })
+    );
+    await Promise.all(exits);
+    this.workers.clear();
+    this.idleWorkers = [];
+  }
+}
+
+module.exports = WorkerPool;
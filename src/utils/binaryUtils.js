@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getMimeType } = require('./mimeUtils');
+
+/**
+ * Whether a value is an n8n binary entry carrying its content as base64
+ */
+function isBinaryPayload(entry) {
+  return !!entry && typeof entry === 'object' && typeof entry.data === 'string';
+}
+
+/**
+ * Reduce a name to a single path segment so it cannot escape its directory
+ */
+function toPathSegment(name, fallback) {
+  const segment = path.basename(String(name || ''));
+  return segment && segment !== '.' && segment !== '..' ? segment : fallback;
+}
+
+/**
+ * Path, relative to the execution directory, of the file holding the binary
+ * property `key` of the item at `index`
+ */
+function getInputFilePath(index, key, fileName, inputDir = 'input') {
+  const keySegment = toPathSegment(key, 'data');
+  return path.posix.join(inputDir, String(index), keySegment, toPathSegment(fileName, keySegment));
+}
+
+/**
+ * Write the base64 binary entries of the items to files under inputDir
+ * (relative to executionDir) and replace them with references carrying the
+ * file path instead of the data. Returns new items; the originals are not modified.
+ * @returns {Promise<Array>} - Items with binary references
+ */
+async function materializeBinaryInputs(items, executionDir, inputDir = 'input') {
+  if (!Array.isArray(items)) return items;
+
+  return Promise.all(
+    items.map(async (item, index) => {
+      if (!item || typeof item !== 'object' || !item.binary || typeof item.binary !== 'object') {
+        return item;
+      }
+
+      const binary = {};
+      for (const [key, entry] of Object.entries(item.binary)) {
+        if (!isBinaryPayload(entry)) {
+          binary[key] = entry;
+          continue;
+        }
+
+        const filePath = getInputFilePath(index, key, entry.fileName, inputDir);
+        const fileName = path.posix.basename(filePath);
+        const content = Buffer.from(entry.data, 'base64');
+
+        await fs.mkdir(path.join(executionDir, path.dirname(filePath)), { recursive: true });
+        await fs.writeFile(path.join(executionDir, filePath), content);
+
+        const { data, ...metadata } = entry;
+        binary[key] = {
+          ...metadata,
+          fileName,
+          mimeType: entry.mimeType || getMimeType(fileName),
+          fileSize: content.length,
+          filePath,
+        };
+      }
+      return { ...item, binary };
+    })
+  );
+}
+
+/**
+ * Put the content back into binary references to input files that the user
+ * code returned unchanged, so items passed through keep their binary data
+ */
+async function inlineBinaryReferences(data, executionDir, inputDir = 'input') {
+  const root = path.resolve(executionDir, inputDir);
+
+  const inlineItem = async (item) => {
+    if (!item || typeof item !== 'object' || !item.binary || typeof item.binary !== 'object') {
+      return item;
+    }
+
+    const binary = {};
+    for (const [key, entry] of Object.entries(item.binary)) {
+      binary[key] = entry;
+      if (!entry || typeof entry !== 'object' || entry.data || typeof entry.filePath !== 'string') {
+        continue;
+      }
+
+      const resolved = path.resolve(executionDir, entry.filePath);
+      if (!resolved.startsWith(root + path.sep)) continue;
+      const stats = await fs.lstat(resolved).catch(() => null);
+      if (!stats || !stats.isFile()) continue;
+
+      const { filePath, ...metadata } = entry;
+      binary[key] = { ...metadata, data: (await fs.readFile(resolved)).toString('base64') };
+    }
+    return { ...item, binary };
+  };
+
+  return Array.isArray(data) ? Promise.all(data.map(inlineItem)) : inlineItem(data);
+}
+
+module.exports = {
+  isBinaryPayload,
+  getInputFilePath,
+  materializeBinaryInputs,
+  inlineBinaryReferences,
+};
@@ -0,0 +1,149 @@
+const path = require('path');
+
+// Written to the execution directory by the server, so bundles cannot provide them
+const RESERVED_PATHS = ['package.json', 'pnpm-lock.yaml', 'node_modules', 'input', 'output'];
+
+// The entry file is written as execution.js or execution.mjs in its directory
+const ENTRY_FILE_NAMES = ['execution.js', 'execution.mjs'];
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts'];
+
+// Extensions tried in order for a relative import written without one, as TypeScript does
+const IMPORT_EXTENSIONS = ['.ts', '.mts', '.cts', '.js', '.mjs', '.cjs', '.json'];
+
+// TypeScript sources imported with the extension of the file compiled from them
+const COMPILED_EXTENSIONS = { '.js': '.ts', '.mjs': '.mts', '.cjs': '.cts' };
+
+/**
+ * Check whether a bundle file path is a plain relative path inside the execution
+ * directory: forward slashes, no `.` or `..` segments, no leading or trailing slash
+ */
+function isValidFilePath(filePath) {
+  return (
+    typeof filePath === 'string' &&
+    filePath.length > 0 &&
+    !filePath.includes('\\') &&
+    !path.posix.isAbsolute(filePath) &&
+    path.posix.normalize(filePath) === filePath &&
+    !filePath.endsWith('/') &&
+    filePath.split('/').every((segment) => segment !== '.' && segment !== '..')
+  );
+}
+
+/**
+ * Check whether a file holds code that can require or import packages
+ */
+function isSourceFile(filePath) {
+  return SOURCE_EXTENSIONS.includes(path.posix.extname(filePath));
+}
+
+/**
+ * Get the error message to reject a multi-file bundle with, or null when it is valid
+ * @param {Object} files - File contents by path relative to the execution directory
+ * @param {string} entry - Path of the file exporting the function to run
+ */
+function validateBundle(files, entry) {
+  if (!files || typeof files !== 'object' || Array.isArray(files) || Object.keys(files).length === 0) {
+    return 'Invalid files (expected an object of file paths to contents)';
+  }
+  if (!entry) {
+    return 'Entry is required with files';
+  }
+  if (!Object.prototype.hasOwnProperty.call(files, entry)) {
+    return `Entry ${entry} is not one of the files`;
+  }
+  if (!isSourceFile(entry)) {
+    return `Entry ${entry} is not a JavaScript or TypeScript file`;
+  }
+
+  const entryDir = path.posix.dirname(entry);
+  for (const [filePath, content] of Object.entries(files)) {
+    if (!isValidFilePath(filePath)) {
+      return `Invalid file path: ${filePath}`;
+    }
+    if (typeof content !== 'string') {
+      return `Invalid content of ${filePath} (expected a string)`;
+    }
+    const reserved =
+      RESERVED_PATHS.includes(filePath.split('/')[0]) ||
+      (filePath !== entry &&
+        path.posix.dirname(filePath) === entryDir &&
+        ENTRY_FILE_NAMES.includes(path.posix.basename(filePath)));
+    if (reserved) {
+      return `Reserved file path: ${filePath}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a bundle file is TypeScript that is transpiled to a JavaScript file
+ */
+function isTypeScriptFile(filePath) {
+  return !filePath.endsWith('.d.ts') && /\.[cm]?ts$/.test(filePath);
+}
+
+/**
+ * Path of the JavaScript file a TypeScript bundle file is transpiled to: .mts and
+ * .cts keep their module type, .ts files get the module type of the entry (an ES
+ * module is written as .mjs so Node loads it as one). Other files keep their path.
+ */
+function getEmittedPath(filePath, moduleType) {
+  if (!isTypeScriptFile(filePath)) return filePath;
+  if (/\.[cm]ts$/.test(filePath)) return filePath.replace(/ts$/, 'js');
+  return filePath.replace(/ts$/, moduleType === 'esm' ? 'mjs' : 'js');
+}
+
+/**
+ * Find the bundle file a relative import refers to, the way TypeScript resolves
+ * it: the path as written, the source of a compiled .js path, the path with an
+ * extension added or the index file of a directory
+ * @param {Set<string>} filePaths - Paths of the bundle files
+ * @param {string} importer - Path of the importing file
+ * @param {string} specifier - Imported module
+ * @returns {string|null} - Path of the bundle file, or null for other imports
+ */
+function resolveBundleImport(filePaths, importer, specifier) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) return null;
+
+  const target = path.posix.join(path.posix.dirname(importer), specifier);
+  const extension = path.posix.extname(target);
+  const candidates = [
+    target,
+    ...(COMPILED_EXTENSIONS[extension] ? [target.slice(0, -extension.length) + COMPILED_EXTENSIONS[extension]] : []),
+    ...IMPORT_EXTENSIONS.map((importExtension) => `${target}${importExtension}`),
+    ...IMPORT_EXTENSIONS.map((importExtension) => `${target}/index${importExtension}`),
+  ];
+  return candidates.find((candidate) => filePaths.has(candidate)) || null;
+}
+
+/**
+ * Create the rewriting of the relative imports of a TypeScript bundle file, so
+ * they name the files written to the execution directory: ES modules are only
+ * found by their full file name. Imports of the entry and of anything outside
+ * the bundle are kept as they are.
+ * @param {Object} files - File contents by path
+ * @param {string} entry - Path of the entry file
+ * @param {string} moduleType - Module type of the entry, 'cjs' or 'esm'
+ * @returns {Function} - (importer) => (specifier) => rewritten specifier
+ */
+function createImportRewriter(files, entry, moduleType) {
+  const filePaths = new Set(Object.keys(files));
+  return (importer) => (specifier) => {
+    const target = resolveBundleImport(filePaths, importer, specifier);
+    if (!target || target === entry) return specifier;
+    const relative = path.posix.relative(path.posix.dirname(importer), getEmittedPath(target, moduleType));
+    return relative.startsWith('../') ? relative : `./${relative}`;
+  };
+}
+
+module.exports = {
+  isValidFilePath,
+  isSourceFile,
+  validateBundle,
+  isTypeScriptFile,
+  getEmittedPath,
+  resolveBundleImport,
+  createImportRewriter,
+};
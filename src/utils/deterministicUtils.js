@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+
+const MAX_SEED = 0xffffffff;
+
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// Finite numbers past the range of dates (±8.64e15 ms) are no valid time either
+function isValidTime(time) {
+  if (typeof time !== 'number' && typeof time !== 'string') return false;
+  return !Number.isNaN(new Date(time).getTime());
+}
+
+/**
+ * Check whether a deterministic option is a boolean or { seed, time } with
+ * an unsigned 32-bit seed and a timestamp (ISO string or epoch milliseconds)
+ */
+function isValidDeterministic(deterministic) {
+  if (deterministic === undefined || typeof deterministic === 'boolean') return true;
+  if (!deterministic || typeof deterministic !== 'object' || Array.isArray(deterministic)) return false;
+  return (
+    (deterministic.seed === undefined || isValidSeed(deterministic.seed)) &&
+    (deterministic.time === undefined || isValidTime(deterministic.time))
+  );
+}
+
+/**
+ * Fill in the seed and time of a deterministic execution, so they can be
+ * stored with the job and used again to replay it
+ * @param {Object} options - Execution options
+ * @returns {Object} - Options with `deterministic: { seed, time }` (ISO time), or the options unchanged
+ */
+function resolveDeterministicOptions(options = {}) {
+  const { deterministic } = options;
+  if (!deterministic) return options;
+
+  const requested = typeof deterministic === 'object' ? deterministic : {};
+  return {
+    ...options,
+    deterministic: {
+      seed: requested.seed !== undefined ? requested.seed : crypto.randomInt(MAX_SEED),
+      time: new Date(requested.time !== undefined ? requested.time : Date.now()).toISOString(),
+    },
+  };
+}
+
+/**
+ * Check whether a replayed execution produced the same output as the stored job:
+ * the same result for successful jobs, the same error message for failed ones
+ * @param {Object} job - Job record (result_data holds the result as JSON)
+ * @param {Object} result - Result of the replay
+ */
+function outputsMatch(job, result) {
+  if (job.status !== 'success') {
+    return !result.success && result.error === job.error_message;
+  }
+  if (!result.success) return false;
+
+  const original = job.result_data != null ? JSON.parse(job.result_data) : null;
+  // Compare the replayed result as it would be stored
+  const replayed = result.data !== undefined ? JSON.parse(JSON.stringify(result.data)) : null;
+  return isDeepStrictEqual(original, replayed);
+}
+
+module.exports = {
+  isValidDeterministic,
+  resolveDeterministicOptions,
+  outputsMatch,
+};
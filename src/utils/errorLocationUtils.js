@@ -0,0 +1,92 @@
+// Position of the execution file in stack frames (`execution.js:3:15`, `file:///…/execution.mjs:3:15`),
+// syntax error headers (`/…/execution.js:3`) and TypeScript diagnostics (`execution.ts:3:15`)
+const FILE_POSITION = /(execution\.(?:m?js|ts)):(\d+)(?::(\d+))?/;
+
+// Source lines shown before and after the failing line in a code frame
+const CODE_FRAME_CONTEXT_LINES = 2;
+
+/**
+ * Find the first position in the execution file mentioned by an error stack or message.
+ * Syntax errors of CommonJS files only name the line; their column is read from the
+ * `^` marker Node prints two lines below it.
+ * @param {string} text - Stack trace or error message
+ * @returns {Object|null} - { file, line, column } (1-based)
+ */
+function parseErrorPosition(text) {
+  if (typeof text !== 'string') return null;
+
+  const lines = text.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    if (lines[index].includes('/node_modules/')) continue;
+    const match = FILE_POSITION.exec(lines[index]);
+    if (!match) continue;
+
+    let column = match[3] ? Number(match[3]) : null;
+    if (column === null) {
+      const marker = (lines[index + 2] || '').indexOf('^');
+      column = marker === -1 ? 1 : marker + 1;
+    }
+    return { file: match[1], line: Number(match[2]), column };
+  }
+  return null;
+}
+
+/**
+ * Locate the first syntax error of JavaScript code. Node does not report the
+ * position of syntax errors in ES modules, so the code is parsed again here.
+ * @returns {Object|null} - { line, column } (1-based)
+ */
+function findSyntaxErrorPosition(code) {
+  // Loaded on demand: the compiler is large and only needed for syntax errors
+  const ts = require('typescript');
+
+  const { diagnostics = [] } = ts.transpileModule(code, {
+    fileName: 'execution.js',
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, allowJs: true },
+  });
+  const error = diagnostics.find(
+    (diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error && diagnostic.start !== undefined
+  );
+  if (!error) return null;
+
+  const { line, character } = ts.getLineAndCharacterOfPosition(error.file, error.start);
+  return { line: line + 1, column: character + 1 };
+}
+
+/**
+ * Render the lines around a position with a marker under the column:
+ *
+ *     1 | module.exports = function () {
+ *   > 2 |   return items.map((item) => item.price.toFixed(2));
+ *       |                                          ^
+ *     3 | };
+ *
+ * @returns {string|null} - The frame, or null when the line is not in the code
+ */
+function createCodeFrame(code, line, column, contextLines = CODE_FRAME_CONTEXT_LINES) {
+  const lines = code.split(/\r?\n/);
+  if (!Number.isInteger(line) || line < 1 || line > lines.length) return null;
+
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const width = String(last).length;
+
+  const frame = [];
+  for (let number = first; number <= last; number++) {
+    const gutter = `${number === line ? '>' : ' '} ${String(number).padStart(width)} |`;
+    frame.push(lines[number - 1] ? `${gutter} ${lines[number - 1]}` : gutter);
+    if (number === line && column) {
+      // Keep tabs so the marker lines up with the source line
+      const indent = lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${indent}^`);
+    }
+  }
+  return frame.join('\n');
+}
+
+module.exports = {
+  parseErrorPosition,
+  findSyntaxErrorPosition,
+  createCodeFrame,
+};
@@ -0,0 +1,127 @@
+const { MODULE_TYPES, isValidModuleType } = require('./moduleUtils');
+const { LANGUAGES, isValidLanguage } = require('./typescriptUtils');
+const { RUN_MODES, isValidRunMode, isValidConcurrency } = require('./runModeUtils');
+const { SERIALIZATION_MODES, isValidSerialization } = require('../runtime/serialization');
+const { isValidDeterministic } = require('./deterministicUtils');
+const { RETRY_ERROR_TYPES, MAX_RETRY_ATTEMPTS, MAX_BACKOFF_MS, isValidRetry } = require('./retryUtils');
+const { validateBundle } = require('./bundleUtils');
+
+/**
+ * Validation of execution requests and mapping of their results onto job
+ * records, shared by the API and the dashboard.
+ */
+
+/**
+ * Get the status and message to reject an execution request with, or null when it is valid
+ */
+function validateExecutionRequest({ code, files, entry, cacheKey, options }) {
+  options = options || {};
+
+  if (files !== undefined) {
+    if (code) {
+      return { status: 400, error: 'Provide either code or files, not both' };
+    }
+    const bundleError = validateBundle(files, entry);
+    if (bundleError) {
+      return { status: 400, error: bundleError };
+    }
+  } else if (!code) {
+    return { status: 400, error: 'Code is required' };
+  }
+
+  if (!cacheKey) {
+    return {
+      status: 400,
+      error: 'Cache key is required (should be a hash of workflow ID and node name)',
+    };
+  }
+
+  if (!isValidModuleType(options.moduleType)) {
+    return {
+      status: 400,
+      error: `Invalid moduleType (expected one of: ${MODULE_TYPES.join(', ')})`,
+    };
+  }
+
+  if (!isValidLanguage(options.language)) {
+    return {
+      status: 400,
+      error: `Invalid language (expected one of: ${LANGUAGES.join(', ')})`,
+    };
+  }
+
+  if (!isValidRunMode(options.mode)) {
+    return {
+      status: 400,
+      error: `Invalid mode (expected one of: ${RUN_MODES.join(', ')})`,
+    };
+  }
+
+  if (!isValidConcurrency(options.concurrency)) {
+    return { status: 400, error: 'Invalid concurrency (expected a positive integer)' };
+  }
+
+  if (!isValidRetry(options.retry)) {
+    return {
+      status: 400,
+      error: `Invalid retry (expected { attempts, backoffMs, retryOn } with 1 to ${MAX_RETRY_ATTEMPTS} attempts, a backoffMs up to ${MAX_BACKOFF_MS} and retryOn from: ${RETRY_ERROR_TYPES.join(', ')})`,
+    };
+  }
+
+  if (!isValidSerialization(options.serialization)) {
+    return {
+      status: 400,
+      error: `Invalid serialization (expected one of: ${SERIALIZATION_MODES.join(', ')})`,
+    };
+  }
+
+  if (!isValidDeterministic(options.deterministic)) {
+    return { status: 400, error: 'Invalid deterministic (expected a boolean or { seed, time })' };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a timing reported in the debug info of a result
+ */
+function debugTiming(value) {
+  return value ? parseFloat(value) : null;
+}
+
+/**
+ * Map the result of executeCodeInternal onto the fields jobService.completeJob stores
+ */
+function toJobCompletion(result) {
+  const execution = result.debug?.execution;
+  const timings = {
+    executionTimeMs: debugTiming(execution?.totalResponseTimeMs),
+    depInstallTimeMs: debugTiming(execution?.dependencyInstallTimeMs),
+    usedCache: result.debug?.cache?.usedCache || false,
+  };
+
+  if (result.success) {
+    return {
+      status: 'success',
+      resultData: result.data,
+      outputFiles: result.binary,
+      consoleOutput: result.console,
+      ...timings,
+      dependencies: execution?.installedDependencies || null,
+    };
+  }
+  return {
+    status: result.cancelled ? 'cancelled' : 'error',
+    consoleOutput: result.console,
+    errorMessage: result.error,
+    errorType: result.errorType,
+    errorStack: result.stack,
+    errorLocation: result.errorLocation,
+    ...timings,
+  };
+}
+
+module.exports = {
+  validateExecutionRequest,
+  toJobCompletion,
+};
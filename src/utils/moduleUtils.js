@@ -0,0 +1,36 @@
+const MODULE_TYPES = ['auto', 'cjs', 'esm'];
+
+// Static import/export statements only exist in ES modules (dynamic import() is valid CommonJS)
+const ESM_SYNTAX_REGEX =
+  /^\s*(?:import\s+(?:[\w$*{][^;]*?\s+from\s+)?['"]|export\s+(?:default\b|const\b|let\b|var\b|function\b|async\b|class\b|\{|\*))/m;
+
+/**
+ * Detect whether code is written as an ES module
+ */
+function detectModuleType(code) {
+  return ESM_SYNTAX_REGEX.test(code || '') ? 'esm' : 'cjs';
+}
+
+/**
+ * Resolve the requested module type ('auto' detects it from the code)
+ */
+function resolveModuleType(code, requested = 'auto') {
+  if (requested === 'esm' || requested === 'cjs') {
+    return requested;
+  }
+  return detectModuleType(code);
+}
+
+/**
+ * Check whether a module type option is supported
+ */
+function isValidModuleType(moduleType) {
+  return moduleType === undefined || MODULE_TYPES.includes(moduleType);
+}
+
+module.exports = {
+  MODULE_TYPES,
+  detectModuleType,
+  resolveModuleType,
+  isValidModuleType,
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const Busboy = require('busboy');
+const { getInputFilePath } = require('./binaryUtils');
+const { getMimeType } = require('./mimeUtils');
+
+// File fields named `<itemIndex>.<property>` attach to that item, other names to the first item
+const FILE_FIELD_PATTERN = /^(\d+)\.(.+)$/;
+
+// Content types reported for parts sent without one; the file extension is used instead
+const DEFAULT_PART_TYPES = ['text/plain', 'application/octet-stream'];
+
+// A file sent as the `items` field holds the items as NDJSON, streamed to the code (see ndjsonUtils)
+const ITEMS_FIELD = 'items';
+const ITEMS_FILE_NAME = 'items.ndjson';
+
+/**
+ * Whether the request carries a multipart/form-data body
+ */
+function isMultipartRequest(req) {
+  return /^multipart\/form-data/i.test((req.headers && req.headers['content-type']) || '');
+}
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+function requestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse a JSON encoded form field
+ */
+function parseJsonField(fields, name, fallback) {
+  if (fields[name] === undefined || fields[name] === '') return fallback;
+  try {
+    return JSON.parse(fields[name]);
+  } catch {
+    throw requestError(400, `Invalid JSON in the ${name} field`);
+  }
+}
+
+/**
+ * Add the uploaded files to the items as binary references, the same shape
+ * used for base64 binary entries written to the input directory
+ */
+function attachUploads(items, uploads) {
+  if (uploads.length === 0) return items;
+  if (!Array.isArray(items)) {
+    throw requestError(400, 'items must be an array when files are uploaded');
+  }
+
+  const result = [...items];
+  for (const { index, key, reference } of uploads) {
+    const item = result[index] && typeof result[index] === 'object' ? result[index] : {};
+    result[index] = { ...item, binary: { ...item.binary, [key]: reference } };
+  }
+  // Fill the gaps left by file fields pointing past the end of the items
+  return Array.from(result, (item) => item || {});
+}
+
+/**
+ * Read a multipart/form-data execution request. `code` (or `files` and `entry`),
+ * `cacheKey`, `items` and `options` (files, items and options JSON encoded) are
+ * form fields; uploaded files are streamed to the input directory of executionDir
+ * without being buffered. An `items` file holds the items as NDJSON instead:
+ * its path is returned as `itemsFile` next to the body, and no other file can be
+ * attached then. Rejects with an error carrying a `statusCode` for invalid requests.
+ * @returns {Promise<{body: Object, itemsFile: string|undefined}>} - Request body in
+ *   the shape of a JSON execution request and the path of the uploaded items file
+ */
+function parseMultipartExecution(req, executionDir, { maxFileSize = 0, inputDir = 'input' } = {}) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: maxFileSize > 0 ? { fileSize: maxFileSize } : {},
+      });
+    } catch (error) {
+      reject(requestError(400, error.message));
+      return;
+    }
+
+    const fields = {};
+    const uploads = [];
+    let itemsFile;
+    const writes = [];
+    let writeError = null;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      reject(error);
+    };
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('file', (name, stream, { filename, mimeType }) => {
+      stream.on('limit', () => {
+        fail(requestError(413, `File ${filename} exceeds the upload size limit of ${maxFileSize} bytes`));
+      });
+
+      if (name === ITEMS_FIELD) {
+        itemsFile = path.join(executionDir, inputDir, ITEMS_FILE_NAME);
+        writes.push(
+          fs.promises
+            .mkdir(path.dirname(itemsFile), { recursive: true })
+            .then(() => pipeline(stream, fs.createWriteStream(itemsFile)))
+            .catch((error) => {
+              writeError = writeError || error;
+            })
+        );
+        return;
+      }
+
+      const match = name.match(FILE_FIELD_PATTERN);
+      const index = match ? Number(match[1]) : 0;
+      const key = match ? match[2] : name;
+      const filePath = getInputFilePath(index, key, filename, inputDir);
+      const absolutePath = path.join(executionDir, filePath);
+
+      const fileName = path.posix.basename(filePath);
+      let fileSize = 0;
+      writes.push(
+        fs.promises
+          .mkdir(path.dirname(absolutePath), { recursive: true })
+          .then(() => {
+            const output = fs.createWriteStream(absolutePath);
+            return pipeline(stream, output).then(() => {
+              fileSize = output.bytesWritten;
+            });
+          })
+          .then(() => {
+            uploads.push({
+              index,
+              key,
+              reference: {
+                fileName,
+                mimeType: mimeType && !DEFAULT_PART_TYPES.includes(mimeType) ? mimeType : getMimeType(fileName),
+                fileSize,
+                filePath,
+              },
+            });
+          })
+          .catch((error) => {
+            writeError = writeError || error;
+          })
+      );
+    });
+
+    busboy.on('error', (error) => {
+      req.unpipe(busboy);
+      // Drain the rest of the body so the response can be sent
+      req.resume();
+      fail(requestError(400, error.message));
+    });
+
+    busboy.on('close', async () => {
+      await Promise.all(writes);
+      if (writeError) {
+        fail(writeError);
+        return;
+      }
+      try {
+        if (itemsFile && (fields.items !== undefined || uploads.length > 0)) {
+          throw requestError(400, 'Items sent as an NDJSON file cannot be combined with an items field or other files');
+        }
+        const body = {
+          code: fields.code,
+          files: parseJsonField(fields, 'files', undefined),
+          entry: fields.entry,
+          cacheKey: fields.cacheKey,
+          ...(itemsFile ? {} : { items: attachUploads(parseJsonField(fields, 'items', []), uploads) }),
+          options: parseJsonField(fields, 'options', {}),
+        };
+        resolve({ body, itemsFile });
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.pipe(busboy);
+  });
+}
+
+module.exports = {
+  requestError,
+  isMultipartRequest,
+  parseMultipartExecution,
+};
@@ -0,0 +1,155 @@
+const { Transform } = require('stream');
+const { requestError } = require('./multipartUtils');
+
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+// Longest first line accepted from an NDJSON request (it holds the code)
+const MAX_HEADER_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Whether the request body is NDJSON: a request line followed by one item per line
+ */
+function isNdjsonRequest(req) {
+  const contentType = (req.headers && req.headers['content-type']) || '';
+  return contentType.toLowerCase().startsWith(NDJSON_CONTENT_TYPE);
+}
+
+/**
+ * Read the first line of an NDJSON stream and parse it as JSON. The rest of
+ * the stream is left unread (pushed back with unshift) for the items.
+ * Rejects with an error carrying a `statusCode` for invalid requests.
+ * @returns {Promise<Object>}
+ */
+function readNdjsonHeader(stream, maxBytes = MAX_HEADER_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const finish = (error, header) => {
+      stream.removeListener('readable', onReadable);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
+      if (error) reject(error);
+      else resolve(header);
+    };
+
+    const parse = (line) => {
+      let header;
+      try {
+        header = JSON.parse(line.toString('utf8'));
+      } catch {
+        return finish(requestError(400, 'Invalid JSON in the first line of the NDJSON body'));
+      }
+      if (!header || typeof header !== 'object' || Array.isArray(header)) {
+        return finish(requestError(400, 'The first line of the NDJSON body must be the request object'));
+      }
+      return finish(null, header);
+    };
+
+    function onReadable() {
+      let chunk;
+      while ((chunk = stream.read()) !== null) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        const lineEnd = buffer.indexOf('\n');
+        if (lineEnd === -1) {
+          chunks.push(buffer);
+          size += buffer.length;
+          if (size > maxBytes) {
+            return finish(requestError(413, `The first line of the NDJSON body exceeds ${maxBytes} bytes`));
+          }
+          continue;
+        }
+        if (lineEnd + 1 < buffer.length) stream.unshift(buffer.subarray(lineEnd + 1));
+        chunks.push(buffer.subarray(0, lineEnd));
+        return parse(Buffer.concat(chunks));
+      }
+      return undefined;
+    }
+
+    function onEnd() {
+      if (size === 0) {
+        finish(requestError(400, 'The NDJSON body is empty'));
+      } else {
+        parse(Buffer.concat(chunks));
+      }
+    }
+
+    function onError(error) {
+      finish(requestError(400, error.message));
+    }
+
+    stream.on('readable', onReadable);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
+
+/**
+ * Whether bytes start..end of a buffer hold anything but whitespace
+ */
+function hasContent(buffer, start, end) {
+  for (let index = start; index < end; index++) {
+    const byte = buffer[index];
+    if (byte !== 0x20 && byte !== 0x09 && byte !== 0x0d) return true;
+  }
+  return false;
+}
+
+/**
+ * Pass-through stream counting the non-empty NDJSON lines going through it
+ * and keeping the first sampleSize of them, parsed (lines that are not valid
+ * JSON are left out of the sample)
+ * @returns {{ stream: Transform, stats: Function }} - stats() returns { count, sample }
+ */
+function createLineCounter(sampleSize = 0) {
+  let count = 0;
+  const sample = [];
+  // The line continuing in the next chunk: whether it has content so far, and its bytes while sampling
+  let lineHasContent = false;
+  let lineParts = [];
+
+  const endLine = () => {
+    if (lineHasContent) {
+      count++;
+      if (sample.length < sampleSize) {
+        try {
+          sample.push(JSON.parse(Buffer.concat(lineParts).toString('utf8')));
+        } catch {
+          // Reported by the runtime when it reads the line
+        }
+      }
+    }
+    lineHasContent = false;
+    lineParts = [];
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+      let start = 0;
+      while (start < buffer.length) {
+        const lineEnd = buffer.indexOf(0x0a, start);
+        const end = lineEnd === -1 ? buffer.length : lineEnd;
+        lineHasContent = lineHasContent || hasContent(buffer, start, end);
+        if (sample.length < sampleSize) lineParts.push(buffer.subarray(start, end));
+        if (lineEnd === -1) break;
+        endLine();
+        start = lineEnd + 1;
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      endLine();
+      callback();
+    },
+  });
+
+  return { stream, stats: () => ({ count, sample }) };
+}
+
+module.exports = {
+  NDJSON_CONTENT_TYPE,
+  isNdjsonRequest,
+  readNdjsonHeader,
+  createLineCounter,
+};
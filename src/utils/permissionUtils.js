@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+// Node 22 ships the stable flag; older versions only know the experimental one
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : '--experimental-permission';
+
+const DISABLE_SECURITY_WARNING = '--disable-warning=SecurityWarning';
+
+const DEFAULT_SANDBOX_POLICY = {
+  enabled: false,
+  allowChildProcess: false,
+  allowWorker: false,
+  allowRead: [],
+  allowWrite: [],
+};
+
+/**
+ * Merge the global sandbox policy with the override for a cache key.
+ * Extra read/write paths from both levels are combined.
+ */
+function resolveSandboxPolicy({ defaults = {}, cacheKeys = {} } = {}, cacheKey) {
+  const global = { ...DEFAULT_SANDBOX_POLICY, ...defaults };
+  const override = (cacheKey && cacheKeys[cacheKey]) || {};
+
+  return {
+    ...global,
+    ...override,
+    allowRead: [...(global.allowRead || []), ...(override.allowRead || [])],
+    allowWrite: [...(global.allowWrite || []), ...(override.allowWrite || [])],
+  };
+}
+
+/**
+ * Build the node flags that enable the permission model with the given grants
+ */
+function buildPermissionArgs({ readPaths = [], writePaths = [], allowChildProcess = false, allowWorker = false }) {
+  const args = [PERMISSION_FLAG];
+  if (PERMISSION_FLAG === '--experimental-permission') {
+    // The experimental warning would be written to stderr and fail the execution
+    args.push('--no-warnings');
+  }
+  for (const readPath of new Set(readPaths)) {
+    args.push(`--allow-fs-read=${readPath}`);
+  }
+  for (const writePath of new Set(writePaths)) {
+    args.push(`--allow-fs-write=${writePath}`);
+  }
+  if (allowChildProcess) args.push('--allow-child-process');
+  if (allowWorker) args.push('--allow-worker');
+  return args;
+}
+
+/**
+ * Environment variables of a sandboxed execution. Node 22 warns on stderr, which
+ * fails the execution, when child processes or workers are allowed. The flag
+ * goes in NODE_OPTIONS because that is how Node passes the permission flags on
+ * to the child processes, which would warn as well.
+ */
+function buildPermissionEnv({ allowChildProcess = false, allowWorker = false }) {
+  if (!(allowChildProcess || allowWorker) || !process.allowedNodeEnvironmentFlags.has('--disable-warning')) {
+    return {};
+  }
+  return { NODE_OPTIONS: DISABLE_SECURITY_WARNING };
+}
+
+/**
+ * Load per-cache-key sandbox policies from a JSON file shaped like
+ * { "<cacheKey>": { "enabled": true, "allowChildProcess": true, "allowRead": [...] } }
+ */
+function loadSandboxPolicies(filePath) {
+  if (!filePath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not load sandbox policies from ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+module.exports = {
+  DEFAULT_SANDBOX_POLICY,
+  resolveSandboxPolicy,
+  buildPermissionArgs,
+  buildPermissionEnv,
+  loadSandboxPolicies,
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+// Linux reports CPU times in /proc/<pid>/stat in clock ticks (USER_HZ)
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Read the current RSS and consumed CPU time of a process from /proc.
+ * Returns null when the process is gone or /proc is not available.
+ */
+function readProcessUsage(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+
+    const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    // Fields after the command name (which may contain spaces) start at "state"
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const userTicks = parseInt(fields[11], 10) || 0;
+    const systemTicks = parseInt(fields[12], 10) || 0;
+
+    return {
+      rssBytes: rssMatch ? parseInt(rssMatch[1], 10) * 1024 : 0,
+      cpuTimeMs: ((userTicks + systemTicks) * 1000) / CLOCK_TICKS_PER_SECOND,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Poll a process and call onExceeded('memory' | 'cpu', usage) once it goes
+ * over its RSS or CPU time budget. CPU time is counted from the moment
+ * monitoring starts, so pooled workers can be monitored per execution.
+ * @returns {Function} - Stops monitoring
+ */
+function monitorProcessLimits(pid, { memoryLimitMb, cpuTimeMs, intervalMs = 100 }, onExceeded) {
+  if (!memoryLimitMb && !cpuTimeMs) return () => {};
+
+  const baseline = readProcessUsage(pid);
+  if (!baseline) return () => {};
+
+  const memoryLimitBytes = memoryLimitMb ? memoryLimitMb * 1024 * 1024 : 0;
+  const timer = setInterval(() => {
+    const usage = readProcessUsage(pid);
+    if (!usage) return;
+
+    if (memoryLimitBytes && usage.rssBytes > memoryLimitBytes) {
+      clearInterval(timer);
+      onExceeded('memory', usage);
+    } else if (cpuTimeMs && usage.cpuTimeMs - baseline.cpuTimeMs > cpuTimeMs) {
+      clearInterval(timer);
+      onExceeded('cpu', usage);
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Check whether stderr output comes from V8 aborting on its heap limit
+ */
+function isOutOfMemoryError(stderr) {
+  return /JavaScript heap out of memory|Reached heap limit/.test(stderr || '');
+}
+
+module.exports = {
+  readProcessUsage,
+  monitorProcessLimits,
+  isOutOfMemoryError,
+};
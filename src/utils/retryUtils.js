@@ -0,0 +1,63 @@
+// Error types of a failed execution that a retry policy can retry on
+const RETRY_ERROR_TYPES = [
+  'timeout',
+  'killed_by_signal',
+  'memory_exceeded',
+  'invalid_output',
+  'user_error',
+  'dependency_install_failed',
+];
+
+const MAX_RETRY_ATTEMPTS = 10;
+const MAX_BACKOFF_MS = 60 * 1000;
+// Longest wait between two attempts, whatever the doubled backoff (well under the setTimeout maximum)
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a retry option is { attempts, backoffMs, retryOn } with from 1 to
+ * MAX_RETRY_ATTEMPTS attempts (the first one included), a backoff from 0 to
+ * MAX_BACKOFF_MS and a non-empty list of RETRY_ERROR_TYPES
+ */
+function isValidRetry(retry) {
+  if (retry === undefined) return true;
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) return false;
+  const { attempts, backoffMs, retryOn } = retry;
+  return (
+    Number.isInteger(attempts) &&
+    attempts >= 1 &&
+    attempts <= MAX_RETRY_ATTEMPTS &&
+    (backoffMs === undefined || (Number.isInteger(backoffMs) && backoffMs >= 0 && backoffMs <= MAX_BACKOFF_MS)) &&
+    (retryOn === undefined ||
+      (Array.isArray(retryOn) && retryOn.length > 0 && retryOn.every((type) => RETRY_ERROR_TYPES.includes(type))))
+  );
+}
+
+/**
+ * Whether a failed attempt is run again: attempts are left and the error type is
+ * one of `retryOn` (any of RETRY_ERROR_TYPES when it is not set)
+ * @param {Object} retry - Retry option of the execution (may be undefined)
+ * @param {Object} error - Failure payload of the attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ */
+function shouldRetry(retry, error, attempt) {
+  if (!retry || attempt >= retry.attempts || error.cancelled) return false;
+  return (retry.retryOn || RETRY_ERROR_TYPES).includes(error.errorType);
+}
+
+/**
+ * Delay before the attempt following a failed one: backoffMs, doubled after each
+ * failure, up to MAX_RETRY_DELAY_MS
+ */
+function retryDelay(retry, attempt) {
+  return Math.min((retry.backoffMs || 0) * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+module.exports = {
+  RETRY_ERROR_TYPES,
+  MAX_RETRY_ATTEMPTS,
+  MAX_BACKOFF_MS,
+  MAX_RETRY_DELAY_MS,
+  isValidRetry,
+  shouldRetry,
+  retryDelay,
+};
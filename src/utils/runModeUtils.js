@@ -0,0 +1,22 @@
+// 'all' calls the user function once with every item, 'eachItem' once per item
+const RUN_MODES = ['all', 'eachItem'];
+
+/**
+ * Check whether a run mode option is supported
+ */
+function isValidRunMode(mode) {
+  return mode === undefined || RUN_MODES.includes(mode);
+}
+
+/**
+ * Check whether a concurrency option is a positive integer
+ */
+function isValidConcurrency(concurrency) {
+  return concurrency === undefined || (Number.isInteger(concurrency) && concurrency > 0);
+}
+
+module.exports = {
+  RUN_MODES,
+  isValidRunMode,
+  isValidConcurrency,
+};
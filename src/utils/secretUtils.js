@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Secrets are exposed as environment variables, so their names must be valid ones
+const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const REDACTED = '[REDACTED]';
+
+// The only server environment variables executions inherit. Everything else
+// (SECRET_KEY, SECRETS_MASTER_KEY, cloud credentials, ...) stays in the server.
+const EXECUTION_ENV_ALLOWLIST = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR'];
+
+// Names that change how node or the loader behaves, or that hold the server's own keys
+const RESERVED_SECRET_NAMES = new Set([
+  ...EXECUTION_ENV_ALLOWLIST,
+  'SECRET_KEY',
+  'SECRETS_MASTER_KEY',
+  'NODE_OPTIONS',
+  'NODE_PATH',
+]);
+const RESERVED_SECRET_PREFIXES = ['NODE_', 'NPM_', 'LD_', 'DYLD_'];
+
+const KEY_SALT = 'codeharbor-secrets';
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Check whether a secret name can be used as an environment variable of an
+ * execution. Reserved names (see RESERVED_SECRET_NAMES) are rejected.
+ */
+function isValidSecretName(name) {
+  if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) return false;
+  const upper = name.toUpperCase();
+  return !RESERVED_SECRET_NAMES.has(upper) && !RESERVED_SECRET_PREFIXES.some((prefix) => upper.startsWith(prefix));
+}
+
+/**
+ * Build the environment of an execution process: the allowlisted server
+ * variables plus the injected secrets
+ */
+function buildExecutionEnv(secrets = {}, baseEnv = process.env) {
+  const env = {};
+  for (const name of EXECUTION_ENV_ALLOWLIST) {
+    if (baseEnv[name] !== undefined) env[name] = baseEnv[name];
+  }
+  return { ...env, ...secrets };
+}
+
+/**
+ * Derive the 256-bit encryption key of the secrets store from the master key
+ */
+function deriveSecretKey(masterKey) {
+  return crypto.scryptSync(String(masterKey), KEY_SALT, 32);
+}
+
+/**
+ * Encrypt a secret value with AES-256-GCM
+ * @returns {string} - `iv:authTag:ciphertext`, each part base64 encoded
+ */
+function encryptSecret(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret. Throws when the key does not
+ * match or the value was tampered with.
+ */
+function decryptSecret(payload, key) {
+  const [iv, authTag, encrypted] = String(payload)
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Replace every occurrence of the secret values in the strings of a value
+ * (objects and arrays are walked) with [REDACTED]. Returns a new value.
+ */
+function redactSecrets(value, secretValues = []) {
+  // Longer values first, so a secret containing another one is fully replaced
+  const values = [...new Set(secretValues.filter((secret) => typeof secret === 'string' && secret))].sort(
+    (a, b) => b.length - a.length
+  );
+  if (values.length === 0) return value;
+
+  const redact = (current) => {
+    if (typeof current === 'string') {
+      return values.reduce((text, secret) => text.split(secret).join(REDACTED), current);
+    }
+    if (Array.isArray(current)) return current.map(redact);
+    if (current && typeof current === 'object') {
+      return Object.fromEntries(Object.entries(current).map(([key, entry]) => [key, redact(entry)]));
+    }
+    return current;
+  };
+  return redact(value);
+}
+
+module.exports = {
+  REDACTED,
+  EXECUTION_ENV_ALLOWLIST,
+  isValidSecretName,
+  buildExecutionEnv,
+  deriveSecretKey,
+  encryptSecret,
+  decryptSecret,
+  redactSecrets,
+};
@@ -0,0 +1,80 @@
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode one Base64 VLQ segment of a source map into its numeric fields
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_CHARS.indexOf(char);
+    if (digit === -1) return [];
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode the `mappings` field of a source map (v3).
+ * Returns one array per generated line with absolute, 0-based
+ * [generatedColumn, sourceIndex, sourceLine, sourceColumn] segments.
+ */
+function decodeMappings(mappings) {
+  let sourceIndex = 0;
+  let sourceLine = 0;
+  let sourceColumn = 0;
+
+  return (mappings || '').split(';').map((line) => {
+    let generatedColumn = 0;
+    const segments = [];
+
+    for (const encoded of line.split(',')) {
+      if (!encoded) continue;
+      const fields = decodeVlq(encoded);
+      generatedColumn += fields[0] || 0;
+      if (fields.length >= 4) {
+        sourceIndex += fields[1];
+        sourceLine += fields[2];
+        sourceColumn += fields[3];
+        segments.push([generatedColumn, sourceIndex, sourceLine, sourceColumn]);
+      }
+    }
+    return segments;
+  });
+}
+
+/**
+ * Create a function mapping 1-based generated positions (as printed in stack
+ * traces) to 1-based original positions, or null when there is no mapping
+ */
+function createPositionMapper(sourceMap) {
+  const map = typeof sourceMap === 'string' ? JSON.parse(sourceMap) : sourceMap;
+  const lines = decodeMappings(map.mappings);
+
+  return (line, column = 1) => {
+    const segments = lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Use the closest segment starting at or before the column
+    let match = segments[0];
+    for (const segment of segments) {
+      if (segment[0] > column - 1) break;
+      match = segment;
+    }
+    return { line: match[2] + 1, column: match[3] + 1 };
+  };
+}
+
+module.exports = {
+  decodeMappings,
+  createPositionMapper,
+};
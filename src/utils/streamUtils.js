@@ -0,0 +1,62 @@
+const STREAM_CONTENT_TYPES = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson',
+};
+
+/**
+ * Get the streaming format requested through the Accept header, or null
+ * for a regular JSON response
+ */
+function getStreamFormat(req) {
+  const accept = (req.headers && req.headers.accept) || '';
+  if (accept.includes(STREAM_CONTENT_TYPES.sse)) return 'sse';
+  if (accept.includes(STREAM_CONTENT_TYPES.ndjson)) return 'ndjson';
+  return null;
+}
+
+/**
+ * Start a streaming response and return a function writing one event.
+ * SSE events use the event name as `event:` field; NDJSON lines are
+ * `{ "event": name, "data": data }` objects.
+ */
+function startEventStream(res, format) {
+  res.status(200);
+  res.setHeader('Content-Type', STREAM_CONTENT_TYPES[format]);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Ask reverse proxies (nginx) not to buffer the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    if (format === 'sse') {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } else {
+      res.write(`${JSON.stringify({ event, data })}\n`);
+    }
+  };
+}
+
+/**
+ * Wait until a response written past its buffer can take more data, or until
+ * it closes because the client went away
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+module.exports = {
+  STREAM_CONTENT_TYPES,
+  getStreamFormat,
+  startEventStream,
+  waitForDrain,
+};
@@ -0,0 +1,99 @@
+const LANGUAGES = ['javascript', 'typescript'];
+
+/**
+ * Check whether a language option is supported
+ */
+function isValidLanguage(language) {
+  return language === undefined || LANGUAGES.includes(language);
+}
+
+/**
+ * Whether a string literal is the module of an import, export, import() or require()
+ */
+function isModuleSpecifier(ts, parent, node) {
+  if (ts.isImportDeclaration(parent) || ts.isExportDeclaration(parent)) {
+    return parent.moduleSpecifier === node;
+  }
+  if (ts.isExternalModuleReference(parent)) {
+    return parent.expression === node;
+  }
+  return (
+    ts.isCallExpression(parent) &&
+    parent.arguments[0] === node &&
+    (parent.expression.kind === ts.SyntaxKind.ImportKeyword ||
+      (ts.isIdentifier(parent.expression) && parent.expression.text === 'require'))
+  );
+}
+
+/**
+ * Transformer passing the modules imported by the code through rewriteImport
+ */
+function createImportTransformer(ts, rewriteImport) {
+  return (context) => {
+    const visit = (parent) =>
+      ts.visitEachChild(
+        parent,
+        (node) => {
+          if (ts.isStringLiteral(node) && isModuleSpecifier(ts, parent, node)) {
+            const specifier = rewriteImport(node.text);
+            return specifier === node.text ? node : context.factory.createStringLiteral(specifier);
+          }
+          return visit(node);
+        },
+        context
+      );
+    return visit;
+  };
+}
+
+/**
+ * Transpile TypeScript to JavaScript, keeping a source map so errors can be
+ * reported against the original lines. Import/export statements are preserved
+ * unless CommonJS output is requested, so module type detection still works
+ * on the result (type-only imports are removed).
+ * @param {string} code - TypeScript source
+ * @param {Object} options - { moduleType: 'auto' | 'cjs' | 'esm', fileName: name used in errors,
+ *   rewriteImport: maps each imported module to the one imported by the output }
+ * @returns {{ code: string, sourceMap: Object }}
+ */
+function transpileTypeScript(code, { moduleType, fileName = 'execution.ts', rewriteImport } = {}) {
+  // Loaded on demand: the compiler is large and only needed for TypeScript jobs
+  const ts = require('typescript');
+
+  const output = ts.transpileModule(code, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2022,
+      module: moduleType === 'cjs' ? ts.ModuleKind.CommonJS : ts.ModuleKind.ESNext,
+      esModuleInterop: true,
+      sourceMap: true,
+    },
+    ...(rewriteImport ? { transformers: { before: [createImportTransformer(ts, rewriteImport)] } } : {}),
+  });
+
+  const errors = (output.diagnostics || []).filter(
+    (diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error
+  );
+  if (errors.length > 0) {
+    const messages = errors.map((diagnostic) => {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      if (!diagnostic.file || diagnostic.start === undefined) return message;
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+      return `${message} (${fileName}:${line + 1}:${character + 1})`;
+    });
+    throw new Error(`TypeScript compilation failed: ${messages.join('; ')}`);
+  }
+
+  return {
+    // The map is kept in memory, drop the reference to a file that is never written
+    code: output.outputText.replace(/\n\/\/# sourceMappingURL=.*\s*$/, '\n'),
+    sourceMap: JSON.parse(output.sourceMapText),
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  isValidLanguage,
+  transpileTypeScript,
+};
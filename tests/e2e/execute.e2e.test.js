@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { startServer } = require('./setup');
 
 describe('POST /execute E2E', () => {
@@ -112,6 +115,7 @@ describe('POST /execute E2E', () => {
       expect(status).toBe(200); // errors return 200 with success: false
       expect(body.success).toBe(false);
       expect(body.error).toContain('intentional error');
+      expect(body.errorLocation).toMatchObject({ file: 'execution.js', line: 1, column: 37 });
     });
 
     it('returns error when code does not export a function', async () => {
@@ -133,6 +137,270 @@ describe('POST /execute E2E', () => {
       });
 
       expect(body.success).toBe(false);
+      expect(body.errorLocation).toMatchObject({ file: 'execution.js', line: 1, column: 41 });
+      expect(body.errorLocation.codeFrame).toContain('> 1 | module.exports');
+    });
+
+    it('locates syntax errors of ES modules', async () => {
+      const { body } = await exec({
+        code: `export default function() {\n  return [1, 2;\n}`,
+        items: [],
+        cacheKey: 'error-syntax-esm',
+      });
+
+      expect(body.success).toBe(false);
+      expect(body.errorLocation).toMatchObject({ file: 'execution.mjs', line: 2 });
+    });
+  });
+
+  describe('module types and languages', () => {
+    it('executes ES module code with top-level await', async () => {
+      const { body } = await exec({
+        code: `const factor = await Promise.resolve(3);
+        export default (items) => items.map(i => i * factor);`,
+        items: [1, 2],
+        cacheKey: 'esm-top-level-await',
+      });
+
+      expect(body.success).toBe(true);
+      expect(body.data).toEqual([3, 6]);
+    });
+
+    it('executes TypeScript and reports errors at the original line', async () => {
+      const { body } = await exec({
+        code: [
+          'interface Item {',
+          '  value: number;',
+          '}',
+          '',
+          'export default function (items: Item[]): number[] {',
+          "  if (items.length === 0) throw new Error('no items');",
+          '  return items.map((item) => item.value);',
+          '}',
+        ].join('\n'),
+        items: [],
+        cacheKey: 'typescript-error',
+        options: { language: 'typescript' },
+      });
+
+      expect(body.success).toBe(false);
+      expect(body.error).toContain('no items');
+      expect(body.stack).toContain('execution.ts:6:');
+    });
+
+    it('executes a multi-file bundle with relative requires', async () => {
+      const { body } = await exec({
+        files: {
+          'index.js': `const { parse } = require('./lib/parse');
+            const config = require('./config.json');
+            module.exports = (items) => items.map((item) => parse(item) + config.offset);`,
+          'lib/parse.js': 'exports.parse = (value) => parseInt(value, 10);',
+          'config.json': '{ "offset": 100 }',
+        },
+        entry: 'index.js',
+        items: ['1', '2'],
+        cacheKey: 'multi-file-bundle',
+      });
+
+      expect(body.success).toBe(true);
+      expect(body.data).toEqual([101, 102]);
+    });
+
+    it('executes a TypeScript bundle importing its files without extensions', async () => {
+      const { body } = await exec({
+        files: {
+          'index.ts': `import { parse } from './lib/parse';
+            import { offset } from './lib';
+            export default (items: string[]) => items.map((item) => parse(item) + offset);`,
+          'lib/parse.ts': 'export const parse = (value: string): number => parseInt(value, 10);',
+          'lib/index.ts': 'export const offset: number = 100;',
+        },
+        entry: 'index.ts',
+        items: ['1', '2'],
+        cacheKey: 'typescript-bundle',
+        options: { language: 'typescript' },
+      });
+
+      expect(body.success).toBe(true);
+      expect(body.data).toEqual([101, 102]);
+    });
+
+    it('reports imports missing from a bundle without the execution directory', async () => {
+      const { body } = await exec({
+        files: {
+          'index.ts': "import { parse } from './lib/missing';\nexport default () => parse;",
+          'lib/parse.ts': 'export const parse = Number;',
+        },
+        entry: 'index.ts',
+        cacheKey: 'typescript-bundle-missing',
+        options: { language: 'typescript' },
+      });
+
+      expect(body.success).toBe(false);
+      expect(body.error).toBe("Cannot find module 'lib/missing' imported from execution.mjs");
+    });
+  });
+
+  describe('streaming', () => {
+    const execStream = async (body, accept) => {
+      const res = await fetch(`${ctx.baseUrl}/execute`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: accept,
+          Authorization: `Bearer ${SECRET}`,
+        },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, contentType: res.headers.get('content-type'), text: await res.text() };
+    };
+
+    it('streams console output and the result as NDJSON', async () => {
+      const { status, contentType, text } = await execStream(
+        {
+          code: `module.exports = async function(items) {
+            console.log('step 1');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            console.log('step 2');
+            return items;
+          }`,
+          items: [1],
+          cacheKey: 'stream-ndjson',
+        },
+        'application/x-ndjson'
+      );
+
+      expect(status).toBe(200);
+      expect(contentType).toContain('application/x-ndjson');
+      const events = text.trim().split('\n').map((line) => JSON.parse(line));
+      expect(events.map((e) => e.event)).toEqual(['console', 'console', 'result']);
+      expect(events[0].data.message).toBe('step 1');
+      expect(events[2].data).toMatchObject({ success: true, data: [1] });
+    });
+
+    it('streams server-sent events', async () => {
+      const { contentType, text } = await execStream(
+        {
+          code: `module.exports = () => { console.log('sse'); return 1; }`,
+          cacheKey: 'stream-sse',
+        },
+        'text/event-stream'
+      );
+
+      expect(contentType).toContain('text/event-stream');
+      expect(text).toContain('event: console\ndata: {"type":"log","message":"sse"');
+      expect(text).toContain('event: result\ndata: {"success":true,"data":1');
+    });
+
+    it('streams NDJSON items to a generator and its results back', async () => {
+      const request = {
+        code: `module.exports = async function* (items) {
+          for await (const item of items) yield { id: item.id, double: item.id * 2 };
+        }`,
+        cacheKey: 'stream-ndjson-items',
+      };
+      const lines = Array.from({ length: 50 }, (_, index) => JSON.stringify({ id: index })).join('\n');
+      const res = await fetch(`${ctx.baseUrl}/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson', Authorization: `Bearer ${SECRET}` },
+        body: `${JSON.stringify(request)}\n${lines}\n`,
+      });
+
+      expect(res.status).toBe(200);
+      const events = (await res.text()).trim().split('\n').map((line) => JSON.parse(line));
+      const items = events.filter((e) => e.event === 'item');
+      expect(items).toHaveLength(50);
+      expect(items[49].data).toEqual({ id: 49, double: 98 });
+      expect(events[events.length - 1]).toMatchObject({
+        event: 'result',
+        data: { success: true, itemCount: 50, resultCount: 50 },
+      });
+    });
+
+    it('ignores an itemsFile path sent in a JSON request', async () => {
+      const secretFile = path.join(os.tmpdir(), `items-file-e2e-${Date.now()}.ndjson`);
+      fs.writeFileSync(secretFile, '{"secret":"server file"}\n');
+      try {
+        const { status, body } = await exec({
+          code: 'module.exports = (items) => items',
+          cacheKey: 'items-file-json',
+          itemsFile: secretFile,
+        });
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ success: true, data: [] });
+        expect(JSON.stringify(body)).not.toContain('server file');
+
+        const missing = await exec({
+          code: 'module.exports = (items) => items',
+          cacheKey: 'items-file-json',
+          itemsFile: '/nonexistent',
+        });
+        expect(missing.body).toMatchObject({ success: true, data: [] });
+      } finally {
+        fs.rmSync(secretFile, { force: true });
+      }
+    });
+  });
+
+  describe('multipart uploads', () => {
+    const upload = async (form) => {
+      const res = await fetch(`${ctx.baseUrl}/execute`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${SECRET}` },
+        body: form,
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    it('runs code with uploaded files exposed as binary references', async () => {
+      const form = new FormData();
+      form.append('code', `module.exports = async function(items, { getBinaryBuffer }) {
+        const ref = items[0].binary.data;
+        return { name: items[0].json.name, fileName: ref.fileName, content: (await getBinaryBuffer(ref)).toString() };
+      }`);
+      form.append('cacheKey', 'e2e-multipart');
+      form.append('items', JSON.stringify([{ json: { name: 'upload' } }]));
+      form.append('data', new Blob(['uploaded content'], { type: 'text/plain' }), 'notes.txt');
+
+      const { status, body } = await upload(form);
+      expect(status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(body.data).toEqual({ name: 'upload', fileName: 'notes.txt', content: 'uploaded content' });
+    });
+
+    it('validates the form fields', async () => {
+      const form = new FormData();
+      form.append('cacheKey', 'e2e-multipart');
+      form.append('data', new Blob(['x']), 'x.bin');
+
+      const { status, body } = await upload(form);
+      expect(status).toBe(400);
+      expect(body.error).toContain('Code is required');
+    });
+  });
+
+  describe('retry', () => {
+    it('runs flaky code again until it succeeds', async () => {
+      const marker = path.join(os.tmpdir(), `retry-e2e-${Date.now()}`);
+      try {
+        const { body } = await exec({
+          code: `const fs = require('fs');
+          module.exports = function() {
+            if (!fs.existsSync(${JSON.stringify(marker)})) {
+              fs.writeFileSync(${JSON.stringify(marker)}, '');
+              throw new Error('flaky');
+            }
+            return 'ok';
+          }`,
+          cacheKey: 'retry-flaky',
+          options: { retry: { attempts: 3, backoffMs: 10, retryOn: ['user_error'] } },
+        });
+
+        expect(body).toMatchObject({ success: true, data: 'ok', attempts: 2 });
+      } finally {
+        fs.rmSync(marker, { force: true });
+      }
     });
   });
 
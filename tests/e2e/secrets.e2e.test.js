@@ -0,0 +1,64 @@
+const { startServer } = require('./setup');
+
+describe('Secrets', () => {
+  let ctx;
+  const SECRET = 'e2e-test-secret';
+
+  function request(method, path, body) {
+    return fetch(`${ctx.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${SECRET}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  }
+
+  beforeAll(async () => {
+    ctx = await startServer({ SECRETS_MASTER_KEY: 'e2e-master-key' });
+  });
+
+  afterAll(async () => {
+    await ctx.cleanup();
+  });
+
+  it('requires authentication', async () => {
+    const res = await fetch(`${ctx.baseUrl}/secrets`);
+    expect(res.status).toBe(401);
+  });
+
+  it('injects a stored secret and redacts it from the response', async () => {
+    const saved = await request('POST', '/secrets', { name: 'API_TOKEN', value: 'tok-e2e-123', cacheKey: 'e2e-secrets' });
+    expect(saved.status).toBe(200);
+
+    const list = await (await request('GET', '/secrets')).json();
+    expect(list.enabled).toBe(true);
+    expect(JSON.stringify(list)).not.toContain('tok-e2e-123');
+
+    const res = await request('POST', '/execute', {
+      code: `module.exports = (items, { secrets }) => {
+        console.log('token is ' + process.env.API_TOKEN);
+        return { length: secrets.API_TOKEN.length, token: secrets.API_TOKEN };
+      }`,
+      cacheKey: 'e2e-secrets',
+    });
+    const body = await res.json();
+
+    expect(body.success).toBe(true);
+    expect(body.data).toEqual({ length: 11, token: '[REDACTED]' });
+    expect(body.console[0].message).toBe('token is [REDACTED]');
+  });
+
+  it('does not inject secrets of another cache key', async () => {
+    const res = await request('POST', '/execute', {
+      code: 'module.exports = () => process.env.API_TOKEN || null',
+      cacheKey: 'e2e-other',
+    });
+    expect((await res.json()).data).toBeNull();
+  });
+
+  it('deletes a secret', async () => {
+    const { secrets } = await (await request('GET', '/secrets')).json();
+    const res = await request('DELETE', `/secrets/${secrets[0].id}`);
+    expect(res.status).toBe(200);
+    expect((await (await request('GET', '/secrets')).json()).secrets).toEqual([]);
+  });
+});
@@ -45,6 +45,9 @@ async function startServer(envOverrides = {}) {
   const DependencyService = require('../../src/services/dependencyService');
   const ExecutionService = require('../../src/services/executionService');
   const ExecutionController = require('../../src/controllers/executionController');
+  const DatabaseService = require('../../src/services/databaseService');
+  const SecretService = require('../../src/services/secretService');
+  const SecretController = require('../../src/controllers/secretController');
   const authMiddleware = require('../../src/middleware/auth');
   const setupRoutes = require('../../src/routes');
 
@@ -59,9 +62,14 @@ async function startServer(envOverrides = {}) {
   const cacheService = new CacheService(cacheDir, parseFileSize(process.env.CACHE_SIZE_LIMIT));
   const dependencyService = new DependencyService(cacheService, process.env.DEPENDENCY_VERSION_STRATEGY);
   const executionService = new ExecutionService(executionDir, parseInt(process.env.DEFAULT_TIMEOUT, 10), parseInt(process.env.EXECUTIONS_DATA_PRUNE_MAX_COUNT, 10));
-  const executionController = new ExecutionController(dependencyService, executionService, cacheService, cacheDir);
+  // The secrets store needs a database, only created when a master key is given
+  const databaseService = envOverrides.SECRETS_MASTER_KEY ? new DatabaseService(tmpDir).initialize() : null;
+  const secretService = databaseService ? new SecretService(databaseService, envOverrides.SECRETS_MASTER_KEY) : null;
+  const executionController = new ExecutionController(dependencyService, executionService, cacheService, cacheDir, null, {
+    secretService,
+  });
 
-  const router = setupRoutes(app, executionController);
+  const router = setupRoutes(app, executionController, secretService ? new SecretController(secretService) : undefined);
   app.use('/', router);
 
   // Listen on port 0 to get a random available port
@@ -74,6 +82,7 @@ async function startServer(envOverrides = {}) {
 
   const cleanup = async () => {
     await new Promise((resolve) => server.close(resolve));
+    if (databaseService) databaseService.close();
     await fs.rm(tmpDir, { recursive: true, force: true });
   };
 
@@ -23,6 +23,7 @@ describe('DashboardController', () => {
       completeJob: vi.fn(),
       getJobs: vi.fn().mockReturnValue({ jobs: [], total: 0, page: 1, limit: 20, totalPages: 0 }),
       getJob: vi.fn().mockReturnValue(null),
+      getJobAttempts: vi.fn().mockReturnValue([]),
       getJobStats: vi.fn().mockReturnValue({ total: 0, success: 0, error: 0, avgExecutionTimeMs: 0 }),
       deleteJob: vi.fn().mockReturnValue(false),
       getJobCountsByCacheKey: vi.fn().mockReturnValue({}),
@@ -38,6 +39,7 @@ describe('DashboardController', () => {
         data: [1, 2],
         console: [],
       }),
+      executionQueue: { isFull: vi.fn().mockReturnValue(false) },
     };
 
     controller = new DashboardController(mockJobService, mockCacheService, mockExecutionController);
@@ -143,6 +145,17 @@ describe('DashboardController', () => {
       );
     });
 
+    it('passes the errorType filter', async () => {
+      const req = { query: { status: 'error', errorType: 'timeout' } };
+      const res = createMockRes();
+
+      await controller.getJobs(req, res);
+
+      expect(mockJobService.getJobs).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'error', errorType: 'timeout' })
+      );
+    });
+
     it('returns 500 on error', async () => {
       mockJobService.getJobs.mockImplementation(() => { throw new Error('db error'); });
 
@@ -166,7 +179,22 @@ describe('DashboardController', () => {
 
       await controller.getJob(req, res);
 
-      expect(res.json).toHaveBeenCalledWith(mockJob);
+      expect(res.json).toHaveBeenCalledWith({ ...mockJob, attempts: [] });
+    });
+
+    it('includes the attempts of a retried job', async () => {
+      const attempts = [
+        { attempt: 1, status: 'error', error_message: 'Execution timed out', error_type: 'timeout', duration_ms: 1000 },
+        { attempt: 2, status: 'success', error_message: null, error_type: null, duration_ms: 120 },
+      ];
+      mockJobService.getJob.mockReturnValue({ job_id: 'j1', status: 'success', code: 'code' });
+      mockJobService.getJobAttempts.mockReturnValue(attempts);
+      const res = createMockRes();
+
+      await controller.getJob({ params: { jobId: 'j1' } }, res);
+
+      expect(mockJobService.getJobAttempts).toHaveBeenCalledWith('j1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ job_id: 'j1', attempts }));
     });
 
     it('returns 404 when job not found', async () => {
@@ -290,7 +318,31 @@ describe('DashboardController', () => {
       await controller.submitJob(req, res);
 
       expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Cache key is required' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Cache key is required (should be a hash of workflow ID and node name)',
+      });
+    });
+
+    it('returns 400 when mode is not supported', async () => {
+      const req = { body: { code: 'code', cacheKey: 'k', options: { mode: 'once' } }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+
+      await controller.submitJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockJobService.createJob).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 when the retry policy is invalid', async () => {
+      const req = { body: { code: 'code', cacheKey: 'k', options: { retry: { attempts: 0 } } }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+
+      await controller.submitJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('Invalid retry') }));
+      expect(mockJobService.createJob).not.toHaveBeenCalled();
     });
 
     it('creates a job and returns jobId', async () => {
@@ -311,6 +363,42 @@ describe('DashboardController', () => {
       expect(res.json).toHaveBeenCalledWith({ success: true, jobId: 'job-123-abc' });
     });
 
+    it('creates a job for a multi-file bundle', async () => {
+      const files = { 'index.js': "module.exports = require('./lib/a')", 'lib/a.js': 'module.exports = () => 1' };
+      const req = { body: { files, entry: 'index.js', cacheKey: 'k1' }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+
+      await controller.submitJob(req, res);
+
+      expect(mockJobService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ code: files['index.js'], files, entry: 'index.js' })
+      );
+      expect(mockExecutionController.executeCodeInternal).toHaveBeenCalledWith(
+        expect.objectContaining({ code: files['index.js'], files, entry: 'index.js', jobId: 'job-123-abc' })
+      );
+    });
+
+    it('returns 400 for an invalid bundle', async () => {
+      const req = { body: { files: { 'index.js': '' }, entry: 'main.js', cacheKey: 'k1' }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+
+      await controller.submitJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Entry main.js is not one of the files' });
+    });
+
+    it('returns 429 without creating a job when the execution queue is full', async () => {
+      mockExecutionController.executionQueue.isFull.mockReturnValue(true);
+      const req = { body: { code: 'code', cacheKey: 'k' }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+
+      await controller.submitJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(mockJobService.createJob).not.toHaveBeenCalled();
+    });
+
     it('returns 500 when createJob throws', async () => {
       mockJobService.createJob.mockImplementation(() => { throw new Error('create failed'); });
 
@@ -346,7 +434,9 @@ describe('DashboardController', () => {
         options: {},
       });
 
-      expect(mockJobService.updateJobStatus).toHaveBeenCalledWith('job-1', 'running');
+      expect(mockExecutionController.executeCodeInternal).toHaveBeenCalledWith(
+        expect.objectContaining({ jobId: 'job-1' })
+      );
       expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
         status: 'success',
         resultData: [1, 2],
@@ -357,6 +447,7 @@ describe('DashboardController', () => {
       mockExecutionController.executeCodeInternal.mockResolvedValue({
         success: false,
         error: 'runtime error',
+        errorType: 'user_error',
         stack: 'Error: runtime error',
         console: [],
       });
@@ -371,6 +462,31 @@ describe('DashboardController', () => {
       expect(mockJobService.completeJob).toHaveBeenCalledWith('job-2', expect.objectContaining({
         status: 'error',
         errorMessage: 'runtime error',
+        errorType: 'user_error',
+      }));
+    });
+
+    it('completes job as cancelled when the execution was cancelled', async () => {
+      mockExecutionController.executeCodeInternal.mockResolvedValue({
+        success: false,
+        error: 'Execution cancelled',
+        cancelled: true,
+        console: [{ type: 'log', message: 'partial' }],
+      });
+
+      await controller._executeJobAsync('job-4', {
+        code: 'code',
+        items: [],
+        cacheKey: 'k',
+        options: {},
+      });
+
+      expect(mockExecutionController.executeCodeInternal).toHaveBeenCalledWith(
+        expect.objectContaining({ jobId: 'job-4' })
+      );
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-4', expect.objectContaining({
+        status: 'cancelled',
+        consoleOutput: [{ type: 'log', message: 'partial' }],
       }));
     });
 
@@ -429,6 +545,110 @@ describe('DashboardController', () => {
     });
   });
 
+  describe('replayJob', () => {
+    const deterministic = { seed: 42, time: '2025-03-10T14:30:45.123Z' };
+    const storedJob = {
+      job_id: 'job-original',
+      status: 'success',
+      code: 'module.exports = () => Math.random()',
+      items: '[1]',
+      cache_key: 'key',
+      options: JSON.stringify({ deterministic }),
+      dependencies: JSON.stringify({ lodash: '4.17.21', missing: 'unknown' }),
+      result_data: JSON.stringify([1, 2]),
+    };
+
+    function replay(job) {
+      mockJobService.getJob.mockReturnValue(job);
+      const req = { params: { jobId: 'job-original' }, ip: '127.0.0.1', headers: {} };
+      const res = createMockRes();
+      return controller.replayJob(req, res).then(() => res);
+    }
+
+    it('returns 404 when job not found', async () => {
+      const res = await replay(null);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 400 for jobs not run in deterministic mode', async () => {
+      const res = await replay({ ...storedJob, options: JSON.stringify({ timeout: 1000 }) });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockExecutionController.executeCodeInternal).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 for streamed jobs', async () => {
+      const res = await replay({ ...storedJob, streamed: 1 });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Streamed jobs keep only a sample of their items and cannot be replayed',
+      });
+    });
+
+    it('returns 409 for jobs that have not finished', async () => {
+      const res = await replay({ ...storedJob, status: 'running' });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Job is running' });
+    });
+
+    it('reruns the job with its seed, time and dependency versions', async () => {
+      const res = await replay(storedJob);
+
+      expect(mockJobService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: storedJob.code,
+          items: [1],
+          options: { deterministic },
+          metadata: expect.objectContaining({ source: 'replay', replayOf: 'job-original' }),
+        })
+      );
+      expect(mockExecutionController.executeCodeInternal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          jobId: 'job-123-abc',
+          options: { deterministic },
+          dependencyVersions: { lodash: '4.17.21' },
+        })
+      );
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-123-abc', expect.objectContaining({ status: 'success' }));
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        jobId: 'job-123-abc',
+        replayOf: 'job-original',
+        matches: true,
+        result: { success: true, data: [1, 2] },
+      });
+    });
+
+    it('reports a mismatch when the output differs', async () => {
+      mockExecutionController.executeCodeInternal.mockResolvedValue({ success: true, data: [3], console: [] });
+
+      const res = await replay(storedJob);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ matches: false, result: { success: true, data: [3] } }));
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('delegates to the execution controller', async () => {
+      mockExecutionController.cancelJob = vi.fn().mockResolvedValue(undefined);
+      const req = { params: { jobId: 'j1' } };
+      const res = createMockRes();
+
+      await controller.cancelJob(req, res);
+
+      expect(mockExecutionController.cancelJob).toHaveBeenCalledWith(req, res);
+    });
+
+    it('returns 500 on error', async () => {
+      mockExecutionController.cancelJob = vi.fn().mockRejectedValue(new Error('cancel error'));
+      const req = { params: { jobId: 'j1' } };
+      const res = createMockRes();
+
+      await controller.cancelJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
   describe('deleteJob', () => {
     it('returns success when job is deleted', async () => {
       mockJobService.deleteJob.mockReturnValue(true);
@@ -1,4 +1,5 @@
 const ExecutionController = require('../../../src/controllers/executionController');
+const ExecutionQueue = require('../../../src/services/executionQueue');
 
 describe('ExecutionController', () => {
   let controller;
@@ -87,6 +88,15 @@ describe('ExecutionController', () => {
       expect(filtered).toContain('/node_modules/axios/index.js');
     });
 
+    it('removes file URLs from ES module references', () => {
+      const error = {
+        stack: 'Error: fail\n    at default (file:///server/path/executions/exec-123/execution.mjs:2:9)',
+      };
+      const filtered = controller.filterErrorStack(error);
+      expect(filtered).not.toContain('file:///server/path');
+      expect(filtered).toContain('execution.mjs:2:9');
+    });
+
     it('replaces wrapper.js lines with [code]', () => {
       const error = {
         stack: 'Error: fail\n    at Object.<anonymous> (wrapper.js:50:5)',
@@ -96,6 +106,1255 @@ describe('ExecutionController', () => {
     });
   });
 
+  describe('executeCode streaming', () => {
+    function createStreamingReqRes(body, accept) {
+      const chunks = [];
+      return {
+        req: { body, headers: { accept }, ip: '127.0.0.1', get: () => 'test-agent' },
+        res: {
+          status: vi.fn().mockReturnThis(),
+          setHeader: vi.fn(),
+          flushHeaders: vi.fn(),
+          write: vi.fn((chunk) => chunks.push(chunk)),
+          end: vi.fn(),
+          json: vi.fn(),
+        },
+        chunks,
+      };
+    }
+
+    beforeEach(() => {
+      mockDependencyService.installDependencies.mockImplementation(
+        async (deps, dir, key, cachePath, forceUpdate, { onProgress }) => {
+          onProgress('Installing dependencies: lodash');
+          return { success: true, dependencies: {} };
+        }
+      );
+      mockExecutionService.executeCode.mockImplementation(
+        async (code, items, dir, timeout, debug, runOptions) => {
+          runOptions.onConsole({ type: 'log', message: 'working', timestamp: 't1' });
+          return { success: true, data: [1], console: [{ type: 'log', message: 'working', timestamp: 't1' }] };
+        }
+      );
+    });
+
+    it('streams install progress, console entries and the result as NDJSON', async () => {
+      const { req, res, chunks } = createStreamingReqRes(
+        { code: 'module.exports = () => [1]', cacheKey: 'stream-key' },
+        'application/x-ndjson'
+      );
+
+      await controller.executeCode(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson');
+      expect(res.json).not.toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalled();
+      const events = chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+      expect(events).toEqual([
+        { event: 'install', data: { message: 'Installing dependencies: lodash' } },
+        { event: 'console', data: { type: 'log', message: 'working', timestamp: 't1' } },
+        { event: 'result', data: expect.objectContaining({ success: true, data: [1] }) },
+      ]);
+    });
+
+    it('writes server-sent events when requested', async () => {
+      const { req, res, chunks } = createStreamingReqRes(
+        { code: 'module.exports = () => [1]', cacheKey: 'stream-key' },
+        'text/event-stream'
+      );
+
+      await controller.executeCode(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream');
+      expect(chunks[1]).toBe('event: console\ndata: {"type":"log","message":"working","timestamp":"t1"}\n\n');
+      expect(chunks[chunks.length - 1]).toMatch(/^event: result\ndata: \{"success":true/);
+    });
+
+    it('persists streamed console output when the execution fails without it', async () => {
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockImplementation(
+        async (code, items, dir, timeout, debug, runOptions) => {
+          runOptions.onConsole({ type: 'log', message: 'before timeout', timestamp: 't1' });
+          throw { success: false, error: 'Execution timed out after 1000ms', console: [] };
+        }
+      );
+      const { req, res, chunks } = createStreamingReqRes(
+        { code: 'module.exports = () => [1]', cacheKey: 'stream-key' },
+        'application/x-ndjson'
+      );
+
+      await controller.executeCode(req, res);
+
+      const events = chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+      expect(events[0]).toEqual({ event: 'job', data: { jobId: 'job-1' } });
+      expect(events[events.length - 1].data).toMatchObject({
+        success: false,
+        jobId: 'job-1',
+        console: [{ type: 'log', message: 'before timeout', timestamp: 't1' }],
+      });
+      expect(mockJobService.completeJob).toHaveBeenCalledWith(
+        'job-1',
+        expect.objectContaining({
+          status: 'error',
+          consoleOutput: [{ type: 'log', message: 'before timeout', timestamp: 't1' }],
+        })
+      );
+    });
+  });
+
+  describe('executeCode with NDJSON items', () => {
+    const { Readable } = require('stream');
+    let mockJobService;
+
+    function createNdjsonReqRes(lines) {
+      const chunks = [];
+      const req = Readable.from([Buffer.from(lines.join('\n'))]);
+      Object.assign(req, {
+        headers: { 'content-type': 'application/x-ndjson' },
+        ip: '127.0.0.1',
+        get: () => 'test-agent',
+      });
+      return {
+        req,
+        res: {
+          status: vi.fn().mockReturnThis(),
+          setHeader: vi.fn(),
+          flushHeaders: vi.fn(),
+          write: vi.fn((chunk) => chunks.push(chunk) > 0),
+          end: vi.fn(),
+          json: vi.fn(),
+          on: vi.fn(),
+        },
+        chunks,
+      };
+    }
+
+    // Pass every item line through as a result, like an identity generator
+    const echoItems = async (code, items, dir, timeout, debug, runOptions) => {
+      let text = '';
+      for await (const chunk of runOptions.itemStream) text += chunk;
+      for (const line of text.split('\n').filter(Boolean)) await runOptions.onResult(line);
+      return { success: true, console: [] };
+    };
+
+    beforeEach(() => {
+      mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+        recordStreamCounts: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockImplementation(echoItems);
+    });
+
+    it('streams each result as an item event and ends with the counts', async () => {
+      const { req, res, chunks } = createNdjsonReqRes([
+        JSON.stringify({ code: 'module.exports = async function* (items) {}', cacheKey: 'k' }),
+        '{"id":1}',
+        '',
+        '{"id":2}',
+      ]);
+
+      await controller.executeCode(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson');
+      const events = chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+      expect(events).toEqual([
+        { event: 'job', data: { jobId: 'job-1' } },
+        { event: 'item', data: { id: 1 } },
+        { event: 'item', data: { id: 2 } },
+        { event: 'result', data: { success: true, console: [], itemCount: 2, resultCount: 2, jobId: 'job-1' } },
+      ]);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('stores a streamed job with counts and samples only', async () => {
+      const { req, res } = createNdjsonReqRes([
+        JSON.stringify({ code: 'module.exports = async function* (items) {}', cacheKey: 'k' }),
+        ...Array.from({ length: 15 }, (_, id) => JSON.stringify({ id })),
+      ]);
+
+      await controller.executeCode(req, res);
+
+      expect(mockJobService.createJob).toHaveBeenCalledWith(expect.objectContaining({ streamed: true }));
+      const sample = Array.from({ length: 10 }, (_, id) => ({ id }));
+      expect(mockJobService.completeJob).toHaveBeenCalledWith(
+        'job-1',
+        expect.objectContaining({ status: 'success', resultData: sample })
+      );
+      expect(mockJobService.recordStreamCounts).toHaveBeenCalledWith('job-1', {
+        itemCount: 15,
+        resultCount: 15,
+        itemSample: sample,
+      });
+    });
+
+    it('redacts secrets from streamed results', async () => {
+      controller.secretService = { resolveSecrets: vi.fn().mockReturnValue({ API_TOKEN: 'tok-123' }) };
+      const { req, res, chunks } = createNdjsonReqRes([
+        JSON.stringify({ code: 'module.exports = async function* (items) {}', cacheKey: 'k' }),
+        '{"token":"tok-123"}',
+      ]);
+
+      await controller.executeCode(req, res);
+
+      expect(chunks.join('')).toContain('{"event":"item","data":{"token":"[REDACTED]"}}');
+      expect(chunks.join('')).not.toContain('tok-123');
+    });
+
+    it('rejects items in the request object and invalid first lines', async () => {
+      const inHeader = createNdjsonReqRes([JSON.stringify({ code: 'x', cacheKey: 'k', items: [1] }), '{"id":1}']);
+      await controller.executeCode(inHeader.req, inHeader.res);
+      expect(inHeader.res.status).toHaveBeenCalledWith(400);
+      expect(inHeader.res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Items of an NDJSON request are sent on the lines after the request object',
+      });
+
+      const invalid = createNdjsonReqRes(['not json', '{"id":1}']);
+      await controller.executeCode(invalid.req, invalid.res);
+      expect(invalid.res.status).toHaveBeenCalledWith(400);
+      expect(invalid.res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Invalid JSON in the first line of the NDJSON body',
+      });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancellation', () => {
+    let mockJobService;
+
+    function createCancelReqRes(jobId) {
+      return {
+        req: { params: { jobId } },
+        res: {
+          status: vi.fn().mockReturnThis(),
+          json: vi.fn().mockReturnThis(),
+        },
+      };
+    }
+
+    beforeEach(() => {
+      mockJobService = {
+        getJob: vi.fn().mockReturnValue({ job_id: 'job-1', status: 'running' }),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+    });
+
+    it('kills a running execution and keeps the console output produced so far', async () => {
+      let signal;
+      mockExecutionService.executeCode.mockImplementation(
+        (code, items, dir, timeout, debug, runOptions) =>
+          new Promise((resolve, reject) => {
+            signal = runOptions.signal;
+            runOptions.onConsole({ type: 'log', message: 'partial', timestamp: 't1' });
+            signal.addEventListener('abort', () =>
+              reject({ success: false, error: 'Execution cancelled', cancelled: true, console: [] })
+            );
+          })
+      );
+
+      const execution = controller.executeCodeInternal({
+        code: 'module.exports = () => {}',
+        cacheKey: 'k',
+        jobId: 'job-1',
+      });
+      await vi.waitFor(() => expect(signal).toBeDefined());
+
+      const { req, res } = createCancelReqRes('job-1');
+      await controller.cancelJob(req, res);
+      const result = await execution;
+
+      expect(res.json).toHaveBeenCalledWith({ success: true, jobId: 'job-1', status: 'cancelled' });
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        status: 'cancelled',
+        consoleOutput: [{ type: 'log', message: 'partial', timestamp: 't1' }],
+      }));
+      expect(signal.aborted).toBe(true);
+      expect(result).toMatchObject({
+        success: false,
+        error: 'Execution cancelled',
+        cancelled: true,
+        console: [{ type: 'log', message: 'partial', timestamp: 't1' }],
+      });
+      expect(controller.activeExecutions.has('job-1')).toBe(false);
+    });
+
+    it('aborts a running dependency install', async () => {
+      mockDependencyService.installDependencies.mockImplementation(
+        (deps, dir, key, cachePath, forceUpdate, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+          })
+      );
+
+      const execution = controller.executeCodeInternal({
+        code: "require('lodash')",
+        cacheKey: 'k',
+        jobId: 'job-1',
+      });
+      await vi.waitFor(() => expect(mockDependencyService.installDependencies).toHaveBeenCalled());
+      controller.cancelExecution('job-1');
+
+      await expect(execution).resolves.toMatchObject({ success: false, cancelled: true });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+
+    it('closes the record of a job that has no execution attached', async () => {
+      const { req, res } = createCancelReqRes('job-1');
+
+      await controller.cancelJob(req, res);
+
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        status: 'cancelled',
+      }));
+      expect(res.json).toHaveBeenCalledWith({ success: true, jobId: 'job-1', status: 'cancelled' });
+    });
+
+    it('returns 404 for unknown jobs', async () => {
+      mockJobService.getJob.mockReturnValue(null);
+      const { req, res } = createCancelReqRes('missing');
+
+      await controller.cancelJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 409 for jobs that already finished', async () => {
+      mockJobService.getJob.mockReturnValue({ job_id: 'job-1', status: 'success' });
+      const { req, res } = createCancelReqRes('job-1');
+
+      await controller.cancelJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(mockJobService.completeJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('error types', () => {
+    it('passes the errorType of failed executions through', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Execution timed out after 1000ms',
+        errorType: 'timeout',
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'k' });
+
+      expect(result).toMatchObject({ success: false, errorType: 'timeout' });
+    });
+
+    it('passes the failed item of a per-item execution through', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Item 1: bad item',
+        errorType: 'user_error',
+        failedItems: [1],
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        options: { mode: 'eachItem', continueOnFail: false },
+      });
+
+      expect(result).toMatchObject({ success: false, error: 'Item 1: bad item', failedItems: [1] });
+      expect(mockExecutionService.executeCode).toHaveBeenCalledWith(
+        expect.anything(), expect.anything(), expect.anything(), undefined, undefined,
+        expect.objectContaining({ mode: 'eachItem', continueOnFail: false })
+      );
+    });
+
+    it('reports dependency_install_failed when pnpm install fails', async () => {
+      mockDependencyService.installDependencies.mockRejectedValue(new Error('ERR_PNPM_FETCH_404'));
+
+      const result = await controller.executeCodeInternal({ code: "require('nope')", cacheKey: 'k' });
+
+      expect(result).toMatchObject({
+        success: false,
+        error: 'Dependency installation failed: ERR_PNPM_FETCH_404',
+        errorType: 'dependency_install_failed',
+      });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+
+    it('reports TypeScript compilation errors as user_error', async () => {
+      const result = await controller.executeCodeInternal({
+        code: 'export default (items: number[] => items',
+        cacheKey: 'k',
+        options: { language: 'typescript' },
+      });
+
+      expect(result).toMatchObject({ success: false, errorType: 'user_error' });
+    });
+
+    it('locates errors in the submitted code with a code frame', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: "Cannot read properties of undefined (reading 'toFixed')",
+        errorType: 'user_error',
+        stack: [
+          "TypeError: Cannot read properties of undefined (reading 'toFixed')",
+          '    at /tmp/exec-123/execution.js:2:42',
+          '    at Array.map (<anonymous>)',
+        ].join('\n'),
+        console: [],
+      });
+      const code = ['module.exports = function (items) {', '  return items.map((item) => item.price.toFixed(2));', '};'].join('\n');
+
+      const result = await controller.executeCodeInternal({ code, cacheKey: 'k' });
+
+      expect(result.errorLocation).toEqual({
+        file: 'execution.js',
+        line: 2,
+        column: 42,
+        codeFrame: [
+          '  1 | module.exports = function (items) {',
+          '> 2 |   return items.map((item) => item.price.toFixed(2));',
+          '    |                                          ^',
+          '  3 | };',
+        ].join('\n'),
+      });
+    });
+
+    it('locates syntax errors of ES modules reported without a position', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: "Unexpected token ';'",
+        errorType: 'user_error',
+        stack: "SyntaxError: Unexpected token ';'\n    at compileSourceTextModule (node:internal/modules/esm/utils:346:16)",
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: 'export default function () {\n  const a = ;\n}',
+        cacheKey: 'k',
+      });
+
+      expect(result.errorLocation).toMatchObject({ file: 'execution.mjs', line: 2, column: 13 });
+    });
+
+    it('omits errorLocation for errors outside the code', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Execution timed out after 1000ms',
+        errorType: 'timeout',
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'k' });
+
+      expect(result).not.toHaveProperty('errorLocation');
+    });
+
+    it('stores the errorType with the job', async () => {
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Memory limit exceeded',
+        errorType: 'memory_exceeded',
+        console: [],
+      });
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+      await controller.executeCode({ body: { code: 'module.exports = () => 1', cacheKey: 'k' }, get: vi.fn() }, res);
+
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        status: 'error',
+        errorType: 'memory_exceeded',
+      }));
+    });
+
+    it('stores the error location with the job', async () => {
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'boom',
+        errorType: 'user_error',
+        stack: 'Error: boom\n    at module.exports (/tmp/exec-123/execution.js:1:31)',
+        console: [],
+      });
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+      await controller.executeCode(
+        { body: { code: "module.exports = () => { throw new Error('boom'); }", cacheKey: 'k' }, get: vi.fn() },
+        res
+      );
+
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        errorLocation: expect.objectContaining({ file: 'execution.js', line: 1, column: 31 }),
+      }));
+    });
+  });
+
+  describe('resource usage', () => {
+    const resourceUsage = {
+      peakRssBytes: 40000000,
+      heapUsedBytes: 5000000,
+      cpuUserMs: 12,
+      cpuSystemMs: 3,
+      stdoutBytes: 0,
+      stderrBytes: 0,
+    };
+
+    it('stores the resource usage with the job and returns it only in debug', async () => {
+      const mockJobService = { updateJobStatus: vi.fn(), recordResourceUsage: vi.fn() };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 1, console: [], resourceUsage });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'k', jobId: 'job-1' });
+      expect(result).not.toHaveProperty('resourceUsage');
+      expect(mockJobService.recordResourceUsage).toHaveBeenCalledWith('job-1', resourceUsage);
+
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 1, console: [], resourceUsage });
+      const debugResult = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        options: { debug: true },
+      });
+      expect(debugResult.debug.execution.resourceUsage).toEqual(resourceUsage);
+    });
+
+    it('records the resource usage of failed executions', async () => {
+      const mockJobService = { updateJobStatus: vi.fn(), recordResourceUsage: vi.fn() };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockRejectedValue({ success: false, error: 'x', console: [], resourceUsage });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { debug: true },
+      });
+      expect(result).not.toHaveProperty('resourceUsage');
+      expect(result.debug.execution.resourceUsage).toEqual(resourceUsage);
+      expect(mockJobService.recordResourceUsage).toHaveBeenCalledWith('job-1', resourceUsage);
+    });
+
+    it('records what the parent measured for a timed-out execution', async () => {
+      const mockJobService = { updateJobStatus: vi.fn(), recordResourceUsage: vi.fn() };
+      controller.jobService = mockJobService;
+      const killedUsage = { stdoutBytes: 3, stderrBytes: 0, wallTimeMs: 1002.5 };
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Execution timed out after 1000ms',
+        errorType: 'timeout',
+        console: [],
+        resourceUsage: killedUsage,
+      });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'k', jobId: 'job-1' });
+      expect(result).toMatchObject({ success: false, errorType: 'timeout' });
+      expect(mockJobService.recordResourceUsage).toHaveBeenCalledWith('job-1', killedUsage);
+    });
+  });
+
+  describe('deterministic mode', () => {
+    it('returns 400 for an invalid deterministic option', async () => {
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+      await controller.executeCode(
+        { body: { code: 'module.exports = () => 1', cacheKey: 'k', options: { deterministic: { seed: -1 } } } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Invalid deterministic (expected a boolean or { seed, time })',
+      });
+    });
+
+    it('stores the resolved seed and time with the job and passes them to the execution', async () => {
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        recordDependencies: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+      await controller.executeCode(
+        {
+          body: { code: 'module.exports = () => 1', cacheKey: 'k', options: { deterministic: { seed: 42 } } },
+          get: vi.fn(),
+        },
+        res
+      );
+
+      const deterministic = { seed: 42, time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/) };
+      expect(mockJobService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ options: { deterministic } })
+      );
+      expect(mockExecutionService.executeCode).toHaveBeenCalledWith(
+        expect.any(String),
+        [],
+        '/tmp/exec-123',
+        undefined,
+        undefined,
+        expect.objectContaining({ deterministic })
+      );
+    });
+
+    it('records the installed dependencies of every job', async () => {
+      const mockJobService = { updateJobStatus: vi.fn(), recordDependencies: vi.fn() };
+      controller.jobService = mockJobService;
+      mockDependencyService.installDependencies.mockResolvedValue({ success: true, dependencies: { lodash: '4.17.21' } });
+
+      await controller.executeCodeInternal({ code: "require('lodash')", cacheKey: 'k', jobId: 'job-1' });
+      expect(mockJobService.recordDependencies).toHaveBeenCalledWith('job-1', { lodash: '4.17.21' });
+    });
+
+    it('installs the given dependency versions apart from a cache holding others', async () => {
+      mockDependencyService.extractDependencies.mockReturnValue({ lodash: 'latest', axios: 'latest' });
+      mockDependencyService.hasCachedVersions = vi.fn().mockResolvedValue(false);
+
+      await controller.executeCodeInternal({
+        code: "require('lodash'); require('axios')",
+        cacheKey: 'k',
+        dependencyVersions: { lodash: '4.17.20' },
+      });
+
+      const dependencies = { lodash: '4.17.20', axios: 'latest' };
+      expect(mockDependencyService.hasCachedVersions).toHaveBeenCalledWith(expect.stringContaining('k'), dependencies);
+      expect(mockDependencyService.installDependencies).toHaveBeenCalledWith(
+        dependencies,
+        '/tmp/exec-123',
+        'k',
+        expect.any(String),
+        true,
+        expect.any(Object)
+      );
+    });
+
+    it('uses the cache when it already holds the given versions', async () => {
+      mockDependencyService.extractDependencies.mockReturnValue({ lodash: 'latest' });
+      mockDependencyService.hasCachedVersions = vi.fn().mockResolvedValue(true);
+
+      await controller.executeCodeInternal({
+        code: "require('lodash')",
+        cacheKey: 'k',
+        dependencyVersions: { lodash: '4.17.21' },
+      });
+
+      expect(mockDependencyService.installDependencies).toHaveBeenCalledWith(
+        { lodash: '4.17.21' },
+        '/tmp/exec-123',
+        'k',
+        expect.any(String),
+        false,
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('multi-file bundles', () => {
+    const files = {
+      'index.js': "const parse = require('./lib/parse'); module.exports = (items) => items.map(parse);",
+      'lib/parse.js': 'module.exports = Number;',
+    };
+
+    function createRes() {
+      return { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+    }
+
+    it('rejects invalid bundles', async () => {
+      const both = createRes();
+      await controller.executeCode({ body: { code: 'module.exports = () => 1', files, entry: 'index.js', cacheKey: 'k' } }, both);
+      expect(both.status).toHaveBeenCalledWith(400);
+      expect(both.json).toHaveBeenCalledWith({ success: false, error: 'Provide either code or files, not both' });
+
+      const missingEntry = createRes();
+      await controller.executeCode({ body: { files, entry: 'main.js', cacheKey: 'k' } }, missingEntry);
+      expect(missingEntry.json).toHaveBeenCalledWith({ success: false, error: 'Entry main.js is not one of the files' });
+
+      const outside = createRes();
+      await controller.executeCode({ body: { files: { ...files, '../x.js': '' }, entry: 'index.js', cacheKey: 'k' } }, outside);
+      expect(outside.json).toHaveBeenCalledWith({ success: false, error: 'Invalid file path: ../x.js' });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+
+    it('runs the entry with the other files and stores the bundle with the job', async () => {
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        recordDependencies: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      const res = createRes();
+
+      await controller.executeCode({ body: { files, entry: 'index.js', items: ['1'], cacheKey: 'k' }, get: vi.fn() }, res);
+
+      expect(mockJobService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ code: files['index.js'], files, entry: 'index.js' })
+      );
+      expect(mockDependencyService.extractDependencies).toHaveBeenCalledWith(files);
+      expect(mockExecutionService.executeCode).toHaveBeenCalledWith(
+        files['index.js'],
+        ['1'],
+        '/tmp/exec-123',
+        undefined,
+        undefined,
+        expect.objectContaining({ files: { 'lib/parse.js': files['lib/parse.js'] }, entry: 'index.js' })
+      );
+    });
+
+    it('transpiles the TypeScript files of a bundle', async () => {
+      await controller.executeCodeInternal({
+        code: "import { parse } from './lib/parse';\nexport default (items: string[]) => items.map(parse);",
+        files: {
+          'index.ts': "import { parse } from './lib/parse';\nexport default (items: string[]) => items.map(parse);",
+          'lib/parse.ts': 'export const parse = (value: string): number => Number(value);',
+          'lib/types.d.ts': 'export type Parsed = number;',
+        },
+        entry: 'index.ts',
+        cacheKey: 'k',
+        options: { language: 'typescript', moduleType: 'cjs' },
+      });
+
+      const [entryCode, , , , , { files: written }] = mockExecutionService.executeCode.mock.calls[0];
+      expect(Object.keys(written)).toEqual(['lib/parse.js', 'lib/types.d.ts']);
+      expect(written['lib/parse.js']).toContain('exports.parse = parse;');
+      expect(written['lib/parse.js']).not.toContain(': string');
+      expect(entryCode).toContain('require("./lib/parse.js")');
+    });
+
+    it('writes the TypeScript files of an ES module bundle as .mjs files imported by their name', async () => {
+      const files = {
+        'index.ts': "import { parse } from './lib/parse';\nexport default (items: string[]) => items.map(parse);",
+        'lib/parse.ts': "import { base } from './base.js';\nexport const parse = (value: string) => Number(value) + base;",
+        'lib/base.ts': 'export const base = 1;',
+      };
+      await controller.executeCodeInternal({
+        code: files['index.ts'],
+        files,
+        entry: 'index.ts',
+        cacheKey: 'k',
+        options: { language: 'typescript' },
+      });
+
+      const [entryCode, , , , , { files: written }] = mockExecutionService.executeCode.mock.calls[0];
+      expect(Object.keys(written)).toEqual(['lib/parse.mjs', 'lib/base.mjs']);
+      expect(entryCode).toContain('from "./lib/parse.mjs"');
+      expect(written['lib/parse.mjs']).toContain('from "./base.mjs"');
+    });
+
+    it('reports TypeScript errors of bundle files with their path', async () => {
+      const result = await controller.executeCodeInternal({
+        code: 'export default () => 1;',
+        files: { 'index.ts': 'export default () => 1;', 'lib/bad.ts': 'export const x = ;' },
+        entry: 'index.ts',
+        cacheKey: 'k',
+        options: { language: 'typescript' },
+      });
+
+      expect(result).toMatchObject({ success: false, errorType: 'user_error' });
+      expect(result.error).toContain('(lib/bad.ts:1:18)');
+    });
+  });
+
+  describe('secrets', () => {
+    beforeEach(() => {
+      controller.secretService = { resolveSecrets: vi.fn().mockReturnValue({ API_TOKEN: 'tok-123' }) };
+    });
+
+    it('passes the secrets of the cache key and redacts them from the result and console', async () => {
+      const streamed = [];
+      mockExecutionService.executeCode.mockImplementation(async (code, items, dir, timeout, debug, runOptions) => {
+        runOptions.onConsole({ type: 'log', message: 'using tok-123' });
+        return { success: true, data: { token: 'tok-123' }, console: [{ type: 'log', message: 'using tok-123' }] };
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'wf',
+        onEvent: (event, data) => streamed.push(data),
+      });
+
+      expect(controller.secretService.resolveSecrets).toHaveBeenCalledWith('wf');
+      expect(mockExecutionService.executeCode.mock.calls[0][5].secrets).toEqual({ API_TOKEN: 'tok-123' });
+      expect(result.data).toEqual({ token: '[REDACTED]' });
+      expect(result.console[0].message).toBe('using [REDACTED]');
+      expect(streamed[0].message).toBe('using [REDACTED]');
+    });
+
+    it('redacts secrets from errors', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'Request failed for tok-123',
+        errorType: 'user_error',
+        console: [{ type: 'error', message: 'tok-123' }],
+      });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'wf' });
+
+      expect(result.error).toBe('Request failed for [REDACTED]');
+      expect(result.console[0].message).toBe('[REDACTED]');
+    });
+
+    it('fails when the secrets cannot be decrypted', async () => {
+      controller.secretService.resolveSecrets.mockImplementation(() => {
+        throw new Error('Secret API_TOKEN cannot be decrypted (was SECRETS_MASTER_KEY changed?)');
+      });
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'wf' });
+
+      expect(result).toMatchObject({ success: false, error: expect.stringContaining('cannot be decrypted') });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry', () => {
+    let mockJobService;
+    const timeoutFailure = () => ({
+      success: false,
+      error: 'Execution timed out after 1000ms',
+      errorType: 'timeout',
+      console: [],
+    });
+
+    beforeEach(() => {
+      mockJobService = {
+        updateJobStatus: vi.fn(),
+        recordDependencies: vi.fn(),
+        recordAttempt: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+    });
+
+    it('runs the code again after a covered failure and records every attempt', async () => {
+      const events = [];
+      mockExecutionService.executeCode
+        .mockRejectedValueOnce(timeoutFailure())
+        .mockResolvedValueOnce({ success: true, data: 1, console: [] });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 3, retryOn: ['timeout'] } },
+        onEvent: (event, data) => events.push({ event, data }),
+      });
+
+      expect(result).toMatchObject({ success: true, data: 1, attempts: 2 });
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(2);
+      expect(mockJobService.recordAttempt.mock.calls).toEqual([
+        ['job-1', { attempt: 1, status: 'error', errorMessage: 'Execution timed out after 1000ms', errorType: 'timeout', durationMs: expect.any(Number) }],
+        ['job-1', { attempt: 2, status: 'success', durationMs: expect.any(Number) }],
+      ]);
+      expect(events).toEqual([
+        { event: 'retry', data: { attempt: 1, error: 'Execution timed out after 1000ms', errorType: 'timeout', delayMs: 0 } },
+      ]);
+    });
+
+    it('returns the last failure with the number of attempts once they are used up', async () => {
+      const events = [];
+      mockExecutionService.executeCode.mockImplementation(async () => {
+        throw timeoutFailure();
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 3, backoffMs: 10 } },
+        onEvent: (event, data) => events.push(data),
+      });
+
+      expect(result).toMatchObject({ success: false, errorType: 'timeout', attempts: 3 });
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(3);
+      expect(mockJobService.recordAttempt).toHaveBeenCalledTimes(3);
+      expect(events.map((data) => data.delayMs)).toEqual([10, 20]);
+    });
+
+    it('installs the dependencies again after a failed install but not after a failed run', async () => {
+      mockDependencyService.installDependencies.mockRejectedValueOnce(new Error('ERR_PNPM_FETCH_503'));
+      mockExecutionService.executeCode
+        .mockRejectedValueOnce(timeoutFailure())
+        .mockResolvedValueOnce({ success: true, data: 1, console: [] });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 3 } },
+      });
+
+      expect(result).toMatchObject({ success: true, data: 1, attempts: 3 });
+      expect(mockDependencyService.installDependencies).toHaveBeenCalledTimes(2);
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(2);
+      expect(mockJobService.recordAttempt.mock.calls[0][1]).toMatchObject({
+        attempt: 1,
+        errorMessage: 'Dependency installation failed: ERR_PNPM_FETCH_503',
+        errorType: 'dependency_install_failed',
+      });
+      expect(mockJobService.recordDependencies).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry error types left out of retryOn', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'bad input',
+        errorType: 'user_error',
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 3, retryOn: ['timeout'] } },
+      });
+
+      expect(result).toMatchObject({ success: false, error: 'bad input', attempts: 1 });
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('records no attempts without a retry policy', async () => {
+      mockExecutionService.executeCode.mockRejectedValue(timeoutFailure());
+
+      const result = await controller.executeCodeInternal({ code: 'module.exports = () => 1', cacheKey: 'k', jobId: 'job-1' });
+
+      expect(result.attempts).toBeUndefined();
+      expect(mockJobService.recordAttempt).not.toHaveBeenCalled();
+    });
+
+    it('stops waiting for the next attempt when the job is cancelled', async () => {
+      const events = [];
+      mockExecutionService.executeCode.mockRejectedValue(timeoutFailure());
+
+      const execution = controller.executeCodeInternal({
+        code: 'module.exports = () => 1',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 3, backoffMs: 60000 } },
+        onEvent: (event) => events.push(event),
+      });
+      await vi.waitFor(() => expect(events).toEqual(['retry']));
+      controller.cancelExecution('job-1');
+
+      expect(await execution).toMatchObject({ success: false, cancelled: true, attempts: 1 });
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets queued executions run while waiting for the next attempt', async () => {
+      controller.executionQueue = new ExecutionQueue({ maxConcurrent: 1 });
+      const order = [];
+      mockExecutionService.executeCode.mockImplementation(async (code) => {
+        order.push(code);
+        if (code === 'flaky' && order.length === 1) throw timeoutFailure();
+        return { success: true, data: code, console: [] };
+      });
+
+      const retried = controller.executeCodeInternal({
+        code: 'flaky',
+        cacheKey: 'k',
+        jobId: 'job-1',
+        options: { retry: { attempts: 2, backoffMs: 200 } },
+      });
+      await vi.waitFor(() => expect(order).toEqual(['flaky']));
+      const queued = controller.executeCodeInternal({ code: 'queued', cacheKey: 'k', jobId: 'job-2' });
+
+      expect(await queued).toMatchObject({ success: true, data: 'queued' });
+      expect(await retried).toMatchObject({ success: true, attempts: 2 });
+      expect(order).toEqual(['flaky', 'queued', 'flaky']);
+      expect(controller.executionQueue.getStats().running).toBe(0);
+    });
+
+    it('rejects invalid retry policies and retries of streamed items', async () => {
+      const invalid = {
+        req: { body: { code: 'x', cacheKey: 'k', options: { retry: { attempts: 20 } } }, get: vi.fn() },
+        res: { status: vi.fn().mockReturnThis(), json: vi.fn() },
+      };
+      await controller.executeCode(invalid.req, invalid.res);
+      expect(invalid.res.status).toHaveBeenCalledWith(400);
+      expect(invalid.res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('Invalid retry') }));
+
+      const { Readable } = require('stream');
+      const req = Readable.from([Buffer.from(`${JSON.stringify({ code: 'x', cacheKey: 'k', options: { retry: { attempts: 2 } } })}\n1\n`)]);
+      req.headers = { 'content-type': 'application/x-ndjson' };
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+      await controller.executeCode(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Executions on streamed items cannot be retried' });
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_mapConsoleLocation', () => {
+    const entry = { type: 'log', message: 'hi', location: { file: 'execution.js', line: 5, column: 3 } };
+
+    it('maps locations in the transpiled entry file to the TypeScript source', () => {
+      const mapPosition = vi.fn().mockReturnValue({ line: 8, column: 3 });
+
+      expect(controller._mapConsoleLocation(entry, mapPosition)).toEqual({
+        ...entry,
+        location: { file: 'execution.ts', line: 8, column: 3 },
+      });
+      expect(mapPosition).toHaveBeenCalledWith(5, 3);
+    });
+
+    it('leaves other entries unchanged', () => {
+      const dependencyEntry = { ...entry, location: { file: 'node_modules/lib/index.js', line: 1, column: 1 } };
+
+      expect(controller._mapConsoleLocation(entry, null)).toBe(entry);
+      expect(controller._mapConsoleLocation(dependencyEntry, vi.fn())).toBe(dependencyEntry);
+    });
+  });
+
+  describe('output files', () => {
+    it('returns and stores the binary entries of the execution', async () => {
+      const binary = {
+        'report.csv': { fileName: 'report.csv', mimeType: 'text/csv', data: 'YSxi', fileSize: 3 },
+      };
+      const mockJobService = {
+        createJob: vi.fn().mockReturnValue('job-1'),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+      };
+      controller.jobService = mockJobService;
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 1, binary, console: [] });
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+
+      await controller.executeCode({ body: { code: 'module.exports = () => 1', cacheKey: 'k' }, get: vi.fn() }, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, binary }));
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        status: 'success',
+        outputFiles: binary,
+      }));
+    });
+  });
+
+  describe('execution queue', () => {
+    let mockJobService;
+    let releaseFirst;
+
+    function createMockReqRes(body) {
+      return {
+        req: { body, get: vi.fn() },
+        res: {
+          status: vi.fn().mockReturnThis(),
+          json: vi.fn().mockReturnThis(),
+        },
+      };
+    }
+
+    beforeEach(() => {
+      let nextJob = 0;
+      mockJobService = {
+        createJob: vi.fn(() => `job-${++nextJob}`),
+        updateJobStatus: vi.fn(),
+        completeJob: vi.fn(),
+        getJob: vi.fn().mockReturnValue({ job_id: 'job-2', status: 'pending' }),
+        getQueuedJobs: vi.fn().mockReturnValue([]),
+      };
+      controller.jobService = mockJobService;
+      controller.executionQueue = new ExecutionQueue({ maxConcurrent: 1, maxQueueLength: 1 });
+      releaseFirst = undefined;
+      mockExecutionService.executeCode.mockImplementationOnce(
+        () => new Promise((resolve) => {
+          releaseFirst = () => resolve({ success: true, data: 1, console: [] });
+        })
+      );
+    });
+
+    it('keeps jobs pending until a slot frees', async () => {
+      const first = createMockReqRes({ code: 'module.exports = () => 1', cacheKey: 'k' });
+      const second = createMockReqRes({ code: 'module.exports = () => 2', cacheKey: 'k' });
+
+      const firstRequest = controller.executeCode(first.req, first.res);
+      const secondRequest = controller.executeCode(second.req, second.res);
+      await vi.waitFor(() => expect(releaseFirst).toBeDefined());
+
+      expect(mockJobService.updateJobStatus).toHaveBeenCalledWith('job-1', 'running');
+      expect(mockJobService.updateJobStatus).not.toHaveBeenCalledWith('job-2', 'running');
+      expect(controller.executionQueue.getPosition('job-2')).toBe(1);
+
+      releaseFirst();
+      await Promise.all([firstRequest, secondRequest]);
+
+      expect(mockJobService.updateJobStatus).toHaveBeenCalledWith('job-2', 'running');
+      expect(second.res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, jobId: 'job-2' }));
+    });
+
+    it('returns 429 when the queue is full', async () => {
+      const requests = [1, 2].map((n) => {
+        const { req, res } = createMockReqRes({ code: `module.exports = () => ${n}`, cacheKey: 'k' });
+        return controller.executeCode(req, res);
+      });
+      await vi.waitFor(() => expect(releaseFirst).toBeDefined());
+
+      const rejected = createMockReqRes({ code: 'module.exports = () => 3', cacheKey: 'k' });
+      await controller.executeCode(rejected.req, rejected.res);
+
+      expect(rejected.res.status).toHaveBeenCalledWith(429);
+      expect(mockJobService.createJob).toHaveBeenCalledTimes(2);
+
+      releaseFirst();
+      await Promise.all(requests);
+    });
+
+    it('removes cancelled jobs from the queue', async () => {
+      const first = createMockReqRes({ code: 'module.exports = () => 1', cacheKey: 'k' });
+      const second = createMockReqRes({ code: 'module.exports = () => 2', cacheKey: 'k' });
+      const firstRequest = controller.executeCode(first.req, first.res);
+      const secondRequest = controller.executeCode(second.req, second.res);
+      await vi.waitFor(() => expect(releaseFirst).toBeDefined());
+
+      const cancel = createMockReqRes({});
+      await controller.cancelJob({ params: { jobId: 'job-2' } }, cancel.res);
+      await secondRequest;
+
+      expect(second.res.json).toHaveBeenCalledWith(expect.objectContaining({ cancelled: true, jobId: 'job-2' }));
+      expect(controller.executionQueue.getStats().queued).toBe(0);
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(1);
+
+      releaseFirst();
+      await firstRequest;
+    });
+
+    it('resumes queued jobs in order and records their results', async () => {
+      mockExecutionService.executeCode.mockReset();
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 'ok', console: [] });
+      mockJobService.getQueuedJobs.mockReturnValue([
+        { job_id: 'job-a', code: 'module.exports = () => 1', items: '[{"a":1}]', cache_key: 'k', options: null },
+        { job_id: 'job-b', code: 'module.exports = () => 2', items: null, cache_key: 'k', options: '{"timeout":500}' },
+      ]);
+
+      expect(controller.resumeQueuedJobs()).toBe(2);
+
+      await vi.waitFor(() => expect(mockJobService.completeJob).toHaveBeenCalledTimes(2));
+      expect(mockJobService.updateJobStatus.mock.calls).toEqual([
+        ['job-a', 'running'],
+        ['job-b', 'running'],
+      ]);
+      expect(mockExecutionService.executeCode.mock.calls[0][1]).toEqual([{ a: 1 }]);
+      expect(mockExecutionService.executeCode.mock.calls[1][3]).toBe(500);
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-b', expect.objectContaining({ status: 'success' }));
+    });
+
+    it('marks queued streamed jobs as interrupted instead of resuming them', async () => {
+      mockExecutionService.executeCode.mockReset();
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 'ok', console: [] });
+      mockJobService.getQueuedJobs.mockReturnValue([
+        { job_id: 'job-a', code: 'module.exports = () => 1', items: null, streamed: 1, cache_key: 'k', options: null },
+        { job_id: 'job-b', code: 'module.exports = () => 2', items: null, streamed: 0, cache_key: 'k', options: null },
+      ]);
+
+      expect(controller.resumeQueuedJobs()).toBe(1);
+
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-a', {
+        status: 'interrupted',
+        errorMessage: 'Execution interrupted by server restart (streamed items cannot be resumed)',
+      });
+      await vi.waitFor(() => expect(mockJobService.completeJob).toHaveBeenCalledTimes(2));
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks queued jobs of uploaded files as interrupted instead of resuming them', async () => {
+      mockExecutionService.executeCode.mockReset();
+      mockExecutionService.executeCode.mockResolvedValue({ success: true, data: 'ok', console: [] });
+      mockJobService.getQueuedJobs.mockReturnValue([
+        {
+          job_id: 'job-a', code: 'module.exports = (items) => items', cache_key: 'k', options: null, uploaded: 1,
+          items: JSON.stringify([{ json: {}, binary: { file: { filePath: 'input/0/file/data.csv' } } }]),
+        },
+        { job_id: 'job-b', code: 'module.exports = () => 2', items: null, uploaded: 0, cache_key: 'k', options: null },
+      ]);
+
+      expect(controller.resumeQueuedJobs()).toBe(1);
+
+      expect(mockJobService.completeJob).toHaveBeenCalledWith('job-a', {
+        status: 'interrupted',
+        errorMessage: 'Execution interrupted by server restart (uploaded files cannot be resumed)',
+      });
+      await vi.waitFor(() => expect(mockJobService.completeJob).toHaveBeenCalledTimes(2));
+      expect(mockExecutionService.executeCode).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('executeCodeInternal with TypeScript', () => {
+    const tsCode = [
+      'interface Item {',
+      '  value: number;',
+      '}',
+      '',
+      'export default function (items: Item[]): number[] {',
+      "  throw new Error('typed failure');",
+      '}',
+    ].join('\n');
+
+    it('executes the transpiled JavaScript', async () => {
+      await controller.executeCodeInternal({
+        code: tsCode,
+        cacheKey: 'ts-key',
+        options: { language: 'typescript' },
+      });
+
+      const executedCode = mockExecutionService.executeCode.mock.calls[0][0];
+      expect(executedCode).toContain('export default function (items)');
+      expect(executedCode).not.toContain('interface Item');
+      expect(mockDependencyService.extractDependencies).toHaveBeenCalledWith(tsCode);
+    });
+
+    it('maps stack positions back to the TypeScript source', async () => {
+      mockExecutionService.executeCode.mockRejectedValue({
+        success: false,
+        error: 'typed failure',
+        stack: 'Error: typed failure\n    at default (file:///srv/executions/exec-1/execution.mjs:2:11)',
+        console: [],
+      });
+
+      const result = await controller.executeCodeInternal({
+        code: tsCode,
+        cacheKey: 'ts-key',
+        options: { language: 'typescript' },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.stack).toContain('execution.ts:6:9');
+      expect(result.stack).not.toContain('execution.mjs');
+      expect(result.errorLocation).toMatchObject({ file: 'execution.ts', line: 6, column: 9 });
+      expect(result.errorLocation.codeFrame).toContain("> 6 |   throw new Error('typed failure');");
+    });
+
+    it('returns compilation errors without executing', async () => {
+      const result = await controller.executeCodeInternal({
+        code: 'export default (items: ) => items;',
+        cacheKey: 'ts-key',
+        options: { language: 'typescript' },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('TypeScript compilation failed');
+      expect(mockExecutionService.executeCode).not.toHaveBeenCalled();
+      expect(result.errorLocation).toMatchObject({ file: 'execution.ts', line: 1 });
+    });
+  });
+
   describe('healthCheck', () => {
     it('returns status ok with config info', async () => {
       const req = {
@@ -181,6 +1440,62 @@ describe('ExecutionController', () => {
       );
     });
 
+    it('returns 400 when moduleType is not supported', async () => {
+      const { req, res } = createMockReqRes({
+        code: 'module.exports = () => 1',
+        cacheKey: 'key',
+        options: { moduleType: 'commonjs' },
+      });
+      await controller.executeCode(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, error: expect.stringContaining('Invalid moduleType') })
+      );
+    });
+
+    it('returns 400 when language is not supported', async () => {
+      const { req, res } = createMockReqRes({
+        code: 'module.exports = () => 1',
+        cacheKey: 'key',
+        options: { language: 'python' },
+      });
+      await controller.executeCode(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, error: expect.stringContaining('Invalid language') })
+      );
+    });
+
+    it('returns 400 when mode or concurrency is not supported', async () => {
+      const invalidMode = createMockReqRes({ code: 'module.exports = () => 1', cacheKey: 'key', options: { mode: 'each' } });
+      await controller.executeCode(invalidMode.req, invalidMode.res);
+      expect(invalidMode.res.status).toHaveBeenCalledWith(400);
+      expect(invalidMode.res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, error: 'Invalid mode (expected one of: all, eachItem)' })
+      );
+
+      const invalidConcurrency = createMockReqRes({
+        code: 'module.exports = () => 1',
+        cacheKey: 'key',
+        options: { mode: 'eachItem', concurrency: 0 },
+      });
+      await controller.executeCode(invalidConcurrency.req, invalidConcurrency.res);
+      expect(invalidConcurrency.res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('returns 400 when serialization is not supported', async () => {
+      const { req, res } = createMockReqRes({
+        code: 'module.exports = () => 1',
+        cacheKey: 'key',
+        options: { serialization: 'yaml' },
+      });
+      await controller.executeCode(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, error: 'Invalid serialization (expected one of: json, rich)' })
+      );
+    });
+
     it('calls services in correct order and returns result', async () => {
       mockExecutionService.executeCode.mockResolvedValue({
         success: true,
@@ -206,6 +1521,44 @@ describe('ExecutionController', () => {
       );
     });
 
+    it('passes resource limit options to the execution service', async () => {
+      const { req, res } = createMockReqRes({
+        code: 'module.exports = () => []',
+        cacheKey: 'limits-key',
+        options: { memoryLimitMb: 256, cpuTimeMs: 1000 },
+      });
+
+      await controller.executeCode(req, res);
+
+      expect(mockExecutionService.executeCode).toHaveBeenCalledWith(
+        'module.exports = () => []',
+        [],
+        '/tmp/exec-123',
+        undefined,
+        undefined,
+        expect.objectContaining({ cacheKey: 'limits-key', memoryLimitMb: 256, cpuTimeMs: 1000 })
+      );
+    });
+
+    it('passes the module type to the execution service', async () => {
+      const { req, res } = createMockReqRes({
+        code: 'export default () => []',
+        cacheKey: 'esm-key',
+        options: { moduleType: 'esm' },
+      });
+
+      await controller.executeCode(req, res);
+
+      expect(mockExecutionService.executeCode).toHaveBeenCalledWith(
+        'export default () => []',
+        [],
+        '/tmp/exec-123',
+        undefined,
+        undefined,
+        expect.objectContaining({ cacheKey: 'esm-key', moduleType: 'esm' })
+      );
+    });
+
     it('cleans up execution dir on error and returns error response', async () => {
       const executionError = {
         success: false,
@@ -0,0 +1,82 @@
+const SecretController = require('../../../src/controllers/secretController');
+
+describe('SecretController', () => {
+  let controller;
+  let mockSecretService;
+
+  function createMockRes() {
+    return {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis(),
+    };
+  }
+
+  beforeEach(() => {
+    mockSecretService = {
+      isEnabled: vi.fn().mockReturnValue(true),
+      listSecrets: vi.fn().mockReturnValue([{ id: 1, name: 'API_KEY', cacheKey: null }]),
+      setSecret: vi.fn().mockReturnValue({ id: 2, name: 'TOKEN', cacheKey: 'wf' }),
+      deleteSecret: vi.fn().mockReturnValue(true),
+    };
+    controller = new SecretController(mockSecretService);
+  });
+
+  describe('listSecrets', () => {
+    it('returns the secrets and whether the store is enabled', async () => {
+      const res = createMockRes();
+      await controller.listSecrets({}, res);
+      expect(res.json).toHaveBeenCalledWith({
+        enabled: true,
+        secrets: [{ id: 1, name: 'API_KEY', cacheKey: null }],
+      });
+    });
+  });
+
+  describe('saveSecret', () => {
+    it('saves the secret', async () => {
+      const res = createMockRes();
+      await controller.saveSecret({ body: { name: 'TOKEN', value: 'abc', cacheKey: 'wf' } }, res);
+
+      expect(mockSecretService.setSecret).toHaveBeenCalledWith({ name: 'TOKEN', value: 'abc', cacheKey: 'wf' });
+      expect(res.json).toHaveBeenCalledWith({ success: true, secret: { id: 2, name: 'TOKEN', cacheKey: 'wf' } });
+    });
+
+    it('returns 400 for an invalid or reserved name or a missing value', async () => {
+      const invalidName = createMockRes();
+      await controller.saveSecret({ body: { name: 'my-key', value: 'abc' } }, invalidName);
+      expect(invalidName.status).toHaveBeenCalledWith(400);
+
+      const reservedName = createMockRes();
+      await controller.saveSecret({ body: { name: 'NODE_OPTIONS', value: '--require ./x.js' } }, reservedName);
+      expect(reservedName.status).toHaveBeenCalledWith(400);
+
+      const missingValue = createMockRes();
+      await controller.saveSecret({ body: { name: 'TOKEN' } }, missingValue);
+      expect(missingValue.status).toHaveBeenCalledWith(400);
+      expect(mockSecretService.setSecret).not.toHaveBeenCalled();
+    });
+
+    it('returns 503 when the store is disabled', async () => {
+      mockSecretService.isEnabled.mockReturnValue(false);
+      const res = createMockRes();
+      await controller.saveSecret({ body: { name: 'TOKEN', value: 'abc' } }, res);
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('deleteSecret', () => {
+    it('deletes the secret by id', async () => {
+      const res = createMockRes();
+      await controller.deleteSecret({ params: { id: '1' } }, res);
+      expect(mockSecretService.deleteSecret).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({ success: true });
+    });
+
+    it('returns 404 when the secret does not exist', async () => {
+      mockSecretService.deleteSecret.mockReturnValue(false);
+      const res = createMockRes();
+      await controller.deleteSecret({ params: { id: '9' } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
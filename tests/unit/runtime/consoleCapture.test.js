@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { captureConsole, truncateUtf8, toJsonValue, parseStackFrame } = require('../../../src/runtime/consoleCapture');
+
+describe('consoleCapture', () => {
+  describe('captureConsole', () => {
+    const originalConsole = { ...console };
+    let entries;
+
+    beforeEach(() => {
+      entries = [];
+    });
+
+    afterEach(() => {
+      Object.assign(console, originalConsole);
+    });
+
+    it('renders arguments like Node does', () => {
+      captureConsole(entries);
+      console.log('%s has %d items', 'list', 3, new Map([['a', 1]]));
+      console.error(new Error('boom'));
+      Object.assign(console, originalConsole);
+
+      expect(entries[0]).toMatchObject({ type: 'log', message: "list has 3 items Map(1) { 'a' => 1 }" });
+      expect(entries[1].type).toBe('error');
+      expect(entries[1].message).toMatch(/^Error: boom\n/);
+    });
+
+    it('captures the rest of the console API with the method name', () => {
+      captureConsole(entries);
+      console.table([{ a: 1 }]);
+      console.count();
+      console.count();
+      console.assert(false, 'must hold');
+      console.dir({ nested: { deep: { deeper: { deepest: 1 } } } }, { depth: 0 });
+      Object.assign(console, originalConsole);
+
+      expect(entries.map((entry) => [entry.type, entry.method])).toEqual([
+        ['log', 'table'],
+        ['log', 'count'],
+        ['log', 'count'],
+        ['error', 'assert'],
+        ['log', 'dir'],
+      ]);
+      expect(entries[0].message).toContain('│ (index) │ a │');
+      expect(entries[2].message).toBe('default: 2');
+      expect(entries[3].message).toBe('Assertion failed: must hold');
+      expect(entries[4].message).toBe('{ nested: [Object] }');
+    });
+
+    it('reports the group depth instead of indenting', () => {
+      captureConsole(entries);
+      console.group('outer');
+      console.log('inside');
+      console.groupEnd();
+      console.log('after');
+      Object.assign(console, originalConsole);
+
+      expect(entries.map(({ message, depth }) => ({ message, depth }))).toEqual([
+        { message: 'outer', depth: undefined },
+        { message: 'inside', depth: 1 },
+        { message: 'after', depth: undefined },
+      ]);
+    });
+
+    it('adds the caller location inside the execution directory and the arguments as JSON', () => {
+      captureConsole(entries, null, { executionDir: __dirname, includeArgs: true });
+      const circular = { name: 'c' };
+      circular.self = circular;
+      console.log('value', circular, 10n);
+      Object.assign(console, originalConsole);
+
+      expect(entries[0].location).toEqual({
+        file: 'consoleCapture.test.js',
+        line: expect.any(Number),
+        column: expect.any(Number),
+      });
+      expect(entries[0].args).toEqual(['value', { name: 'c', self: '[Circular]' }, '10']);
+    });
+
+    it('passes entries to onEntry as they are captured', () => {
+      const onEntry = vi.fn();
+      captureConsole(entries, onEntry);
+      console.info('streamed');
+      Object.assign(console, originalConsole);
+
+      expect(onEntry).toHaveBeenCalledWith(expect.objectContaining({ type: 'info', message: 'streamed' }));
+    });
+
+    it('drops entries past the entry limit and reports them when finished', () => {
+      const finish = captureConsole(entries, null, { maxEntries: 2 });
+      for (let i = 0; i < 5; i++) console.log(`line ${i}`);
+      finish();
+      Object.assign(console, originalConsole);
+
+      expect(entries.map((entry) => entry.message).slice(0, 2)).toEqual(['line 0', 'line 1']);
+      expect(entries).toHaveLength(3);
+      expect(entries[2]).toMatchObject({
+        type: 'warn',
+        truncated: true,
+        originalEntries: 5,
+        originalSize: 30,
+        message: 'Console output truncated: kept 2 of 5 entries (12 of 30 bytes)',
+      });
+    });
+
+    it('cuts the entry crossing the size limit', () => {
+      const onEntry = vi.fn();
+      const finish = captureConsole(entries, onEntry, { maxBytes: 10 });
+      console.log('123456');
+      console.log('abcdefgh');
+      console.log('dropped');
+      finish();
+      Object.assign(console, originalConsole);
+
+      expect(entries[0].message).toBe('123456');
+      expect(entries[1]).toMatchObject({ message: 'abcd', truncated: true });
+      expect(entries[2]).toMatchObject({ truncated: true, originalEntries: 3, originalSize: 21 });
+      expect(onEntry).toHaveBeenCalledTimes(3);
+    });
+
+    it('adds no marker when nothing was dropped', () => {
+      const finish = captureConsole(entries, null, { maxEntries: 5, maxBytes: 100 });
+      console.log('fits');
+      finish();
+      Object.assign(console, originalConsole);
+
+      expect(entries).toHaveLength(1);
+    });
+  });
+
+  describe('truncateUtf8', () => {
+    it('cuts to a byte length without splitting characters', () => {
+      expect(truncateUtf8('héllo', 3)).toBe('hé');
+      expect(truncateUtf8('héllo', 2)).toBe('h');
+      expect(truncateUtf8('short', 10)).toBe('short');
+    });
+  });
+
+  describe('toJsonValue', () => {
+    it('converts values JSON cannot represent', () => {
+      expect(toJsonValue(new Set([1, 2]))).toEqual([1, 2]);
+      expect(toJsonValue(undefined)).toBeNull();
+      expect(toJsonValue(function named() {})).toBe('[Function: named]');
+      expect(toJsonValue(new TypeError('bad'))).toMatchObject({ name: 'TypeError', message: 'bad' });
+    });
+
+    it('keeps repeated references that are not circular', () => {
+      const shared = { a: 1 };
+      expect(toJsonValue({ x: shared, y: shared })).toEqual({ x: { a: 1 }, y: { a: 1 } });
+    });
+  });
+
+  describe('parseStackFrame', () => {
+    const executionDir = fs.realpathSync(os.tmpdir());
+
+    it('returns positions relative to the execution directory', () => {
+      const frame = `    at run (${path.join(executionDir, 'lib', 'parse.js')}:3:7)`;
+      expect(parseStackFrame(frame, executionDir)).toEqual({ file: 'lib/parse.js', line: 3, column: 7 });
+    });
+
+    it('accepts file URLs of ES modules', () => {
+      const frame = `    at file://${path.join(executionDir, 'execution.mjs')}:2:5`;
+      expect(parseStackFrame(frame, executionDir)).toEqual({ file: 'execution.mjs', line: 2, column: 5 });
+    });
+
+    it('ignores frames outside the execution directory', () => {
+      expect(parseStackFrame('    at foo (/srv/app/index.js:1:1)', executionDir)).toBeUndefined();
+      expect(parseStackFrame('    at node:internal/main:1:1', executionDir)).toBeUndefined();
+    });
+  });
+});
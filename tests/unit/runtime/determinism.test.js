@@ -0,0 +1,61 @@
+const { createRandom, installDeterminism } = require('../../../src/runtime/determinism');
+
+describe('determinism', () => {
+  describe('createRandom', () => {
+    it('returns the same sequence for the same seed', () => {
+      const first = createRandom(42);
+      const second = createRandom(42);
+      const sequence = Array.from({ length: 5 }, () => first());
+
+      expect(Array.from({ length: 5 }, () => second())).toEqual(sequence);
+      expect(sequence.every((value) => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it('returns different sequences for different seeds', () => {
+      expect(createRandom(1)()).not.toBe(createRandom(2)());
+    });
+  });
+
+  describe('installDeterminism', () => {
+    const time = '2025-03-10T14:30:45.123Z';
+    let restore;
+
+    afterEach(() => {
+      if (restore) restore();
+      restore = null;
+    });
+
+    it('seeds Math.random', () => {
+      restore = installDeterminism({ seed: 7, time });
+      const values = [Math.random(), Math.random()];
+      restore();
+
+      restore = installDeterminism({ seed: 7, time });
+      expect([Math.random(), Math.random()]).toEqual(values);
+    });
+
+    it('freezes the current time and keeps explicit dates', () => {
+      restore = installDeterminism({ seed: 1, time });
+
+      expect(Date.now()).toBe(Date.parse(time));
+      expect(new Date().toISOString()).toBe(time);
+      expect(new Date(0).toISOString()).toBe('1970-01-01T00:00:00.000Z');
+      expect(new Date(2020, 0, 1).getFullYear()).toBe(2020);
+      expect(new Date() instanceof Date).toBe(true);
+      expect(Date.parse('2020-01-01T00:00:00.000Z')).toBe(1577836800000);
+      expect(Date()).toBe(new Date(Date.parse(time)).toString());
+    });
+
+    it('restores Math.random and Date', () => {
+      const originalRandom = Math.random;
+      const OriginalDate = Date;
+
+      restore = installDeterminism({ seed: 1, time });
+      restore();
+      restore = null;
+
+      expect(Math.random).toBe(originalRandom);
+      expect(Date).toBe(OriginalDate);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { serializeResult, isValidSerialization } = require('../../../src/runtime/serialization');
+
+describe('serialization', () => {
+  describe('isValidSerialization', () => {
+    it('accepts the supported modes and no value', () => {
+      expect(isValidSerialization(undefined)).toBe(true);
+      expect(isValidSerialization('rich')).toBe(true);
+      expect(isValidSerialization('json')).toBe(true);
+      expect(isValidSerialization('yaml')).toBe(false);
+    });
+  });
+
+  describe('rich', () => {
+    it('keeps JSON values unchanged', () => {
+      const value = { a: [1, 'two', true, null], b: { c: 1.5 } };
+      expect(serializeResult(value, 'rich')).toEqual(value);
+      expect(serializeResult(undefined, 'rich')).toBeUndefined();
+    });
+
+    it('converts byte containers to n8n binary entries', () => {
+      const bytes = Buffer.from('hello');
+      const expected = { data: bytes.toString('base64'), mimeType: 'application/octet-stream', fileSize: 5 };
+
+      expect(serializeResult(bytes, 'rich')).toEqual(expected);
+      expect(serializeResult(new Uint8Array(bytes), 'rich')).toEqual(expected);
+      expect(serializeResult(new Uint8Array(bytes).buffer, 'rich')).toEqual(expected);
+      expect(serializeResult(new DataView(new Uint8Array(bytes).buffer), 'rich')).toEqual(expected);
+      expect(serializeResult(Buffer.from('xhellox').subarray(1, 6), 'rich')).toEqual(expected);
+    });
+
+    it('tags values JSON cannot represent', () => {
+      const result = serializeResult({
+        date: new Date('2025-03-10T14:30:45.123Z'),
+        big: 9007199254740993n,
+        nan: NaN,
+        inf: -Infinity,
+        missing: undefined,
+        floats: new Float64Array([1.5, 2]),
+        map: new Map([['a', 1n]]),
+        set: new Set([1, 2]),
+        error: new TypeError('bad'),
+        list: [undefined],
+      }, 'rich');
+
+      expect(result).toEqual({
+        date: '2025-03-10T14:30:45.123Z',
+        big: { $type: 'bigint', value: '9007199254740993' },
+        nan: { $type: 'number', value: 'NaN' },
+        inf: { $type: 'number', value: '-Infinity' },
+        floats: { $type: 'Float64Array', value: [1.5, 2] },
+        map: { $type: 'Map', value: [['a', { $type: 'bigint', value: '1' }]] },
+        set: { $type: 'Set', value: [1, 2] },
+        error: { $type: 'Error', name: 'TypeError', message: 'bad' },
+        list: [{ $type: 'undefined' }],
+      });
+      expect(result).not.toHaveProperty('missing');
+    });
+
+    it('uses toJSON and allows repeated references that are not circular', () => {
+      const shared = { id: 1 };
+      const value = { first: shared, second: shared, custom: { toJSON: () => ({ big: 2n }) } };
+      expect(serializeResult(value, 'rich')).toEqual({
+        first: { id: 1 },
+        second: { id: 1 },
+        custom: { big: { $type: 'bigint', value: '2' } },
+      });
+    });
+
+    it('names the path of functions, symbols and invalid dates', () => {
+      expect(() => serializeResult([{ handlers: { onDone() {} } }], 'rich')).toThrow(
+        'Result cannot be serialized: function onDone at data[0].handlers.onDone'
+      );
+      expect(() => serializeResult({ 'a key': Symbol('s') }, 'rich')).toThrow(
+        'Result cannot be serialized: Symbol(s) at data["a key"]'
+      );
+      expect(() => serializeResult({ when: new Date('nope') }, 'rich')).toThrow(
+        'Result cannot be serialized: invalid Date at data.when'
+      );
+      expect(() => serializeResult(new Map([['k', () => {}]]), 'rich')).toThrow('at data[map value 0]');
+    });
+
+    it('names the path of circular references', () => {
+      const value = { nested: { list: [] } };
+      value.nested.list.push(value);
+      expect(() => serializeResult(value, 'rich')).toThrow(
+        'Result cannot be serialized: circular reference at data.nested.list[0]'
+      );
+    });
+  });
+
+  describe('json', () => {
+    it('keeps plain JSON.stringify behaviour', () => {
+      const value = { date: new Date('2025-03-10T14:30:45.123Z'), buffer: Buffer.from('a') };
+      expect(serializeResult(value, 'json')).toBe(value);
+    });
+
+    it('is the default', () => {
+      const value = { nan: NaN, missing: undefined };
+      expect(serializeResult(value)).toBe(value);
+      expect(() => serializeResult({ big: 1n })).toThrow('Result cannot be serialized: BigInt at data.big');
+    });
+
+    it('names the path of BigInt values and circular references', () => {
+      expect(() => serializeResult({ items: [1, 2n] }, 'json')).toThrow(
+        'Result cannot be serialized: BigInt at data.items[1]'
+      );
+
+      const value = { child: {} };
+      value.child.parent = value;
+      expect(() => serializeResult(value, 'json')).toThrow(
+        'Result cannot be serialized: circular reference at data.child.parent'
+      );
+    });
+  });
+});
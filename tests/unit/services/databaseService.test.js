@@ -81,6 +81,84 @@ describe('DatabaseService', () => {
       service.close();
     });
 
+    it('migrates an existing jobs table to accept new statuses and keeps its rows', () => {
+      const Database = require('better-sqlite3');
+      const legacy = new Database(path.join(tmpDir, 'codeharbor.db'));
+      legacy.exec(`
+        CREATE TABLE jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id TEXT NOT NULL UNIQUE,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'success', 'error', 'imported', 'interrupted')),
+          code TEXT NOT NULL,
+          items TEXT,
+          cache_key TEXT,
+          dependencies TEXT,
+          options TEXT,
+          console_output TEXT,
+          result_data TEXT,
+          error_message TEXT,
+          error_stack TEXT,
+          execution_time_ms REAL,
+          dependency_install_time_ms REAL,
+          used_cache INTEGER DEFAULT 0,
+          request_metadata TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          completed_at TEXT
+        );
+        INSERT INTO jobs (job_id, status, code) VALUES ('job-old', 'success', 'code');
+      `);
+      legacy.close();
+
+      const service = new DatabaseService(tmpDir);
+      service.initialize();
+      const db = service.getDb();
+
+      expect(db.prepare("SELECT status, error_type, output_files FROM jobs WHERE job_id = 'job-old'").get()).toEqual({
+        status: 'success',
+        error_type: null,
+        output_files: null,
+      });
+      expect(() =>
+        db.prepare("INSERT INTO jobs (job_id, status, code) VALUES ('job-new', 'cancelled', 'code')").run()
+      ).not.toThrow();
+
+      service.close();
+    });
+
+    it('keeps the attempts of the jobs when the jobs table is rebuilt', () => {
+      const Database = require('better-sqlite3');
+      const legacy = new Database(path.join(tmpDir, 'codeharbor.db'));
+      legacy.exec(`
+        CREATE TABLE jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id TEXT NOT NULL UNIQUE,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'success', 'error')),
+          code TEXT NOT NULL,
+          cache_key TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE TABLE job_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id TEXT NOT NULL REFERENCES jobs(job_id) ON DELETE CASCADE,
+          attempt INTEGER NOT NULL,
+          status TEXT NOT NULL
+        );
+        INSERT INTO jobs (job_id, status, code) VALUES ('job-old', 'success', 'code');
+        INSERT INTO job_attempts (job_id, attempt, status) VALUES ('job-old', 1, 'success');
+      `);
+      legacy.close();
+
+      const service = new DatabaseService(tmpDir);
+      service.initialize();
+      const db = service.getDb();
+
+      expect(db.prepare('SELECT job_id, attempt FROM job_attempts').all()).toEqual([{ job_id: 'job-old', attempt: 1 }]);
+      db.prepare("DELETE FROM jobs WHERE job_id = 'job-old'").run();
+      expect(db.prepare('SELECT COUNT(*) AS count FROM job_attempts').get().count).toBe(0);
+
+      service.close();
+    });
+
     it('returns this for chaining', () => {
       const service = new DatabaseService(tmpDir);
       const result = service.initialize();
@@ -76,6 +76,44 @@ describe('DependencyService', () => {
       const deps = service.extractDependencies(code);
       expect(deps).toEqual({ ramda: 'latest' });
     });
+
+    it('ignores TypeScript type-only imports and exports', () => {
+      const code = `
+        import type { AxiosResponse } from 'axios';
+        import type Cheerio from 'cheerio';
+        import { type Options, type Format } from 'prettier';
+        export type { Dayjs } from 'dayjs';
+        import { type LoDashStatic, map } from 'lodash';
+      `;
+      const deps = service.extractDependencies(code);
+      expect(deps).toEqual({ lodash: 'latest' });
+    });
+
+    it('still extracts a default import named type', () => {
+      const code = `import type from 'type-detect';`;
+      const deps = service.extractDependencies(code);
+      expect(deps).toEqual({ 'type-detect': 'latest' });
+    });
+
+    it('ignores relative and absolute imports', () => {
+      const code = `
+        const parse = require('./lib/parse');
+        const config = require('../config.json');
+        import helper from '/opt/helper.mjs';
+        import dayjs from 'dayjs';
+      `;
+      const deps = service.extractDependencies(code);
+      expect(deps).toEqual({ dayjs: 'latest' });
+    });
+
+    it('extracts dependencies from every source file of a bundle', () => {
+      const deps = service.extractDependencies({
+        'index.js': "const parse = require('./lib/parse'); require('axios');",
+        'lib/parse.ts': "import { parse } from 'csv-parse';",
+        'config.json': `{ "note": "require('lodash')" }`,
+      });
+      expect(deps).toEqual({ axios: 'latest', 'csv-parse': 'latest' });
+    });
   });
 
   describe('extractBasePackageName', () => {
@@ -195,6 +233,29 @@ describe('DependencyService', () => {
       expect(linkTarget).toBe(cacheModules);
     });
 
+    it('does not run pnpm install once the signal is aborted', async () => {
+      const abortController = new AbortController();
+      abortController.abort();
+
+      await expect(
+        service.installDependencies({ 'is-odd': 'latest' }, codeDir, 'test-key', cachePath, false, {
+          signal: abortController.signal,
+        })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(fs.access(path.join(codeDir, 'node_modules'))).rejects.toThrow();
+    });
+
+    it('reports progress when using the cache', async () => {
+      const pkgDir = path.join(cachePath, 'node_modules', 'lodash');
+      await fs.mkdir(pkgDir, { recursive: true });
+      await fs.writeFile(path.join(pkgDir, 'package.json'), JSON.stringify({ version: '4.17.21' }));
+      const onProgress = vi.fn();
+
+      await service.installDependencies({ lodash: 'latest' }, codeDir, 'test-key', cachePath, false, { onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith('Using cached dependencies: lodash');
+    });
+
     it('runs pnpm install when cache has missing deps and caches the result', async () => {
       // Create cache with only lodash, but we need lodash + is-odd
       const cacheModules = path.join(cachePath, 'node_modules');
@@ -273,6 +334,22 @@ describe('DependencyService', () => {
       const pkgJson = JSON.parse(await fs.readFile(path.join(codeDir, 'package.json'), 'utf8'));
       expect(pkgJson.dependencies['is-number']).toBe('7.0.0');
     }, 30000);
+
+    it('keeps explicit versions when strategy is pinned', async () => {
+      const pinnedService = new DependencyService(mockCacheService, 'pinned');
+      await fs.writeFile(path.join(cachePath, 'pinned-versions.json'), JSON.stringify({ 'is-number': '7.0.0' }));
+
+      const result = await pinnedService.installDependencies(
+        { 'is-number': '6.0.0' },
+        codeDir,
+        'test-key',
+        cachePath,
+        true
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.dependencies['is-number']).toBe('6.0.0');
+    }, 30000);
   });
 
   describe('readPinnedVersions / savePinnedVersions', () => {
@@ -333,5 +410,15 @@ describe('DependencyService', () => {
       const versions = await service.getInstalledVersions(tmpDir, { axios: 'latest' });
       expect(versions).toEqual({ axios: 'unknown' });
     });
+
+    it('checks whether the cache holds the exact versions', async () => {
+      const pkgDir = path.join(tmpDir, 'node_modules', 'lodash');
+      await fs.mkdir(pkgDir, { recursive: true });
+      await fs.writeFile(path.join(pkgDir, 'package.json'), JSON.stringify({ version: '4.17.21' }));
+
+      expect(await service.hasCachedVersions(tmpDir, { lodash: '4.17.21' })).toBe(true);
+      expect(await service.hasCachedVersions(tmpDir, { lodash: '4.17.20' })).toBe(false);
+      expect(await service.hasCachedVersions(tmpDir, { lodash: '4.17.21', axios: '1.6.0' })).toBe(false);
+    });
   });
 });
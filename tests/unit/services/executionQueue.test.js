@@ -0,0 +1,81 @@
+const ExecutionQueue = require('../../../src/services/executionQueue');
+
+describe('ExecutionQueue', () => {
+  it('runs executions right away when unlimited', async () => {
+    const queue = new ExecutionQueue();
+
+    await queue.acquire('a');
+    await queue.acquire('b');
+
+    expect(queue.getStats()).toMatchObject({ running: 2, queued: 0 });
+    expect(queue.isFull()).toBe(false);
+  });
+
+  it('queues executions over the limit in FIFO order', async () => {
+    const queue = new ExecutionQueue({ maxConcurrent: 1 });
+    const order = [];
+
+    const releaseA = await queue.acquire('a');
+    const b = queue.acquire('b').then((release) => { order.push('b'); return release; });
+    const c = queue.acquire('c').then((release) => { order.push('c'); return release; });
+
+    expect(queue.getPosition('b')).toBe(1);
+    expect(queue.getPosition('c')).toBe(2);
+    expect(queue.getPosition('a')).toBe(0);
+
+    releaseA();
+    const releaseB = await b;
+    expect(order).toEqual(['b']);
+    expect(queue.getStats()).toMatchObject({ running: 1, queued: 1 });
+
+    releaseB();
+    (await c)();
+    expect(order).toEqual(['b', 'c']);
+    expect(queue.getStats()).toMatchObject({ running: 0, queued: 0 });
+  });
+
+  it('ignores repeated releases of the same slot', async () => {
+    const queue = new ExecutionQueue({ maxConcurrent: 2 });
+
+    const release = await queue.acquire('a');
+    await queue.acquire('b');
+    release();
+    release();
+
+    expect(queue.getStats().running).toBe(1);
+  });
+
+  it('is full once the maximum queue length is reached', async () => {
+    const queue = new ExecutionQueue({ maxConcurrent: 1, maxQueueLength: 1 });
+
+    await queue.acquire('a');
+    expect(queue.isFull()).toBe(false);
+
+    queue.acquire('b');
+    expect(queue.isFull()).toBe(true);
+  });
+
+  it('removes a queued execution when its signal is aborted', async () => {
+    const queue = new ExecutionQueue({ maxConcurrent: 1 });
+    const abortController = new AbortController();
+
+    const release = await queue.acquire('a');
+    const queued = queue.acquire('b', abortController.signal);
+    abortController.abort();
+
+    await expect(queued).rejects.toMatchObject({ cancelled: true, message: 'Execution cancelled' });
+    expect(queue.getStats().queued).toBe(0);
+
+    release();
+    expect(queue.getStats().running).toBe(0);
+  });
+
+  it('rejects right away when the signal is already aborted', async () => {
+    const queue = new ExecutionQueue();
+    const abortController = new AbortController();
+    abortController.abort();
+
+    await expect(queue.acquire('a', abortController.signal)).rejects.toMatchObject({ cancelled: true });
+    expect(queue.getStats().running).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { bench } from 'vitest';
+import ExecutionService from '../../../src/services/executionService';
+
+/**
+ * Time a spawned execution on about 10 MB of items passed over stdin against
+ * the data path it replaced: items written to data.json next to a wrapper
+ * generated for the execution, which reads them back from disk.
+ * Run with `npm run bench`.
+ */
+
+const RUNNER_PATH = path.resolve(__dirname, '../../../src/runtime/runner.js');
+const CODE = 'module.exports = (items) => items.length';
+const items = Array.from({ length: 20000 }, (_, id) => ({ json: { id, text: 'x'.repeat(480) } }));
+
+// Reads data.json and prints the payload, like the wrapper generated before items came over stdin
+const generatedWrapper = `const fs = require('fs');
+const { runUserCode } = require(${JSON.stringify(RUNNER_PATH)});
+const items = JSON.parse(fs.readFileSync('data.json', 'utf8'));
+runUserCode(process.cwd(), items, 'execution.js').then((payload) => {
+  process.stdout.write(JSON.stringify(payload));
+});
+`;
+
+async function runFromDataFile(executionDir) {
+  await fs.writeFile(path.join(executionDir, 'execution.js'), CODE);
+  await fs.writeFile(path.join(executionDir, 'wrapper.js'), generatedWrapper);
+  await fs.writeFile(path.join(executionDir, 'data.json'), JSON.stringify(items));
+
+  const output = await new Promise((resolve, reject) => {
+    const child = spawn('node', ['wrapper.js'], { cwd: executionDir, stdio: ['ignore', 'pipe', 'inherit'] });
+    let stdout = '';
+    child.stdout.on('data', (data) => (stdout += data));
+    child.on('error', reject);
+    child.on('close', () => resolve(stdout));
+  });
+  const payload = JSON.parse(output);
+  if (payload.data !== items.length) throw new Error('Unexpected result');
+}
+
+// Benchmark hooks do not run, so every iteration gets an execution directory of its own
+async function inExecutionDir(run) {
+  const executionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'execution-bench-'));
+  try {
+    await run(executionDir);
+  } finally {
+    await fs.rm(executionDir, { recursive: true, force: true });
+  }
+}
+
+describe('input of a 10 MB execution', () => {
+  const service = new ExecutionService(os.tmpdir(), 20000, 50, { mode: 'spawn' });
+
+  bench('over stdin', () => inExecutionDir(async (executionDir) => {
+    const result = await service.executeCode(CODE, items, executionDir, 20000);
+    if (result.data !== items.length) throw new Error('Unexpected result');
+  }), { iterations: 10 });
+
+  bench('from data.json (previous)', () => inExecutionDir(runFromDataFile), { iterations: 10 });
+});
@@ -107,6 +107,61 @@ describe('ExecutionService', () => {
       );
     });
 
+    it('captures the full console API with locations without corrupting the result', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        console.table([{ id: 1 }]);
+        console.time('t');
+        console.timeEnd('t');
+        console.trace('here');
+        console.log(Buffer.from('hi'), new Map([['k', 'v']]));
+        return 'ok';
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, { consoleArgs: true });
+      expect(result.data).toBe('ok');
+      expect(result.console.map((entry) => entry.method || entry.type)).toEqual(['table', 'timeEnd', 'trace', 'log']);
+      expect(result.console[1].message).toMatch(/^t: [\d.]+ms$/);
+      expect(result.console[2].message).toMatch(/^Trace: here\n\s+at .*execution\.js:5:17/);
+      expect(result.console[2].message).not.toContain(execDir);
+      expect(result.console[3]).toMatchObject({
+        message: "<Buffer 68 69> Map(1) { 'k' => 'v' }",
+        location: { file: 'execution.js', line: 6, column: 17 },
+        args: [{ type: 'Buffer', data: [104, 105] }, { k: 'v' }],
+      });
+    });
+
+    it('streams console entries to onConsole and keeps those sent before a timeout', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = async function() {
+        console.log('started');
+        await new Promise(() => {});
+      }`;
+      const streamed = [];
+
+      await expect(
+        service.executeCode(code, [], execDir, 1000, false, {
+          onConsole: (entry) => streamed.push(entry),
+        })
+      ).rejects.toMatchObject({ success: false });
+      expect(streamed).toEqual([expect.objectContaining({ type: 'log', message: 'started' })]);
+    });
+
+    it('kills the process and rejects as cancelled when the signal is aborted', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = () => new Promise((resolve) => setTimeout(resolve, 10000))`;
+      const abortController = new AbortController();
+      setTimeout(() => abortController.abort(), 300);
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000, false, { signal: abortController.signal })
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Execution cancelled',
+        cancelled: true,
+      });
+    });
+
     it('rejects when code throws an error', async () => {
       const execDir = await service.createExecutionDir();
       const code = `module.exports = function() { throw new Error('test error'); }`;
@@ -116,6 +171,7 @@ describe('ExecutionService', () => {
       ).rejects.toMatchObject({
         success: false,
         error: 'test error',
+        errorType: 'user_error',
       });
     });
 
@@ -161,13 +217,1187 @@ describe('ExecutionService', () => {
     it('rejects on timeout', async () => {
       const execDir = await service.createExecutionDir();
       const code = `module.exports = function() {
-        return new Promise(() => {}); // never resolves
+        return new Promise((resolve) => setTimeout(resolve, 10000));
       }`;
 
       await expect(
         service.executeCode(code, [], execDir, 1000)
-      ).rejects.toBeDefined();
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Execution timed out after 1000ms',
+        errorType: 'timeout',
+      });
     }, 10000);
+
+    it('rejects with killed_by_signal when the process is killed', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() { process.kill(process.pid, 'SIGTERM'); return new Promise(() => {}); }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Execution killed by signal SIGTERM',
+        errorType: 'killed_by_signal',
+      });
+    });
+
+    it('returns the result when the code writes to stdout and stderr directly', async () => {
+      const code = `module.exports = function() { process.stdout.write('hello'); process.stderr.write('warning'); return 1; }`;
+
+      const result = await service.executeCode(code, [], await service.createExecutionDir(), 5000);
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(1);
+    });
+
+    it('rejects with invalid_output when the process exits without a result', async () => {
+      const code = `module.exports = function() { process.reallyExit(0); }`;
+
+      await expect(
+        service.executeCode(code, [], await service.createExecutionDir(), 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Invalid output format',
+        errorType: 'invalid_output',
+      });
+    });
+  });
+
+  describe('errors outside the returned promise', () => {
+    it('reports uncaught exceptions thrown from timers with their stack and console', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        console.log('scheduling');
+        setTimeout(() => { throw new Error('async boom'); }, 10);
+        return new Promise((resolve) => setTimeout(resolve, 5000));
+      }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Uncaught exception: async boom',
+        errorType: 'user_error',
+        stack: expect.stringContaining('execution.js'),
+        console: [expect.objectContaining({ message: 'scheduling' })],
+      });
+    });
+
+    it('reports unhandled promise rejections', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        Promise.reject(new Error('forgotten'));
+        return new Promise((resolve) => setTimeout(resolve, 5000));
+      }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Unhandled promise rejection: forgotten',
+        errorType: 'user_error',
+      });
+    });
+
+    it('reports process.exit() calls made before returning a value', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        console.log('leaving');
+        process.exit(0);
+        return 'unreachable';
+      }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'The code called process.exit(0) before returning a value',
+        errorType: 'user_error',
+        console: [expect.objectContaining({ message: 'leaving' })],
+      });
+    });
+
+    it('reports code whose promise never settles once nothing is left to run', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() { return new Promise(() => {}); }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'The code finished without returning a value (its promise never settled)',
+        errorType: 'user_error',
+      });
+    });
+  });
+
+  describe('ES modules', () => {
+    it('runs code using export default', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `export default async function(items) {
+        return items.map(i => i + 1);
+      }`;
+
+      const result = await service.executeCode(code, [1, 2], execDir, 5000, true);
+      expect(result.data).toEqual([2, 3]);
+      expect(result.debug).toMatchObject({ moduleType: 'esm' });
+      await expect(fs.stat(path.join(execDir, 'execution.mjs'))).resolves.toBeTruthy();
+    });
+
+    it('supports top-level await and built-in imports', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `import { basename } from 'path';
+      const name = await Promise.resolve(basename('/tmp/file.txt'));
+      export default (items) => ({ name, count: items.length });`;
+
+      const result = await service.executeCode(code, [1], execDir, 5000);
+      expect(result.data).toEqual({ name: 'file.txt', count: 1 });
+    });
+
+    it('honours an explicit moduleType', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const value = await Promise.resolve(42);
+      export default () => value;`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, { moduleType: 'esm' });
+      expect(result.data).toBe(42);
+    });
+
+    it('uses the default export of transpiled CommonJS modules', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `Object.defineProperty(exports, '__esModule', { value: true });
+      exports.default = (items) => items.length;`;
+
+      const result = await service.executeCode(code, [1, 2, 3], execDir, 5000);
+      expect(result.data).toBe(3);
+    });
+
+    it('rejects when the module has no default export function', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `export const notDefault = () => 1;`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: expect.stringContaining('export default'),
+      });
+    });
+  });
+
+  describe('resource limits', () => {
+    beforeEach(() => {
+      service = new ExecutionService(tmpDir, 5000, 5, {
+        limits: { memoryLimitMb: 256, maxMemoryLimitMb: 512, cpuTimeMs: 0, maxCpuTimeMs: 2000 },
+      });
+    });
+
+    it('applies server defaults when the request sets no limits', () => {
+      expect(service.resolveLimits()).toEqual({ memoryLimitMb: 256, cpuTimeMs: 2000 });
+    });
+
+    it('caps requested limits at the configured ceilings', () => {
+      expect(service.resolveLimits({ memoryLimitMb: 1024, cpuTimeMs: 5000 })).toEqual({
+        memoryLimitMb: 512,
+        cpuTimeMs: 2000,
+      });
+      expect(service.resolveLimits({ memoryLimitMb: 128, cpuTimeMs: 500 })).toEqual({
+        memoryLimitMb: 128,
+        cpuTimeMs: 500,
+      });
+    });
+
+    it('treats zero as unlimited when there is no ceiling', () => {
+      const unlimited = new ExecutionService(tmpDir, 5000, 5);
+      expect(unlimited.resolveLimits({ memoryLimitMb: 64 })).toEqual({ memoryLimitMb: 64, cpuTimeMs: 0 });
+      expect(unlimited.resolveLimits()).toEqual({ memoryLimitMb: 0, cpuTimeMs: 0 });
+    });
+
+    it('rejects with a memory limit error when code allocates too much', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        const chunks = [];
+        while (true) chunks.push(new Array(1e6).fill(Math.random()));
+      }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 10000, false, { memoryLimitMb: 64 })
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Memory limit exceeded',
+        errorType: 'memory_exceeded',
+      });
+    }, 15000);
+
+    it('rejects with a CPU time error when code spins too long', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() { while (true) {} }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 10000, false, { cpuTimeMs: 300 })
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'CPU time limit exceeded',
+        errorType: 'timeout',
+      });
+    }, 15000);
+  });
+
+  describe('sandbox', () => {
+    let outsideFile;
+
+    beforeEach(async () => {
+      outsideFile = path.join(tmpDir, 'secret.txt');
+      await fs.writeFile(outsideFile, 'secret');
+      service = new ExecutionService(tmpDir, 5000, 5, {
+        sandbox: {
+          defaults: { enabled: true },
+          cacheKeys: { trusted: { allowChildProcess: true } },
+        },
+      });
+    });
+
+    it('allows reading and writing inside the execution directory', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        fs.writeFileSync('./out.txt', 'written');
+        return fs.readFileSync('./out.txt', 'utf8');
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, { cacheKey: 'k' });
+      expect(result.data).toBe('written');
+    });
+
+    it('rejects with a permission error when reading outside the execution directory', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() { return fs.readFileSync(${JSON.stringify(outsideFile)}, 'utf8'); }`;
+
+      await expect(
+        service.executeCode(code, [], execDir, 5000, false, { cacheKey: 'k' })
+      ).rejects.toMatchObject({
+        success: false,
+        error: expect.stringMatching(/^Permission denied: FileSystemRead access to .*secret\.txt/),
+      });
+    });
+
+    it('denies child processes unless the cache key policy allows them', async () => {
+      const code = `const { execFileSync } = require('child_process');
+      module.exports = function() { return execFileSync('node', ['-e', 'process.stdout.write("ok")']).toString(); }`;
+
+      await expect(
+        service.executeCode(code, [], await service.createExecutionDir(), 5000, false, { cacheKey: 'k' })
+      ).rejects.toMatchObject({
+        error: 'Permission denied: ChildProcess access is not allowed by the sandbox policy',
+      });
+
+      const result = await service.executeCode(code, [], await service.createExecutionDir(), 5000, false, { cacheKey: 'trusted' });
+      expect(result.data).toBe('ok');
+    });
+  });
+
+  describe('output files', () => {
+    it('returns files written to output/ as binary entries keyed by relative path', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        fs.mkdirSync('output/charts');
+        fs.writeFileSync('output/report.csv', 'a,b');
+        fs.writeFileSync('output/charts/chart.png', Buffer.from([1, 2, 3]));
+        return 'done';
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000);
+      expect(result.data).toBe('done');
+      expect(result.binary).toEqual({
+        'charts/chart.png': {
+          fileName: 'chart.png',
+          mimeType: 'image/png',
+          data: Buffer.from([1, 2, 3]).toString('base64'),
+          fileSize: 3,
+        },
+        'report.csv': {
+          fileName: 'report.csv',
+          mimeType: 'text/csv',
+          data: Buffer.from('a,b').toString('base64'),
+          fileSize: 3,
+        },
+      });
+    });
+
+    it('does not return the files of a previous run in the same directory', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        const first = !fs.existsSync('ran');
+        fs.writeFileSync('ran', '');
+        fs.writeFileSync(first ? 'output/first.txt' : 'output/second.txt', 'x');
+        return first;
+      }`;
+
+      await service.executeCode(code, [], execDir, 5000);
+      const result = await service.executeCode(code, [], execDir, 5000);
+      expect(result.data).toBe(false);
+      expect(Object.keys(result.binary)).toEqual(['second.txt']);
+    });
+
+    it('omits binary when nothing is written and ignores symlinks', async () => {
+      const execDir = await service.createExecutionDir();
+      const outsideFile = path.join(tmpDir, 'secret.txt');
+      await fs.writeFile(outsideFile, 'secret');
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        fs.symlinkSync(${JSON.stringify(outsideFile)}, 'output/secret.txt');
+        return 1;
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000);
+      expect(result).not.toHaveProperty('binary');
+    });
+
+    it('rejects with invalid_output when a file exceeds the per-file limit', async () => {
+      service = new ExecutionService(tmpDir, 5000, 5, { outputLimits: { maxFileSize: 10 } });
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        console.log('writing');
+        fs.writeFileSync('output/big.txt', 'x'.repeat(11));
+        return 1;
+      }`;
+
+      await expect(service.executeCode(code, [], execDir, 5000)).rejects.toMatchObject({
+        success: false,
+        error: 'Output file big.txt is 11 bytes, exceeding the limit of 10 bytes',
+        errorType: 'invalid_output',
+        console: [expect.objectContaining({ message: 'writing' })],
+      });
+    });
+
+    it('rejects with invalid_output when the files exceed the total limit', async () => {
+      service = new ExecutionService(tmpDir, 5000, 5, { outputLimits: { maxFileSize: 10, maxTotalSize: 15 } });
+      const execDir = await service.createExecutionDir();
+      const code = `const fs = require('fs');
+      module.exports = function() {
+        fs.writeFileSync('output/a.txt', 'x'.repeat(8));
+        fs.writeFileSync('output/b.txt', 'x'.repeat(8));
+        return 1;
+      }`;
+
+      await expect(service.executeCode(code, [], execDir, 5000)).rejects.toMatchObject({
+        error: 'Output files exceed the total size limit of 15 bytes',
+        errorType: 'invalid_output',
+      });
+    });
+  });
+
+  describe('per-item mode', () => {
+    it('calls the function once per item and keeps the item order', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = async function(item, { itemIndex, items }) {
+        await new Promise((resolve) => setTimeout(resolve, (items.length - itemIndex) * 20));
+        return { value: item * 10, itemIndex };
+      }`;
+
+      const result = await service.executeCode(code, [1, 2, 3], execDir, 5000, false, {
+        mode: 'eachItem',
+        concurrency: 3,
+      });
+      expect(result.data).toEqual([
+        { value: 10, itemIndex: 0 },
+        { value: 20, itemIndex: 1 },
+        { value: 30, itemIndex: 2 },
+      ]);
+      expect(result.failedItems).toEqual([]);
+    });
+
+    it('runs at most `concurrency` items at a time', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `let running = 0;
+      let peak = 0;
+      module.exports = async function() {
+        peak = Math.max(peak, ++running);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        running--;
+        return peak;
+      }`;
+
+      const result = await service.executeCode(code, [1, 2, 3, 4, 5], execDir, 5000, false, {
+        mode: 'eachItem',
+        concurrency: 2,
+      });
+      expect(Math.max(...result.data)).toBe(2);
+    });
+
+    it('records failed items and goes on with continueOnFail', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function(item) {
+        if (item.fail) throw new Error('bad item ' + item.id);
+        return item.id;
+      }`;
+      const items = [{ id: 1 }, { id: 2, fail: true }, { id: 3 }, { id: 4, fail: true }];
+
+      const result = await service.executeCode(code, items, execDir, 5000, false, {
+        mode: 'eachItem',
+        continueOnFail: true,
+      });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([1, { error: 'bad item 2' }, 3, { error: 'bad item 4' }]);
+      expect(result.failedItems).toEqual([1, 3]);
+    });
+
+    it('stops at the first failed item without continueOnFail', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function(item) {
+        console.log('item ' + item);
+        if (item === 2) throw new Error('bad item');
+        return item;
+      }`;
+
+      await expect(
+        service.executeCode(code, [1, 2, 3], execDir, 5000, false, { mode: 'eachItem' })
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'Item 1: bad item',
+        errorType: 'user_error',
+        failedItems: [1],
+        console: [
+          expect.objectContaining({ message: 'item 1' }),
+          expect.objectContaining({ message: 'item 2' }),
+        ],
+      });
+    });
+  });
+
+  describe('secrets', () => {
+    it('sets secrets as environment variables and passes them as context.secrets', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function(items, { secrets }) {
+        return { env: process.env.API_TOKEN, arg: secrets.API_TOKEN, frozen: Object.isFrozen(secrets) };
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, {
+        secrets: { API_TOKEN: 'tok-123' },
+      });
+      expect(result.data).toEqual({ env: 'tok-123', arg: 'tok-123', frozen: true });
+      const files = await fs.readdir(execDir);
+      for (const file of files.filter((name) => name.endsWith('.js') || name.endsWith('.json'))) {
+        expect(await fs.readFile(path.join(execDir, file), 'utf8')).not.toContain('tok-123');
+      }
+    });
+
+    it('does not expose the server environment to the execution', async () => {
+      process.env.SECRETS_MASTER_KEY = 'master-key';
+      try {
+        const code = `module.exports = () => ({ master: 'SECRETS_MASTER_KEY' in process.env, path: Boolean(process.env.PATH) })`;
+        const result = await service.executeCode(code, [], await service.createExecutionDir(), 5000);
+        expect(result.data).toEqual({ master: false, path: true });
+      } finally {
+        delete process.env.SECRETS_MASTER_KEY;
+      }
+    });
+  });
+
+  describe('resource usage', () => {
+    it('reports the resources used by successful and failed executions', async () => {
+      const usage = {
+        peakRssBytes: expect.any(Number),
+        heapUsedBytes: expect.any(Number),
+        cpuUserMs: expect.any(Number),
+        cpuSystemMs: expect.any(Number),
+        stdoutBytes: 0,
+        stderrBytes: 0,
+        wallTimeMs: expect.any(Number),
+      };
+
+      const result = await service.executeCode('module.exports = () => 1', [], await service.createExecutionDir(), 5000);
+      expect(result.resourceUsage).toEqual(usage);
+      expect(result.resourceUsage.peakRssBytes).toBeGreaterThan(0);
+
+      await expect(
+        service.executeCode("module.exports = () => { throw new Error('x'); }", [], await service.createExecutionDir(), 5000)
+      ).rejects.toMatchObject({ resourceUsage: usage });
+    });
+
+    it('reports the wall time and output bytes of a timed-out execution', async () => {
+      const code = `module.exports = () => {
+        process.stdout.write('abc');
+        process.stderr.write('de');
+        return new Promise((resolve) => setTimeout(resolve, 10000));
+      }`;
+
+      const error = await service.executeCode(code, [], await service.createExecutionDir(), 500).catch((e) => e);
+      expect(error).toMatchObject({ errorType: 'timeout' });
+      expect(error.resourceUsage).toEqual({ stdoutBytes: 3, stderrBytes: 2, wallTimeMs: expect.any(Number) });
+      expect(error.resourceUsage.wallTimeMs).toBeGreaterThanOrEqual(500);
+    });
+  });
+
+  describe('deterministic mode', () => {
+    const deterministic = { seed: 42, time: '2025-03-10T14:30:45.123Z' };
+    const code = `module.exports = () => ({ random: [Math.random(), Math.random()], now: Date.now(), iso: new Date().toISOString() })`;
+
+    it('seeds Math.random and freezes the clock', async () => {
+      const first = await service.executeCode(code, [], await service.createExecutionDir(), 5000, false, { deterministic });
+      const second = await service.executeCode(code, [], await service.createExecutionDir(), 5000, false, { deterministic });
+
+      expect(first.data).toEqual(second.data);
+      expect(first.data.now).toBe(Date.parse(deterministic.time));
+      expect(first.data.iso).toBe(deterministic.time);
+    });
+
+    it('uses the real clock without deterministic options', async () => {
+      const before = Date.now();
+      const result = await service.executeCode(code, [], await service.createExecutionDir(), 5000);
+
+      expect(result.data.now).toBeGreaterThanOrEqual(before);
+    });
+  });
+
+  describe('multi-file bundles', () => {
+    it('writes the bundle files so relative requires resolve', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `const parse = require('./lib/parse');
+        const config = require('./config.json');
+        module.exports = (items) => items.map((item) => parse(item) * config.factor);`;
+
+      const result = await service.executeCode(code, ['1', '2'], execDir, 5000, false, {
+        files: { 'lib/parse.js': 'module.exports = (value) => Number(value);', 'config.json': '{ "factor": 10 }' },
+        entry: 'index.js',
+      });
+      expect(result.data).toEqual([10, 20]);
+    });
+
+    it('writes the entry in its own directory', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `import { double } from './helpers.mjs';
+        export default (items) => items.map(double);`;
+
+      const result = await service.executeCode(code, [1, 2], execDir, 5000, false, {
+        files: { 'src/helpers.mjs': 'export const double = (value) => value * 2;' },
+        entry: 'src/index.mjs',
+      });
+      expect(result.data).toEqual([2, 4]);
+      await expect(fs.stat(path.join(execDir, 'src', 'execution.mjs'))).resolves.toBeDefined();
+    });
+  });
+
+  describe('result serialization', () => {
+    it('converts Buffers, BigInt, Dates and Maps returned by the code', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = () => ({
+        file: Buffer.from('hi'),
+        big: 10n ** 20n,
+        at: new Date(0),
+        counts: new Map([['a', 1]]),
+      })`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, { serialization: 'rich' });
+      expect(result.data).toEqual({
+        file: { data: 'aGk=', mimeType: 'application/octet-stream', fileSize: 2 },
+        big: { $type: 'bigint', value: '100000000000000000000' },
+        at: '1970-01-01T00:00:00.000Z',
+        counts: { $type: 'Map', value: [['a', 1]] },
+      });
+    });
+
+    it('rejects with invalid_output naming the path of an unserializable value', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = () => { console.log('done'); return [{ callback: function notify() {} }]; }`;
+
+      await expect(service.executeCode(code, [], execDir, 5000, false, { serialization: 'rich' })).rejects.toMatchObject({
+        success: false,
+        error: 'Result cannot be serialized: function notify at data[0].callback',
+        errorType: 'invalid_output',
+        console: [expect.objectContaining({ message: 'done' })],
+      });
+    });
+
+    it('returns the JSON.stringify output by default', async () => {
+      const code = `module.exports = () => ({
+        at: new Date(0),
+        missing: undefined,
+        ratio: NaN,
+        list: [undefined, Infinity],
+        file: Buffer.from('hi'),
+        counts: new Map([['a', 1]]),
+      })`;
+
+      const result = await service.executeCode(code, [], await service.createExecutionDir(), 5000);
+      expect(result.data).toEqual({
+        at: '1970-01-01T00:00:00.000Z',
+        ratio: null,
+        list: [null, null],
+        file: { type: 'Buffer', data: [104, 105] },
+        counts: {},
+      });
+    });
+
+    it('keeps JSON.stringify behaviour with serialization json', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = () => ({ at: new Date(0), missing: undefined })`;
+
+      const result = await service.executeCode(code, [], execDir, 5000, false, { serialization: 'json' });
+      expect(result.data).toEqual({ at: '1970-01-01T00:00:00.000Z' });
+    });
+  });
+
+  describe('console and result limits', () => {
+    beforeEach(() => {
+      service = new ExecutionService(tmpDir, 5000, 5, {
+        captureLimits: { maxConsoleEntries: 3, maxConsoleBytes: 1000, maxResultBytes: 50 },
+      });
+    });
+
+    it('keeps the first console entries and adds a truncation entry', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        for (let i = 0; i < 100; i++) console.log('line ' + i);
+        return 'ok';
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000);
+      expect(result.data).toBe('ok');
+      expect(result.console).toHaveLength(4);
+      expect(result.console[3]).toMatchObject({ type: 'warn', truncated: true, originalEntries: 100 });
+    });
+
+    it('replaces a result over the size limit with a marker', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function() {
+        return Array.from({ length: 100 }, (_, i) => i);
+      }`;
+
+      const result = await service.executeCode(code, [], execDir, 5000);
+      const json = JSON.stringify(Array.from({ length: 100 }, (_, i) => i));
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ truncated: true, originalSize: json.length, preview: json.slice(0, 50) });
+    });
+
+    it('keeps results within the limit unchanged', async () => {
+      const execDir = await service.createExecutionDir();
+      const result = await service.executeCode('module.exports = () => ({ ok: true })', [], execDir, 5000);
+      expect(result.data).toEqual({ ok: true });
+    });
+
+    it('kills executions writing more than the console byte limit to stdout and stderr', async () => {
+      const code = `module.exports = async function() {
+        process.stderr.write('x'.repeat(600));
+        while (true) {
+          process.stdout.write('y'.repeat(100));
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }`;
+
+      await expect(service.executeCode(code, [], await service.createExecutionDir(), 5000)).rejects.toMatchObject({
+        success: false,
+        error: 'Output limit exceeded (too much written to stdout or stderr)',
+        errorType: 'output_limit_exceeded',
+      });
+    });
+
+    it('kills pooled executions writing more than the console byte limit', async () => {
+      const poolService = new ExecutionService(tmpDir, 5000, 5, {
+        mode: 'pool',
+        pool: { minSize: 0, maxSize: 1 },
+        captureLimits: { maxConsoleBytes: 1000 },
+      }).initialize();
+      const code = `module.exports = async function() {
+        while (true) {
+          process.stdout.write('y'.repeat(100));
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }`;
+
+      try {
+        await expect(
+          poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000)
+        ).rejects.toMatchObject({ errorType: 'output_limit_exceeded' });
+
+        const result = await poolService.executeCode('module.exports = () => 1', [], await poolService.createExecutionDir(), 5000);
+        expect(result.data).toBe(1);
+      } finally {
+        await poolService.shutdown();
+      }
+    });
+  });
+
+  describe('input transfer', () => {
+    const WRAPPER_PATH = path.join(__dirname, '../../../src/runtime/wrapper.js');
+    // About 10 MB of JSON
+    const largeItems = () =>
+      Array.from({ length: 20000 }, (_, id) => ({ json: { id, text: 'x'.repeat(480) } }));
+
+    // The wrapper writes its payload to fd 5
+    const runWrapper = (options, input) =>
+      new Promise((resolve) => {
+        const { spawn } = require('child_process');
+        const child = spawn('node', [WRAPPER_PATH], { ...options, stdio: ['pipe', 'pipe', 'pipe', 'ignore', 'ignore', 'pipe'] });
+        let payload = '';
+        child.stdio[5].on('data', (data) => (payload += data));
+        child.on('close', (code) => resolve({ code, payload }));
+        child.stdin.end(input);
+      });
+
+    it('writes only the user code to the execution directory', async () => {
+      const execDir = await service.createExecutionDir();
+      const result = await service.executeCode('module.exports = (items) => items.length', [1, 2], execDir, 5000);
+
+      expect(result.data).toBe(2);
+      expect((await fs.readdir(execDir)).sort()).toEqual(['execution.js', 'output']);
+    });
+
+    it('passes a 10 MB input over stdin', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = 'module.exports = (items) => ({ count: items.length, last: items[items.length - 1].json.id })';
+
+      const result = await service.executeCode(code, largeItems(), execDir, 20000);
+      expect(result.data).toEqual({ count: 20000, last: 19999 });
+    }, 30000);
+
+    it('reports malformed input as a failed execution', async () => {
+      const execDir = await service.createExecutionDir();
+      const { code, payload } = await runWrapper({ cwd: execDir }, 'not json');
+
+      expect(code).toBe(0);
+      expect(JSON.parse(payload)).toMatchObject({
+        success: false,
+        error: 'Invalid execution input: Missing execution header on stdin',
+      });
+    });
+  });
+
+  describe('streamed items', () => {
+    const { Readable } = require('stream');
+
+    // Run code on NDJSON items, collecting the result lines passed to onResult
+    const runStreamed = async (svc, code, ndjson, runOptions = {}) => {
+      const results = [];
+      const execDir = await svc.createExecutionDir();
+      const outcome = svc.executeCode(code, undefined, execDir, 5000, false, {
+        ...runOptions,
+        itemStream: Readable.from([Buffer.from(ndjson)]),
+        onResult: (line) => results.push(JSON.parse(line)),
+      });
+      return { outcome, results };
+    };
+
+    it('passes the items as an async iterable and streams the yielded results', async () => {
+      const code = `module.exports = async function* (items) {
+        for await (const item of items) yield { id: item.id, double: item.id * 2 };
+      }`;
+      const { outcome, results } = await runStreamed(service, code, '{"id":1}\n\n{"id":2}\n{"id":3}');
+
+      const result = await outcome;
+      expect(result.success).toBe(true);
+      expect(result.data).toBeUndefined();
+      expect(results).toEqual([
+        { id: 1, double: 2 },
+        { id: 2, double: 4 },
+        { id: 3, double: 6 },
+      ]);
+    });
+
+    it('streams each element of a returned array and a returned object as one result', async () => {
+      const arrayRun = await runStreamed(service, 'module.exports = () => [1, 2n]', '', { serialization: 'rich' });
+      await arrayRun.outcome;
+      expect(arrayRun.results).toEqual([1, { $type: 'bigint', value: '2' }]);
+
+      const code = `module.exports = async function (items) {
+        let count = 0;
+        for await (const item of items) count++;
+        return { count };
+      }`;
+      const objectRun = await runStreamed(service, code, '1\n2\n');
+      await objectRun.outcome;
+      expect(objectRun.results).toEqual([{ count: 2 }]);
+    });
+
+    it('calls the function once per item, in order, with continueOnFail', async () => {
+      const code = `module.exports = async function (item, { itemIndex }) {
+        await new Promise((resolve) => setTimeout(resolve, (3 - itemIndex) * 10));
+        if (item.fail) throw new Error('bad item ' + item.id);
+        return item.id;
+      }`;
+      const { outcome, results } = await runStreamed(
+        service,
+        code,
+        '{"id":1}\n{"id":2,"fail":true}\n{"id":3}\n',
+        { mode: 'eachItem', concurrency: 3, continueOnFail: true }
+      );
+
+      const result = await outcome;
+      expect(results).toEqual([1, { error: 'bad item 2' }, 3]);
+      expect(result.failedItems).toEqual([1]);
+    });
+
+    it('reports an item line that is not JSON', async () => {
+      const code = `module.exports = async function* (items) {
+        for await (const item of items) yield item;
+      }`;
+      const { outcome, results } = await runStreamed(service, code, '{"id":1}\n{oops\n');
+
+      await expect(outcome).rejects.toMatchObject({
+        success: false,
+        error: expect.stringContaining('Invalid JSON on line 2 of the items'),
+      });
+      expect(results).toEqual([{ id: 1 }]);
+    });
+
+    it('runs streamed executions in a spawned process in pool mode', async () => {
+      const poolService = new ExecutionService(tmpDir, 5000, 5, {
+        mode: 'pool',
+        pool: { minSize: 1, maxSize: 1 },
+      }).initialize();
+      try {
+        const code = `module.exports = async function* (items) {
+          for await (const item of items) yield process.argv.includes('--stream') && item;
+        }`;
+        const { outcome, results } = await runStreamed(poolService, code, '7\n');
+
+        await outcome;
+        expect(results).toEqual([7]);
+      } finally {
+        await poolService.shutdown();
+      }
+    });
+  });
+
+  describe('binary input files', () => {
+    const items = [
+      { json: { id: 1 }, binary: { doc: { data: Buffer.from('hello').toString('base64'), fileName: 'doc.txt' } } },
+    ];
+
+    it('writes binary inputs to input/ and passes references to the code', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = async function(items, { getBinaryBuffer, getBinaryStream }) {
+        const ref = items[0].binary.doc;
+        let streamed = '';
+        for await (const chunk of getBinaryStream(ref)) streamed += chunk;
+        return { ref, buffer: (await getBinaryBuffer(ref)).toString(), streamed };
+      }`;
+
+      const result = await service.executeCode(code, items, execDir, 5000);
+      expect(result.data).toEqual({
+        ref: { fileName: 'doc.txt', mimeType: 'text/plain', fileSize: 5, filePath: 'input/0/doc/doc.txt' },
+        buffer: 'hello',
+        streamed: 'hello',
+      });
+      expect(await fs.readFile(path.join(execDir, 'input/0/doc/doc.txt'), 'utf8')).toBe('hello');
+    });
+
+    it('returns the data of input files passed through unchanged', async () => {
+      const execDir = await service.createExecutionDir();
+      const code = `module.exports = function(items) { return items; }`;
+
+      const result = await service.executeCode(code, items, execDir, 5000);
+      expect(result.data[0].binary.doc).toEqual({
+        fileName: 'doc.txt',
+        mimeType: 'text/plain',
+        fileSize: 5,
+        data: items[0].binary.doc.data,
+      });
+    });
+  });
+
+  describe('executeCode in pool mode', () => {
+    let poolService;
+
+    beforeEach(() => {
+      poolService = new ExecutionService(tmpDir, 5000, 5, {
+        mode: 'pool',
+        pool: { minSize: 1, maxSize: 2 },
+      }).initialize();
+    });
+
+    afterEach(async () => {
+      await poolService.shutdown();
+    });
+
+    it('executes code on a pooled worker without writing a wrapper', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function(items) {
+        console.log('from pool');
+        return items.map(i => i * 2);
+      }`;
+
+      const result = await poolService.executeCode(code, [1, 2, 3], execDir, 5000);
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([2, 4, 6]);
+      expect(result.console).toEqual([
+        expect.objectContaining({ type: 'log', message: 'from pool' }),
+      ]);
+      await expect(fs.stat(path.join(execDir, 'wrapper.js'))).rejects.toThrow();
+    });
+
+    it('does not expose the server environment to pooled workers', async () => {
+      await poolService.shutdown();
+      process.env.SECRETS_MASTER_KEY = 'master-key';
+      try {
+        poolService = new ExecutionService(tmpDir, 5000, 5, { mode: 'pool', pool: { minSize: 0, maxSize: 1 } }).initialize();
+        const code = `module.exports = () => ({ master: 'SECRETS_MASTER_KEY' in process.env, token: process.env.API_TOKEN })`;
+        const result = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000, false, {
+          secrets: { API_TOKEN: 'tok-123' },
+        });
+        expect(result.data).toEqual({ master: false, token: 'tok-123' });
+      } finally {
+        delete process.env.SECRETS_MASTER_KEY;
+      }
+    });
+
+    it('runs pooled executions once per item', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = (item) => {
+        if (item === 0) throw new Error('zero');
+        return 1 / item;
+      }`;
+
+      const result = await poolService.executeCode(code, [1, 0, 4], execDir, 5000, false, {
+        mode: 'eachItem',
+        continueOnFail: true,
+      });
+      expect(result.data).toEqual([1, { error: 'zero' }, 0.25]);
+      expect(result.failedItems).toEqual([1]);
+    });
+
+    it('serializes rich results and reports unserializable ones in pooled executions', async () => {
+      const result = await poolService.executeCode(
+        'module.exports = () => [new Set([1n])]',
+        [],
+        await poolService.createExecutionDir(),
+        5000,
+        false,
+        { serialization: 'rich' }
+      );
+      expect(result.data).toEqual([{ $type: 'Set', value: [{ $type: 'bigint', value: '1' }] }]);
+
+      await expect(
+        poolService.executeCode('module.exports = () => ({ id: Symbol() })', [], await poolService.createExecutionDir(), 5000, false, {
+          serialization: 'rich',
+        })
+      ).rejects.toMatchObject({
+        error: 'Result cannot be serialized: Symbol() at data.id',
+        errorType: 'invalid_output',
+      });
+    });
+
+    it('reports the CPU time and the bytes written to stdout and stderr by pooled executions', async () => {
+      const code = `module.exports = () => {
+        process.stdout.write('héllo');
+        process.stderr.write(Buffer.from('abc'));
+        const end = Date.now() + 50;
+        while (Date.now() < end);
+        return 1;
+      }`;
+
+      const result = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000);
+      expect(result.resourceUsage).toMatchObject({ stdoutBytes: 6, stderrBytes: 3 });
+      expect(result.resourceUsage.cpuUserMs + result.resourceUsage.cpuSystemMs).toBeGreaterThan(20);
+    });
+
+    it('runs multi-file bundles on pooled workers', async () => {
+      const code = `module.exports = (items) => require('./lib/sum')(items)`;
+
+      const result = await poolService.executeCode(code, [1, 2, 3], await poolService.createExecutionDir(), 5000, false, {
+        files: { 'lib/sum.js': 'module.exports = (values) => values.reduce((a, b) => a + b, 0);' },
+        entry: 'index.js',
+      });
+      expect(result.data).toBe(6);
+    });
+
+    it('restores Math.random and Date after a deterministic pooled execution', async () => {
+      const code = `module.exports = () => [Math.random(), Date.now()]`;
+      const deterministic = { seed: 7, time: '2025-03-10T14:30:45.123Z' };
+
+      const first = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000, false, { deterministic });
+      const second = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000, false, { deterministic });
+      expect(second.data).toEqual(first.data);
+      expect(first.data[1]).toBe(Date.parse(deterministic.time));
+
+      const regular = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000);
+      expect(regular.data[0]).not.toBe(first.data[0]);
+      expect(regular.data[1]).toBeGreaterThan(Date.parse(deterministic.time));
+    });
+
+    it('injects secrets into pooled executions and removes them afterwards', async () => {
+      const code = `module.exports = (items, { secrets }) => [process.env.API_TOKEN || null, secrets.API_TOKEN || null]`;
+
+      const first = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000, false, {
+        secrets: { API_TOKEN: 'tok-123' },
+      });
+      const second = await poolService.executeCode(code, [], await poolService.createExecutionDir(), 5000);
+      expect(first.data).toEqual(['tok-123', 'tok-123']);
+      expect(second.data).toEqual([null, null]);
+    });
+
+    it('applies the console and result limits in pooled executions', async () => {
+      await poolService.shutdown();
+      poolService = new ExecutionService(tmpDir, 5000, 5, {
+        mode: 'pool',
+        pool: { minSize: 1, maxSize: 1 },
+        captureLimits: { maxConsoleEntries: 1, maxResultBytes: 10 },
+      }).initialize();
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() {
+        console.log('kept');
+        console.log('dropped');
+        return 'a string longer than ten bytes';
+      }`;
+
+      const result = await poolService.executeCode(code, [], execDir, 5000);
+      expect(result.console.map((entry) => entry.message)).toEqual([
+        'kept',
+        'Console output truncated: kept 1 of 2 entries (4 of 11 bytes)',
+      ]);
+      expect(result.data).toMatchObject({ truncated: true, originalSize: 32 });
+    });
+
+    it('collects output files written by pooled executions', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() {
+        require('fs').writeFileSync('output/result.json', '{}');
+        return true;
+      }`;
+
+      const result = await poolService.executeCode(code, [], execDir, 5000);
+      expect(result.binary['result.json']).toMatchObject({
+        fileName: 'result.json',
+        mimeType: 'application/json',
+        fileSize: 2,
+      });
+    });
+
+    it('reads binary input files from pooled executions', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const items = [{ binary: { doc: { data: Buffer.from('pooled').toString('base64'), fileName: 'doc.txt' } } }];
+      const code = `module.exports = async function(items, { getBinaryBuffer }) {
+        return (await getBinaryBuffer(items[0].binary.doc)).toString();
+      }`;
+
+      const result = await poolService.executeCode(code, items, execDir, 5000);
+      expect(result.data).toBe('pooled');
+    });
+
+    it('rejects with the same shape as spawn mode when code throws', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() { throw new Error('pool error'); }`;
+
+      await expect(
+        poolService.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'pool error',
+        errorType: 'user_error',
+        console: [],
+      });
+    });
+
+    it('reports the execution mode in debug info', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function(items) { return items; }`;
+
+      const result = await poolService.executeCode(code, [], execDir, 5000, true);
+      expect(result.debug).toMatchObject({ executionMode: 'pool' });
+      expect(typeof result.debug.executionTimeMs).toBe('number');
+    });
+
+    it('reports errors outside the returned promise and keeps the worker usable', async () => {
+      const failing = await poolService.createExecutionDir();
+      await expect(
+        poolService.executeCode(`module.exports = function() { process.exit(1); }`, [], failing, 5000)
+      ).rejects.toMatchObject({
+        error: 'The code called process.exit(1) before returning a value',
+        errorType: 'user_error',
+      });
+
+      const rejecting = await poolService.createExecutionDir();
+      await expect(
+        poolService.executeCode(
+          `module.exports = async function() { Promise.reject(new Error('late')); await new Promise((r) => setTimeout(r, 50)); return 1; }`,
+          [],
+          rejecting,
+          5000
+        )
+      ).rejects.toMatchObject({ error: 'Unhandled promise rejection: late' });
+
+      const next = await poolService.createExecutionDir();
+      const result = await poolService.executeCode(`module.exports = () => 'still alive'`, [], next, 5000);
+      expect(result.data).toBe('still alive');
+    });
+
+    it('rejects on timeout with the wall time and output bytes', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() {
+        process.stdout.write('abc');
+        return new Promise((resolve) => setTimeout(resolve, 10000));
+      }`;
+
+      const error = await poolService.executeCode(code, [], execDir, 500).catch((e) => e);
+      expect(error).toMatchObject({
+        success: false,
+        error: 'Execution timed out after 500ms',
+        errorType: 'timeout',
+        resourceUsage: { stdoutBytes: 3, stderrBytes: 0 },
+      });
+      expect(error.resourceUsage.wallTimeMs).toBeGreaterThanOrEqual(500);
+    });
+
+    it('rejects with killed_by_signal when the worker is killed', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() { process.kill(process.pid, 'SIGKILL'); }`;
+
+      await expect(
+        poolService.executeCode(code, [], execDir, 5000)
+      ).rejects.toMatchObject({
+        success: false,
+        errorType: 'killed_by_signal',
+      });
+    });
+
+    it('rejects with a CPU time error and replaces the worker', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function() { while (true) {} }`;
+
+      await expect(
+        poolService.executeCode(code, [], execDir, 10000, false, { cpuTimeMs: 300 })
+      ).rejects.toMatchObject({
+        success: false,
+        error: 'CPU time limit exceeded',
+      });
+      expect(poolService.workerPool.getStats().size).toBe(1);
+    }, 15000);
+
+    it('runs ES modules and keeps the worker afterwards', async () => {
+      const code = `export default (items) => items.length;`;
+      const pool = poolService.getWorkerPool();
+      const [worker] = pool.workers;
+
+      const first = await poolService.executeCode(code, [1, 2], await poolService.createExecutionDir(), 5000);
+      const second = await poolService.executeCode(code, [1], await poolService.createExecutionDir(), 5000);
+      expect([first.data, second.data]).toEqual([2, 1]);
+      expect(pool.workers.has(worker)).toBe(true);
+    });
+
+    it('cold-spawns sandboxed executions', async () => {
+      poolService.sandbox = { cacheKeys: { sandboxed: { enabled: true } } };
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function(items) { return items; }`;
+
+      const result = await poolService.executeCode(code, [], execDir, 5000, true, { cacheKey: 'sandboxed' });
+      expect(result.debug).toMatchObject({ executionMode: 'spawn', sandboxed: true });
+    });
+
+    it('cold-spawns executions that ask for a custom memory limit', async () => {
+      const execDir = await poolService.createExecutionDir();
+      const code = `module.exports = function(items) { return items; }`;
+
+      const result = await poolService.executeCode(code, [1], execDir, 5000, true, { memoryLimitMb: 128 });
+      expect(result.data).toEqual([1]);
+      expect(result.debug).toMatchObject({
+        executionMode: 'spawn',
+        limits: { memoryLimitMb: 128, cpuTimeMs: 0 },
+      });
+    });
   });
 
   describe('cleanupExecutionDir', () => {
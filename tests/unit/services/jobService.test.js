@@ -49,6 +49,16 @@ describe('JobService', () => {
       expect(JSON.parse(job.items)).toEqual([1, 2, 3]);
     });
 
+    it('stores the files and entry of a multi-file bundle', () => {
+      const files = { 'index.js': "module.exports = require('./lib/a')", 'lib/a.js': 'module.exports = () => 1' };
+      const jobId = jobService.createJob({ code: files['index.js'], files, entry: 'index.js' });
+
+      const job = jobService.getJob(jobId);
+      expect(JSON.parse(job.files)).toEqual(files);
+      expect(job.entry).toBe('index.js');
+      expect(jobService.getJob(jobService.createJob({ code: 'code' }))).toMatchObject({ files: null, entry: null });
+    });
+
     it('stores job with null items when items is not provided', () => {
       const jobId = jobService.createJob({ code: 'code' });
       const job = jobService.getJob(jobId);
@@ -102,11 +112,23 @@ describe('JobService', () => {
       expect(job.completed_at).toBeDefined();
     });
 
+    it('stores output files', () => {
+      const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
+      const outputFiles = {
+        'report.csv': { fileName: 'report.csv', mimeType: 'text/csv', data: 'YSxi', fileSize: 3 },
+      };
+      jobService.completeJob(jobId, { status: 'success', resultData: 1, outputFiles });
+
+      expect(JSON.parse(jobService.getJob(jobId).output_files)).toEqual(outputFiles);
+      expect(jobService.getJobs().jobs[0]).not.toHaveProperty('output_files');
+    });
+
     it('completes a job with error status', () => {
       const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
       jobService.completeJob(jobId, {
         status: 'error',
         errorMessage: 'something failed',
+        errorType: 'user_error',
         errorStack: 'Error: something failed\n    at test.js:1:1',
         consoleOutput: [],
       });
@@ -114,9 +136,77 @@ describe('JobService', () => {
       const job = jobService.getJob(jobId);
       expect(job.status).toBe('error');
       expect(job.error_message).toBe('something failed');
+      expect(job.error_type).toBe('user_error');
       expect(job.error_stack).toContain('something failed');
     });
 
+    it('records the resource usage of a job', () => {
+      const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
+      jobService.recordResourceUsage(jobId, {
+        peakRssBytes: 50000000,
+        heapUsedBytes: 6000000,
+        cpuUserMs: 12.5,
+        cpuSystemMs: 2.25,
+        stdoutBytes: 3,
+        stderrBytes: 0,
+        wallTimeMs: 41.5,
+      });
+
+      expect(jobService.getJob(jobId)).toMatchObject({
+        peak_rss_bytes: 50000000,
+        heap_used_bytes: 6000000,
+        cpu_user_ms: 12.5,
+        cpu_system_ms: 2.25,
+        stdout_bytes: 3,
+        stderr_bytes: 0,
+        wall_time_ms: 41.5,
+      });
+    });
+
+    it('keeps dependencies recorded before completion', () => {
+      const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
+      jobService.recordDependencies(jobId, { lodash: '4.17.21' });
+      jobService.completeJob(jobId, { status: 'error', errorMessage: 'failed' });
+
+      expect(JSON.parse(jobService.getJob(jobId).dependencies)).toEqual({ lodash: '4.17.21' });
+    });
+
+    it('records the attempts of a retried job in order', () => {
+      const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
+      jobService.recordAttempt(jobId, { attempt: 1, status: 'error', errorMessage: 'Execution timed out', errorType: 'timeout', durationMs: 1000.5 });
+      jobService.recordAttempt(jobId, { attempt: 2, status: 'success', durationMs: 12 });
+
+      expect(jobService.getJobAttempts(jobId)).toEqual([
+        expect.objectContaining({ attempt: 1, status: 'error', error_message: 'Execution timed out', error_type: 'timeout', duration_ms: 1000.5 }),
+        expect.objectContaining({ attempt: 2, status: 'success', error_message: null, error_type: null, duration_ms: 12 }),
+      ]);
+      expect(jobService.getJobAttempts('other-job')).toEqual([]);
+    });
+
+    it('flags jobs of uploaded files', () => {
+      const jobId = jobService.createJob({ code: 'code', items: [], uploaded: true, cacheKey: 'k' });
+      expect(jobService.getJob(jobId)).toMatchObject({ uploaded: 1, streamed: 0 });
+      expect(jobService.getJob(jobService.createJob({ code: 'code', cacheKey: 'k' })).uploaded).toBe(0);
+    });
+
+    it('records the counts and item sample of a streamed job', () => {
+      const jobId = jobService.createJob({ code: 'code', items: [], streamed: true, cacheKey: 'k' });
+      expect(jobService.getJob(jobId)).toMatchObject({ streamed: 1, items: null, item_count: null });
+
+      jobService.recordStreamCounts(jobId, { itemCount: 1200, resultCount: 1100, itemSample: [{ id: 1 }] });
+
+      expect(jobService.getJob(jobId)).toMatchObject({ item_count: 1200, result_count: 1100 });
+      expect(JSON.parse(jobService.getJob(jobId).items)).toEqual([{ id: 1 }]);
+    });
+
+    it('stores the error location as JSON', () => {
+      const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
+      const errorLocation = { file: 'execution.js', line: 1, column: 1, codeFrame: '> 1 | code\n    | ^' };
+      jobService.completeJob(jobId, { status: 'error', errorMessage: 'failed', errorLocation });
+
+      expect(JSON.parse(jobService.getJob(jobId).error_location)).toEqual(errorLocation);
+    });
+
     it('defaults status to success when not provided', () => {
       const jobId = jobService.createJob({ code: 'code', cacheKey: 'k' });
       jobService.completeJob(jobId, {});
@@ -181,6 +271,16 @@ describe('JobService', () => {
       });
     });
 
+    it('filters by error type', () => {
+      const jobId = jobService.createJob({ code: 'slow' });
+      jobService.completeJob(jobId, { status: 'error', errorMessage: 'timed out', errorType: 'timeout' });
+
+      const result = jobService.getJobs({ errorType: 'timeout' });
+
+      expect(result.total).toBe(1);
+      expect(result.jobs[0]).toMatchObject({ job_id: jobId, error_type: 'timeout' });
+    });
+
     it('filters by cacheKey', () => {
       const result = jobService.getJobs({ cacheKey: 'key-a' });
       expect(result.total).toBe(3);
@@ -260,6 +360,21 @@ describe('JobService', () => {
       expect(stats.error).toBe(1);
       expect(stats.avgExecutionTimeMs).toBe(150);
     });
+
+    it('aggregates the resource usage of the jobs that recorded it', () => {
+      const id1 = jobService.createJob({ code: 'c1', cacheKey: 'k' });
+      jobService.recordResourceUsage(id1, { peakRssBytes: 1000, cpuUserMs: 10, cpuSystemMs: 2 });
+      const id2 = jobService.createJob({ code: 'c2', cacheKey: 'k' });
+      jobService.recordResourceUsage(id2, { peakRssBytes: 3000, cpuUserMs: 20, cpuSystemMs: 4 });
+      jobService.createJob({ code: 'c3', cacheKey: 'k' });
+
+      expect(jobService.getJobStats()).toMatchObject({
+        avgPeakRssBytes: 2000,
+        maxPeakRssBytes: 3000,
+        avgCpuTimeMs: 18,
+        totalCpuTimeMs: 36,
+      });
+    });
   });
 
   describe('deleteJob', () => {
@@ -272,6 +387,15 @@ describe('JobService', () => {
       expect(job).toBeNull();
     });
 
+    it('deletes the attempts of the job', () => {
+      const jobId = jobService.createJob({ code: 'code' });
+      jobService.recordAttempt(jobId, { attempt: 1, status: 'success', durationMs: 5 });
+
+      jobService.deleteJob(jobId);
+
+      expect(jobService.getJobAttempts(jobId)).toEqual([]);
+    });
+
     it('returns false for non-existent job', () => {
       const deleted = jobService.deleteJob('nonexistent');
       expect(deleted).toBe(false);
@@ -328,14 +452,14 @@ describe('JobService', () => {
       expect(job.completed_at).toBeDefined();
     });
 
-    it('marks pending jobs as interrupted', () => {
+    it('keeps pending jobs queued', () => {
       const jobId = jobService.createJob({ code: 'code' });
 
       const count = jobService.recoverInterruptedJobs();
 
-      expect(count).toBe(1);
+      expect(count).toBe(0);
       const job = jobService.getJob(jobId);
-      expect(job.status).toBe('interrupted');
+      expect(job.status).toBe('pending');
     });
 
     it('does not affect success or error jobs', () => {
@@ -359,11 +483,15 @@ describe('JobService', () => {
       const j3 = jobService.createJob({ code: 'c3' });
       jobService.completeJob(j3, { status: 'success' });
 
+      const j4 = jobService.createJob({ code: 'c4' });
+      jobService.updateJobStatus(j4, 'running');
+
       const count = jobService.recoverInterruptedJobs();
 
       expect(count).toBe(2);
       expect(jobService.getJob(j1).status).toBe('interrupted');
-      expect(jobService.getJob(j2).status).toBe('interrupted');
+      expect(jobService.getJob(j2).status).toBe('pending');
+      expect(jobService.getJob(j4).status).toBe('interrupted');
       expect(jobService.getJob(j3).status).toBe('success');
     });
 
@@ -371,4 +499,28 @@ describe('JobService', () => {
       expect(jobService.recoverInterruptedJobs()).toBe(0);
     });
   });
+
+  describe('queued jobs', () => {
+    it('returns pending jobs oldest first', () => {
+      const j1 = jobService.createJob({ code: 'c1' });
+      const j2 = jobService.createJob({ code: 'c2' });
+      jobService.updateJobStatus(j2, 'running');
+      const j3 = jobService.createJob({ code: 'c3' });
+
+      const queued = jobService.getQueuedJobs();
+
+      expect(queued.map((job) => job.job_id)).toEqual([j1, j3]);
+    });
+
+    it('includes the queue position of pending jobs', () => {
+      const j1 = jobService.createJob({ code: 'c1' });
+      const j2 = jobService.createJob({ code: 'c2' });
+      const j3 = jobService.createJob({ code: 'c3' });
+      jobService.updateJobStatus(j1, 'running');
+
+      expect(jobService.getJob(j1).queue_position).toBeUndefined();
+      expect(jobService.getJob(j2).queue_position).toBe(1);
+      expect(jobService.getJob(j3).queue_position).toBe(2);
+    });
+  });
 });
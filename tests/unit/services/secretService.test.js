@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const DatabaseService = require('../../../src/services/databaseService');
+const SecretService = require('../../../src/services/secretService');
+
+describe('SecretService', () => {
+  let tmpDir;
+  let databaseService;
+  let secretService;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-test-'));
+    databaseService = new DatabaseService(tmpDir);
+    databaseService.initialize();
+    secretService = new SecretService(databaseService, 'master-key');
+  });
+
+  afterEach(() => {
+    databaseService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('setSecret', () => {
+    it('stores the value encrypted and returns the secret without it', () => {
+      const secret = secretService.setSecret({ name: 'API_KEY', value: 'sk-123' });
+
+      expect(secret).toEqual({
+        id: expect.any(Number),
+        name: 'API_KEY',
+        cacheKey: null,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      });
+      const row = databaseService.getDb().prepare('SELECT encrypted_value FROM secrets').get();
+      expect(row.encrypted_value).not.toContain('sk-123');
+    });
+
+    it('replaces the value of a secret with the same name and scope', () => {
+      const first = secretService.setSecret({ name: 'API_KEY', value: 'old', cacheKey: 'wf' });
+      const second = secretService.setSecret({ name: 'API_KEY', value: 'new', cacheKey: 'wf' });
+
+      expect(second.id).toBe(first.id);
+      expect(secretService.listSecrets()).toHaveLength(1);
+      expect(secretService.resolveSecrets('wf')).toEqual({ API_KEY: 'new' });
+    });
+
+    it('throws when no master key is configured', () => {
+      const disabled = new SecretService(databaseService, '');
+      expect(disabled.isEnabled()).toBe(false);
+      expect(() => disabled.setSecret({ name: 'A', value: 'b' })).toThrow('SECRETS_MASTER_KEY');
+    });
+  });
+
+  describe('resolveSecrets', () => {
+    it('returns global secrets overridden by those of the cache key', () => {
+      secretService.setSecret({ name: 'API_KEY', value: 'global' });
+      secretService.setSecret({ name: 'REGION', value: 'eu' });
+      secretService.setSecret({ name: 'API_KEY', value: 'scoped', cacheKey: 'wf-1' });
+      secretService.setSecret({ name: 'OTHER', value: 'x', cacheKey: 'wf-2' });
+
+      expect(secretService.resolveSecrets('wf-1')).toEqual({ API_KEY: 'scoped', REGION: 'eu' });
+      expect(secretService.resolveSecrets('wf-3')).toEqual({ API_KEY: 'global', REGION: 'eu' });
+    });
+
+    it('skips secrets stored under names that are now reserved', () => {
+      secretService.setSecret({ name: 'API_KEY', value: 'sk-123' });
+      secretService.setSecret({ name: 'NODE_OPTIONS', value: '--require /tmp/evil.js' });
+
+      expect(secretService.resolveSecrets('wf')).toEqual({ API_KEY: 'sk-123' });
+    });
+
+    it('reports secrets encrypted with another master key', () => {
+      secretService.setSecret({ name: 'API_KEY', value: 'sk-123' });
+      const otherKey = new SecretService(databaseService, 'other-key');
+
+      expect(() => otherKey.resolveSecrets('wf')).toThrow('Secret API_KEY cannot be decrypted');
+    });
+
+    it('returns no secrets when disabled', () => {
+      secretService.setSecret({ name: 'API_KEY', value: 'sk-123' });
+      expect(new SecretService(databaseService, '').resolveSecrets('wf')).toEqual({});
+    });
+  });
+
+  describe('listSecrets / deleteSecret', () => {
+    it('lists global secrets first and deletes by id', () => {
+      const scoped = secretService.setSecret({ name: 'B', value: '1', cacheKey: 'wf' });
+      secretService.setSecret({ name: 'A', value: '2' });
+
+      expect(secretService.listSecrets().map((secret) => [secret.name, secret.cacheKey])).toEqual([
+        ['A', null],
+        ['B', 'wf'],
+      ]);
+      expect(secretService.deleteSecret(scoped.id)).toBe(true);
+      expect(secretService.deleteSecret(scoped.id)).toBe(false);
+      expect(secretService.listSecrets()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const WorkerPool = require('../../../src/services/workerPool');
+
+describe('WorkerPool', () => {
+  let tmpDir;
+  let pool;
+
+  async function createExecution(code) {
+    const dir = await fs.mkdtemp(path.join(tmpDir, 'exec-'));
+    await fs.writeFile(path.join(dir, 'execution.js'), code);
+    return dir;
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-test-'));
+  });
+
+  afterEach(async () => {
+    if (pool) await pool.shutdown();
+    pool = null;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('pre-starts the minimum number of workers', () => {
+    pool = new WorkerPool({ minSize: 2, maxSize: 3 }).start();
+    expect(pool.getStats()).toMatchObject({ size: 2, idle: 2, busy: 0 });
+  });
+
+  it('runs code and returns the runner payload', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = (items) => {
+      console.log('pooled');
+      return items.map((i) => i * 3);
+    };`);
+
+    const payload = await pool.run({ executionDir: dir, items: [1, 2] }, 5000);
+    expect(payload.success).toBe(true);
+    expect(payload.data).toEqual([3, 6]);
+    expect(payload.console).toEqual([
+      expect.objectContaining({ type: 'log', message: 'pooled' }),
+    ]);
+  });
+
+  it('forwards console entries while the execution is running', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = async () => {
+      console.log('first');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      console.warn('second');
+      return true;
+    };`);
+    const streamed = [];
+
+    const payload = await pool.run(
+      { executionDir: dir, items: [], onConsole: (entry) => streamed.push(entry) },
+      5000
+    );
+    expect(streamed).toEqual([
+      expect.objectContaining({ type: 'log', message: 'first' }),
+      expect.objectContaining({ type: 'warn', message: 'second' }),
+    ]);
+    expect(payload.console).toHaveLength(2);
+  });
+
+  it('returns user errors as failed payloads and keeps the worker', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = () => { throw new Error('boom'); };`);
+    const [worker] = pool.workers;
+
+    const payload = await pool.run({ executionDir: dir, items: [] }, 5000);
+    expect(payload).toMatchObject({ success: false, error: 'boom' });
+    expect(pool.workers.has(worker)).toBe(true);
+  });
+
+  it('runs each execution with a fresh module registry, globals and cwd', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const code = `let count = 0;
+      module.exports = () => {
+        count++;
+        globalThis.leaked = (globalThis.leaked || 0) + 1;
+        return { count, leaked: globalThis.leaked, cwd: process.cwd() };
+      };`;
+    const dir1 = await createExecution(code);
+    const dir2 = await createExecution(code);
+
+    const first = await pool.run({ executionDir: dir1, items: [] }, 5000);
+    const second = await pool.run({ executionDir: dir2, items: [] }, 5000);
+
+    expect(first.data).toMatchObject({ count: 1, leaked: 1 });
+    expect(second.data).toMatchObject({ count: 1, leaked: 1 });
+    expect(await fs.realpath(second.data.cwd)).toBe(await fs.realpath(dir2));
+  });
+
+  it('does not carry changes to builtins, the environment or secrets over to the next execution', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const polluter = await createExecution(`module.exports = () => {
+      Array.prototype.leak = 1;
+      Object.prototype.x = 'polluted';
+      JSON.stringify = () => 'patched';
+      process.env.LEAKED = 'yes';
+      return process.env.API_TOKEN;
+    };`);
+    const victim = await createExecution(`module.exports = () => ({
+      leak: [].leak === undefined,
+      x: ({}).x === undefined,
+      stringify: JSON.stringify({ a: 1 }),
+      env: process.env.LEAKED === undefined,
+      secret: process.env.API_TOKEN === undefined,
+    });`);
+
+    const first = await pool.run({ executionDir: polluter, items: [], secrets: { API_TOKEN: 'token' } }, 5000);
+    const second = await pool.run({ executionDir: victim, items: [] }, 5000);
+
+    expect(first.data).toBe('token');
+    expect(second.data).toEqual({ leak: true, x: true, stringify: '{"a":1}', env: true, secret: true });
+  });
+
+  it('clears timers left behind by a previous execution', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const leaky = await createExecution(`module.exports = () => {
+      setInterval(() => console.log('leaked'), 10);
+      return 'started';
+    };`);
+    const waiting = await createExecution(`module.exports = () =>
+      new Promise((resolve) => setTimeout(() => resolve('done'), 100));`);
+
+    await pool.run({ executionDir: leaky, items: [] }, 5000);
+    const payload = await pool.run({ executionDir: waiting, items: [] }, 5000);
+
+    expect(payload.data).toBe('done');
+    expect(payload.console).toEqual([]);
+  });
+
+  it('recycles a worker after maxExecutionsPerWorker executions', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1, maxExecutionsPerWorker: 2 }).start();
+    const dir = await createExecution(`module.exports = () => process.pid;`);
+
+    const first = await pool.run({ executionDir: dir, items: [] }, 5000);
+    const second = await pool.run({ executionDir: dir, items: [] }, 5000);
+    const third = await pool.run({ executionDir: dir, items: [] }, 5000);
+
+    expect(first.data).toBe(second.data);
+    expect(third.data).not.toBe(first.data);
+  });
+
+  it('kills the worker and rejects on timeout', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = () => new Promise((resolve) => setTimeout(resolve, 10000));`);
+    const [worker] = pool.workers;
+
+    await expect(
+      pool.run({ executionDir: dir, items: [] }, 500)
+    ).rejects.toMatchObject({ timedOut: true });
+    expect(pool.workers.has(worker)).toBe(false);
+    expect(pool.getStats().size).toBe(1);
+  });
+
+  it('kills the worker and rejects as cancelled when the signal is aborted', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = () => new Promise((resolve) => setTimeout(resolve, 10000));`);
+    const abortController = new AbortController();
+    const [worker] = pool.workers;
+
+    const run = pool.run({ executionDir: dir, items: [], signal: abortController.signal }, 5000);
+    setTimeout(() => abortController.abort(), 100);
+
+    await expect(run).rejects.toMatchObject({ cancelled: true, message: 'Execution cancelled' });
+    expect(pool.workers.has(worker)).toBe(false);
+    expect(pool.getStats().size).toBe(1);
+  });
+
+  it('rejects when the worker exits during an execution', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    const dir = await createExecution(`module.exports = () => process.kill(process.pid, 'SIGKILL');`);
+
+    await expect(
+      pool.run({ executionDir: dir, items: [] }, 5000)
+    ).rejects.toThrow('Worker exited unexpectedly (signal SIGKILL)');
+  });
+
+  it('queues executions when all workers are busy', async () => {
+    pool = new WorkerPool({ minSize: 0, maxSize: 1 });
+    const dir = await createExecution(`module.exports = (items) =>
+      new Promise((resolve) => setTimeout(() => resolve(items[0]), 100));`);
+
+    const results = await Promise.all([
+      pool.run({ executionDir: dir, items: ['a'] }, 5000),
+      pool.run({ executionDir: dir, items: ['b'] }, 5000),
+    ]);
+
+    expect(results.map((r) => r.data)).toEqual(['a', 'b']);
+    expect(pool.getStats().size).toBe(1);
+  });
+
+  it('rejects new executions after shutdown', async () => {
+    pool = new WorkerPool({ minSize: 1, maxSize: 1 }).start();
+    await pool.shutdown();
+
+    await expect(
+      pool.run({ executionDir: tmpDir, items: [] }, 1000)
+    ).rejects.toThrow('Worker pool is shut down');
+    expect(pool.getStats().size).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const {
+  isBinaryPayload,
+  materializeBinaryInputs,
+  inlineBinaryReferences,
+} = require('../../../src/utils/binaryUtils');
+
+describe('binaryUtils', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'binary-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('isBinaryPayload', () => {
+    it('detects entries carrying base64 data', () => {
+      expect(isBinaryPayload({ data: 'aGk=', mimeType: 'text/plain' })).toBe(true);
+      expect(isBinaryPayload({ id: 'filesystem-v2:abc' })).toBe(false);
+      expect(isBinaryPayload(null)).toBe(false);
+    });
+  });
+
+  describe('materializeBinaryInputs', () => {
+    it('writes binary entries to files and replaces them with references', async () => {
+      const items = [
+        { json: { id: 1 }, binary: { photo: { data: Buffer.from('png!').toString('base64'), mimeType: 'image/png', fileName: 'cat.png' } } },
+        { json: { id: 2 } },
+      ];
+
+      const result = await materializeBinaryInputs(items, tmpDir);
+
+      expect(result[0].binary.photo).toEqual({
+        fileName: 'cat.png',
+        mimeType: 'image/png',
+        fileSize: 4,
+        filePath: 'input/0/photo/cat.png',
+      });
+      expect(result[1]).toBe(items[1]);
+      expect(await fs.readFile(path.join(tmpDir, 'input/0/photo/cat.png'), 'utf8')).toBe('png!');
+      expect(items[0].binary.photo.data).toBeDefined();
+    });
+
+    it('keeps file names inside the input directory and derives missing metadata', async () => {
+      const items = [{ binary: { data: { data: Buffer.from('x').toString('base64'), fileName: '../../escape.csv' } } }];
+
+      const [item] = await materializeBinaryInputs(items, tmpDir);
+
+      expect(item.binary.data).toMatchObject({
+        fileName: 'escape.csv',
+        mimeType: 'text/csv',
+        filePath: 'input/0/data/escape.csv',
+      });
+    });
+
+    it('leaves entries without inline data and non-array input untouched', async () => {
+      const entry = { id: 'filesystem-v2:abc', mimeType: 'image/png' };
+      const [item] = await materializeBinaryInputs([{ binary: { photo: entry } }], tmpDir);
+
+      expect(item.binary.photo).toBe(entry);
+      expect(await materializeBinaryInputs({ a: 1 }, tmpDir)).toEqual({ a: 1 });
+    });
+  });
+
+  describe('inlineBinaryReferences', () => {
+    it('restores the data of returned input references', async () => {
+      const [item] = await materializeBinaryInputs(
+        [{ binary: { photo: { data: Buffer.from('png!').toString('base64'), fileName: 'cat.png' } } }],
+        tmpDir
+      );
+
+      const [restored] = await inlineBinaryReferences([item], tmpDir);
+
+      expect(restored.binary.photo).toEqual({
+        fileName: 'cat.png',
+        mimeType: 'image/png',
+        fileSize: 4,
+        data: Buffer.from('png!').toString('base64'),
+      });
+    });
+
+    it('ignores paths outside the input directory', async () => {
+      await fs.writeFile(path.join(tmpDir, 'secret.txt'), 'secret');
+      const entry = { filePath: 'input/../secret.txt' };
+
+      const restored = await inlineBinaryReferences({ binary: { file: entry } }, tmpDir);
+
+      expect(restored.binary.file).toBe(entry);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  isValidFilePath,
+  isSourceFile,
+  validateBundle,
+  getEmittedPath,
+  resolveBundleImport,
+  createImportRewriter,
+} = require('../../../src/utils/bundleUtils');
+
+describe('bundleUtils', () => {
+  describe('isValidFilePath', () => {
+    it('accepts relative paths inside the execution directory', () => {
+      expect(isValidFilePath('index.js')).toBe(true);
+      expect(isValidFilePath('lib/parse.js')).toBe(true);
+      expect(isValidFilePath('.env.json')).toBe(true);
+    });
+
+    it('rejects paths that are absolute, not normalized or leave the directory', () => {
+      for (const filePath of ['', '/etc/passwd', '../up.js', 'lib/../../up.js', './index.js', 'lib//a.js', 'lib/', 'lib\\a.js', '.']) {
+        expect(isValidFilePath(filePath)).toBe(false);
+      }
+      expect(isValidFilePath(undefined)).toBe(false);
+    });
+  });
+
+  describe('isSourceFile', () => {
+    it('recognizes JavaScript and TypeScript files', () => {
+      expect(isSourceFile('index.js')).toBe(true);
+      expect(isSourceFile('lib/a.mts')).toBe(true);
+      expect(isSourceFile('config.json')).toBe(false);
+      expect(isSourceFile('README')).toBe(false);
+    });
+  });
+
+  describe('validateBundle', () => {
+    const files = {
+      'index.js': "module.exports = () => require('./lib/parse')('1')",
+      'lib/parse.js': 'module.exports = Number',
+      'config.json': '{}',
+    };
+
+    it('accepts a valid bundle', () => {
+      expect(validateBundle(files, 'index.js')).toBeNull();
+      expect(validateBundle({ 'src/execution.js': 'module.exports = () => 1' }, 'src/execution.js')).toBeNull();
+    });
+
+    it('rejects files that are not an object of contents', () => {
+      const message = 'Invalid files (expected an object of file paths to contents)';
+      expect(validateBundle({}, 'index.js')).toBe(message);
+      expect(validateBundle(['index.js'], 'index.js')).toBe(message);
+      expect(validateBundle('code', 'index.js')).toBe(message);
+      expect(validateBundle({ 'index.js': 1 }, 'index.js')).toBe('Invalid content of index.js (expected a string)');
+    });
+
+    it('requires an entry among the source files', () => {
+      expect(validateBundle(files)).toBe('Entry is required with files');
+      expect(validateBundle(files, 'main.js')).toBe('Entry main.js is not one of the files');
+      expect(validateBundle(files, 'config.json')).toBe('Entry config.json is not a JavaScript or TypeScript file');
+    });
+
+    it('rejects unsafe and reserved paths', () => {
+      expect(validateBundle({ ...files, '../x.js': '' }, 'index.js')).toBe('Invalid file path: ../x.js');
+      expect(validateBundle({ ...files, 'package.json': '{}' }, 'index.js')).toBe('Reserved file path: package.json');
+      expect(validateBundle({ ...files, 'node_modules/x/index.js': '' }, 'index.js')).toBe(
+        'Reserved file path: node_modules/x/index.js'
+      );
+      expect(validateBundle({ ...files, 'execution.mjs': '' }, 'index.js')).toBe('Reserved file path: execution.mjs');
+      expect(validateBundle({ ...files, 'lib/execution.js': '' }, 'index.js')).toBeNull();
+    });
+  });
+
+  describe('getEmittedPath', () => {
+    it('names TypeScript files after the module type they are transpiled to', () => {
+      expect(getEmittedPath('lib/parse.ts', 'cjs')).toBe('lib/parse.js');
+      expect(getEmittedPath('lib/parse.ts', 'esm')).toBe('lib/parse.mjs');
+      expect(getEmittedPath('lib/parse.cts', 'esm')).toBe('lib/parse.cjs');
+      expect(getEmittedPath('lib/parse.mts', 'cjs')).toBe('lib/parse.mjs');
+      expect(getEmittedPath('lib/types.d.ts', 'esm')).toBe('lib/types.d.ts');
+      expect(getEmittedPath('config.json', 'esm')).toBe('config.json');
+    });
+  });
+
+  describe('resolveBundleImport', () => {
+    const filePaths = new Set(['index.ts', 'lib/parse.ts', 'lib/index.ts', 'lib/util.js', 'config.json']);
+
+    it('resolves relative imports like TypeScript', () => {
+      expect(resolveBundleImport(filePaths, 'index.ts', './lib/parse')).toBe('lib/parse.ts');
+      expect(resolveBundleImport(filePaths, 'index.ts', './lib/parse.js')).toBe('lib/parse.ts');
+      expect(resolveBundleImport(filePaths, 'index.ts', './lib')).toBe('lib/index.ts');
+      expect(resolveBundleImport(filePaths, 'lib/parse.ts', './util')).toBe('lib/util.js');
+      expect(resolveBundleImport(filePaths, 'lib/parse.ts', '../config.json')).toBe('config.json');
+    });
+
+    it('leaves packages and missing files alone', () => {
+      expect(resolveBundleImport(filePaths, 'index.ts', 'lodash')).toBeNull();
+      expect(resolveBundleImport(filePaths, 'index.ts', './missing')).toBeNull();
+    });
+  });
+
+  describe('createImportRewriter', () => {
+    const files = { 'src/index.ts': '', 'src/lib/parse.ts': '', 'src/lib/format.mts': '', 'shared/util.js': '' };
+
+    it('points relative imports at the emitted files', () => {
+      const rewrite = createImportRewriter(files, 'src/index.ts', 'esm');
+      expect(rewrite('src/index.ts')('./lib/parse')).toBe('./lib/parse.mjs');
+      expect(rewrite('src/index.ts')('../shared/util')).toBe('../shared/util.js');
+      expect(rewrite('src/lib/parse.ts')('./format.mjs')).toBe('./format.mjs');
+      expect(createImportRewriter(files, 'src/index.ts', 'cjs')('src/index.ts')('./lib/parse')).toBe('./lib/parse.js');
+    });
+
+    it('keeps imports of the entry, packages and missing files', () => {
+      const rewrite = createImportRewriter(files, 'src/index.ts', 'esm')('src/lib/parse.ts');
+      expect(rewrite('../index')).toBe('../index');
+      expect(rewrite('lodash')).toBe('lodash');
+      expect(rewrite('./missing')).toBe('./missing');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  isValidDeterministic,
+  resolveDeterministicOptions,
+  outputsMatch,
+} = require('../../../src/utils/deterministicUtils');
+
+describe('deterministicUtils', () => {
+  describe('isValidDeterministic', () => {
+    it('accepts booleans, a missing value and { seed, time }', () => {
+      expect(isValidDeterministic(undefined)).toBe(true);
+      expect(isValidDeterministic(true)).toBe(true);
+      expect(isValidDeterministic(false)).toBe(true);
+      expect(isValidDeterministic({ seed: 42 })).toBe(true);
+      expect(isValidDeterministic({ seed: 0, time: '2025-03-10T14:30:45.123Z' })).toBe(true);
+      expect(isValidDeterministic({ time: 1741617045123 })).toBe(true);
+    });
+
+    it('rejects other values', () => {
+      expect(isValidDeterministic('yes')).toBe(false);
+      expect(isValidDeterministic(null)).toBe(false);
+      expect(isValidDeterministic([])).toBe(false);
+      expect(isValidDeterministic({ seed: -1 })).toBe(false);
+      expect(isValidDeterministic({ seed: 1.5 })).toBe(false);
+      expect(isValidDeterministic({ seed: 2 ** 32 })).toBe(false);
+      expect(isValidDeterministic({ time: 'tomorrow' })).toBe(false);
+      expect(isValidDeterministic({ time: 1e20 })).toBe(false);
+      expect(isValidDeterministic({ time: Infinity })).toBe(false);
+      expect(isValidDeterministic({ time: '+275760-09-13T00:00:00.001Z' })).toBe(false);
+    });
+  });
+
+  describe('resolveDeterministicOptions', () => {
+    it('leaves options without deterministic mode unchanged', () => {
+      const options = { timeout: 1000 };
+      expect(resolveDeterministicOptions(options)).toBe(options);
+      expect(resolveDeterministicOptions({ deterministic: false }).deterministic).toBe(false);
+      expect(resolveDeterministicOptions(undefined)).toEqual({});
+    });
+
+    it('picks a seed and the current time', () => {
+      vi.useFakeTimers({ now: new Date('2025-03-10T14:30:45.123Z') });
+      try {
+        const { deterministic, timeout } = resolveDeterministicOptions({ deterministic: true, timeout: 1000 });
+        expect(timeout).toBe(1000);
+        expect(deterministic.time).toBe('2025-03-10T14:30:45.123Z');
+        expect(Number.isInteger(deterministic.seed)).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('keeps the given seed and normalizes the time', () => {
+      expect(resolveDeterministicOptions({ deterministic: { seed: 42, time: 0 } }).deterministic).toEqual({
+        seed: 42,
+        time: '1970-01-01T00:00:00.000Z',
+      });
+    });
+  });
+
+  describe('outputsMatch', () => {
+    it('compares the result of successful jobs', () => {
+      const job = { status: 'success', result_data: JSON.stringify({ a: [1, 2], b: 'x' }) };
+
+      expect(outputsMatch(job, { success: true, data: { b: 'x', a: [1, 2] } })).toBe(true);
+      expect(outputsMatch(job, { success: true, data: { a: [1, 3], b: 'x' } })).toBe(false);
+      expect(outputsMatch(job, { success: false, error: 'boom' })).toBe(false);
+    });
+
+    it('treats missing results as equal', () => {
+      expect(outputsMatch({ status: 'success', result_data: null }, { success: true, data: undefined })).toBe(true);
+    });
+
+    it('compares the error message of failed jobs', () => {
+      const job = { status: 'error', error_message: 'boom' };
+
+      expect(outputsMatch(job, { success: false, error: 'boom' })).toBe(true);
+      expect(outputsMatch(job, { success: false, error: 'other' })).toBe(false);
+      expect(outputsMatch(job, { success: true, data: 1 })).toBe(false);
+    });
+  });
+});
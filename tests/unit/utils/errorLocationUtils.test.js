@@ -0,0 +1,90 @@
+const {
+  parseErrorPosition,
+  findSyntaxErrorPosition,
+  createCodeFrame,
+} = require('../../../src/utils/errorLocationUtils');
+
+describe('errorLocationUtils', () => {
+  describe('parseErrorPosition', () => {
+    it('returns the first frame of the execution file', () => {
+      const stack = [
+        "TypeError: Cannot read properties of undefined (reading 'x')",
+        '    at helper (/app/node_modules/lib/execution.js:9:9)',
+        '    at module.exports (/tmp/exec-1/execution.js:3:15)',
+        '    at runUserCode (/app/src/runtime/runner.js:220:22)',
+      ].join('\n');
+
+      expect(parseErrorPosition(stack)).toEqual({ file: 'execution.js', line: 3, column: 15 });
+    });
+
+    it('reads ES module URLs and TypeScript diagnostics', () => {
+      expect(parseErrorPosition('Error\n    at default (file:///tmp/exec-1/execution.mjs:2:3)')).toEqual({
+        file: 'execution.mjs',
+        line: 2,
+        column: 3,
+      });
+      expect(parseErrorPosition("TypeScript compilation failed: ')' expected. (execution.ts:4:20)")).toEqual({
+        file: 'execution.ts',
+        line: 4,
+        column: 20,
+      });
+    });
+
+    it('takes the column of CommonJS syntax errors from the marker line', () => {
+      const stack = ['/tmp/exec-1/execution.js:2', '  const a = ;', '            ^', '', "SyntaxError: Unexpected token ';'"].join('\n');
+
+      expect(parseErrorPosition(stack)).toEqual({ file: 'execution.js', line: 2, column: 13 });
+    });
+
+    it('returns null without a position in the execution file', () => {
+      expect(parseErrorPosition('Error: boom\n    at /app/src/services/dependencyService.js:10:5')).toBeNull();
+      expect(parseErrorPosition(undefined)).toBeNull();
+    });
+  });
+
+  describe('findSyntaxErrorPosition', () => {
+    it('locates the syntax error of an ES module', () => {
+      const code = ['import fs from "fs";', 'export default () => {', '  return fs +;', '};'].join('\n');
+
+      expect(findSyntaxErrorPosition(code)).toEqual({ line: 3, column: 14 });
+    });
+
+    it('returns null for valid code', () => {
+      expect(findSyntaxErrorPosition('export default () => 1;')).toBeNull();
+    });
+  });
+
+  describe('createCodeFrame', () => {
+    const code = ['function a() {', '  const b = 1;', '  return b.c.d;', '}', '', 'module.exports = a;'].join('\n');
+
+    it('shows the surrounding lines with a marker under the column', () => {
+      expect(createCodeFrame(code, 3, 14)).toBe(
+        [
+          '  1 | function a() {',
+          '  2 |   const b = 1;',
+          '> 3 |   return b.c.d;',
+          '    |              ^',
+          '  4 | }',
+          '  5 |',
+        ].join('\n')
+      );
+    });
+
+    it('pads line numbers and clamps the context to the code', () => {
+      const longCode = Array.from({ length: 12 }, (_, index) => `line${index + 1}`).join('\n');
+
+      expect(createCodeFrame(longCode, 11, 1, 1)).toBe(
+        ['  10 | line10', '> 11 | line11', '     | ^', '  12 | line12'].join('\n')
+      );
+    });
+
+    it('keeps tabs in the marker indentation', () => {
+      expect(createCodeFrame('\tfoo();', 1, 2)).toBe('> 1 | \tfoo();\n    | \t^');
+    });
+
+    it('returns null when the line is not in the code', () => {
+      expect(createCodeFrame(code, 7, 1)).toBeNull();
+      expect(createCodeFrame(code, 0, 1)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { validateExecutionRequest, toJobCompletion } = require('../../../src/utils/executionRequestUtils');
+
+describe('executionRequestUtils', () => {
+  describe('validateExecutionRequest', () => {
+    it('accepts code or a bundle with a cache key', () => {
+      expect(validateExecutionRequest({ code: 'module.exports = () => 1', cacheKey: 'k' })).toBeNull();
+      expect(
+        validateExecutionRequest({
+          files: { 'index.js': 'module.exports = () => 1' },
+          entry: 'index.js',
+          cacheKey: 'k',
+          options: null,
+        })
+      ).toBeNull();
+    });
+
+    it('rejects missing code, code with files and a missing cache key', () => {
+      expect(validateExecutionRequest({ cacheKey: 'k' })).toEqual({ status: 400, error: 'Code is required' });
+      expect(
+        validateExecutionRequest({ code: 'x', files: { 'index.js': 'x' }, entry: 'index.js', cacheKey: 'k' })
+      ).toEqual({ status: 400, error: 'Provide either code or files, not both' });
+      expect(validateExecutionRequest({ code: 'x' })).toMatchObject({
+        status: 400,
+        error: expect.stringMatching(/^Cache key is required/),
+      });
+    });
+
+    it('rejects unsupported options', () => {
+      const invalid = (options) => validateExecutionRequest({ code: 'x', cacheKey: 'k', options });
+
+      expect(invalid({ moduleType: 'amd' }).error).toMatch(/^Invalid moduleType/);
+      expect(invalid({ language: 'python' }).error).toMatch(/^Invalid language/);
+      expect(invalid({ mode: 'once' }).error).toMatch(/^Invalid mode/);
+      expect(invalid({ concurrency: 0 }).error).toMatch(/^Invalid concurrency/);
+      expect(invalid({ retry: { attempts: 0 } }).error).toMatch(/^Invalid retry/);
+      expect(invalid({ serialization: 'yaml' }).error).toMatch(/^Invalid serialization/);
+      expect(invalid({ deterministic: 'yes' }).error).toMatch(/^Invalid deterministic/);
+    });
+  });
+
+  describe('toJobCompletion', () => {
+    const debug = {
+      execution: { totalResponseTimeMs: '12.50', dependencyInstallTimeMs: '3.00', installedDependencies: { lodash: '4.17.21' } },
+      cache: { usedCache: true },
+    };
+
+    it('maps a successful result', () => {
+      expect(toJobCompletion({ success: true, data: [1], binary: { 'a.txt': {} }, console: [], debug })).toEqual({
+        status: 'success',
+        resultData: [1],
+        outputFiles: { 'a.txt': {} },
+        consoleOutput: [],
+        executionTimeMs: 12.5,
+        depInstallTimeMs: 3,
+        usedCache: true,
+        dependencies: { lodash: '4.17.21' },
+      });
+    });
+
+    it('maps failed and cancelled results', () => {
+      const failed = {
+        success: false,
+        error: 'boom',
+        errorType: 'user_error',
+        stack: 'Error: boom',
+        errorLocation: { line: 1 },
+        console: [],
+      };
+
+      expect(toJobCompletion(failed)).toEqual({
+        status: 'error',
+        consoleOutput: [],
+        errorMessage: 'boom',
+        errorType: 'user_error',
+        errorStack: 'Error: boom',
+        errorLocation: { line: 1 },
+        executionTimeMs: null,
+        depInstallTimeMs: null,
+        usedCache: false,
+      });
+      expect(toJobCompletion({ ...failed, cancelled: true }).status).toBe('cancelled');
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const { getMimeType } = require('../../../src/utils/mimeUtils');
+
+describe('mimeUtils', () => {
+  describe('getMimeType', () => {
+    it('maps known extensions', () => {
+      expect(getMimeType('report.pdf')).toBe('application/pdf');
+      expect(getMimeType('charts/chart.png')).toBe('image/png');
+      expect(getMimeType('data.csv')).toBe('text/csv');
+    });
+
+    it('ignores the extension case', () => {
+      expect(getMimeType('PHOTO.JPG')).toBe('image/jpeg');
+    });
+
+    it('falls back to application/octet-stream', () => {
+      expect(getMimeType('archive.unknown')).toBe('application/octet-stream');
+      expect(getMimeType('README')).toBe('application/octet-stream');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  detectModuleType,
+  resolveModuleType,
+  isValidModuleType,
+} = require('../../../src/utils/moduleUtils');
+
+describe('moduleUtils', () => {
+  describe('detectModuleType', () => {
+    it('detects CommonJS code', () => {
+      expect(detectModuleType('module.exports = function(items) { return items; }')).toBe('cjs');
+    });
+
+    it('detects export default', () => {
+      expect(detectModuleType('export default async (items) => items;')).toBe('esm');
+    });
+
+    it('detects static imports', () => {
+      expect(detectModuleType("import _ from 'lodash';\nexport default () => _;")).toBe('esm');
+      expect(detectModuleType("import { get } from 'lodash';")).toBe('esm');
+      expect(detectModuleType("import 'dotenv/config';")).toBe('esm');
+    });
+
+    it('ignores dynamic imports and commented-out statements', () => {
+      expect(detectModuleType("const m = await import('x');")).toBe('cjs');
+      expect(detectModuleType("// import x from 'y'\nmodule.exports = () => 1;")).toBe('cjs');
+    });
+  });
+
+  describe('resolveModuleType', () => {
+    it('auto-detects when no type is requested', () => {
+      expect(resolveModuleType('export default () => 1')).toBe('esm');
+      expect(resolveModuleType('module.exports = () => 1', 'auto')).toBe('cjs');
+    });
+
+    it('uses an explicit type as is', () => {
+      expect(resolveModuleType('export default () => 1', 'cjs')).toBe('cjs');
+      expect(resolveModuleType('module.exports = () => 1', 'esm')).toBe('esm');
+    });
+  });
+
+  describe('isValidModuleType', () => {
+    it('accepts supported values and undefined', () => {
+      expect(isValidModuleType(undefined)).toBe(true);
+      expect(isValidModuleType('esm')).toBe(true);
+      expect(isValidModuleType('commonjs')).toBe(false);
+    });
+  });
+});
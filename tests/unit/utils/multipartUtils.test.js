@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { Readable } = require('stream');
+const { isMultipartRequest, parseMultipartExecution } = require('../../../src/utils/multipartUtils');
+
+const BOUNDARY = 'test-boundary';
+
+/**
+ * Build a request stream with a multipart/form-data body
+ */
+function createRequest(parts) {
+  const body = parts
+    .map(({ name, value, fileName, contentType }) => {
+      const disposition = `form-data; name="${name}"${fileName ? `; filename="${fileName}"` : ''}`;
+      const headers = [`Content-Disposition: ${disposition}`];
+      if (contentType) headers.push(`Content-Type: ${contentType}`);
+      return `--${BOUNDARY}\r\n${headers.join('\r\n')}\r\n\r\n${value}\r\n`;
+    })
+    .join('') + `--${BOUNDARY}--\r\n`;
+
+  const req = Readable.from([Buffer.from(body)]);
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+  return req;
+}
+
+describe('multipartUtils', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'multipart-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('isMultipartRequest', () => {
+    it('detects multipart/form-data bodies', () => {
+      expect(isMultipartRequest({ headers: { 'content-type': 'multipart/form-data; boundary=x' } })).toBe(true);
+      expect(isMultipartRequest({ headers: { 'content-type': 'application/json' } })).toBe(false);
+      expect(isMultipartRequest({ headers: {} })).toBe(false);
+    });
+  });
+
+  describe('parseMultipartExecution', () => {
+    it('reads the fields and writes files to the input directory as binary references', async () => {
+      const req = createRequest([
+        { name: 'code', value: 'module.exports = (items) => items' },
+        { name: 'cacheKey', value: 'k' },
+        { name: 'items', value: JSON.stringify([{ json: { id: 1 } }, { json: { id: 2 } }]) },
+        { name: 'options', value: JSON.stringify({ timeout: 1000 }) },
+        { name: 'video', value: 'first', fileName: 'clip.mp4', contentType: 'video/mp4' },
+        { name: '1.doc', value: 'second', fileName: 'notes.txt' },
+      ]);
+
+      const { body } = await parseMultipartExecution(req, tmpDir);
+
+      expect(body).toEqual({
+        code: 'module.exports = (items) => items',
+        cacheKey: 'k',
+        options: { timeout: 1000 },
+        items: [
+          { json: { id: 1 }, binary: { video: { fileName: 'clip.mp4', mimeType: 'video/mp4', fileSize: 5, filePath: 'input/0/video/clip.mp4' } } },
+          { json: { id: 2 }, binary: { doc: { fileName: 'notes.txt', mimeType: 'text/plain', fileSize: 6, filePath: 'input/1/doc/notes.txt' } } },
+        ],
+      });
+      expect(await fs.readFile(path.join(tmpDir, 'input/0/video/clip.mp4'), 'utf8')).toBe('first');
+      expect(await fs.readFile(path.join(tmpDir, 'input/1/doc/notes.txt'), 'utf8')).toBe('second');
+    });
+
+    it('creates items for files when none are sent', async () => {
+      const req = createRequest([
+        { name: 'code', value: 'x' },
+        { name: 'data', value: 'abc', fileName: 'a.csv' },
+      ]);
+
+      const { body } = await parseMultipartExecution(req, tmpDir);
+
+      expect(body.items).toEqual([
+        { binary: { data: { fileName: 'a.csv', mimeType: 'text/csv', fileSize: 3, filePath: 'input/0/data/a.csv' } } },
+      ]);
+      expect(body.options).toEqual({});
+    });
+
+    it('rejects with 400 when a JSON field is invalid', async () => {
+      const req = createRequest([{ name: 'items', value: '[not json' }]);
+
+      await expect(parseMultipartExecution(req, tmpDir)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invalid JSON in the items field',
+      });
+    });
+
+    it('rejects with 413 when a file exceeds the size limit', async () => {
+      const req = createRequest([{ name: 'data', value: 'x'.repeat(20), fileName: 'big.bin' }]);
+
+      await expect(parseMultipartExecution(req, tmpDir, { maxFileSize: 10 })).rejects.toMatchObject({
+        statusCode: 413,
+        message: 'File big.bin exceeds the upload size limit of 10 bytes',
+      });
+    });
+
+    it('writes an items file to the input directory as NDJSON items', async () => {
+      const req = createRequest([
+        { name: 'code', value: 'module.exports = async function* (items) {}' },
+        { name: 'cacheKey', value: 'k' },
+        { name: 'items', value: '{"id":1}\n{"id":2}\n', fileName: 'rows.ndjson', contentType: 'application/x-ndjson' },
+      ]);
+
+      const { body, itemsFile } = await parseMultipartExecution(req, tmpDir);
+
+      expect(body).toEqual({
+        code: 'module.exports = async function* (items) {}',
+        cacheKey: 'k',
+        options: {},
+      });
+      expect(itemsFile).toBe(path.join(tmpDir, 'input/items.ndjson'));
+      expect(await fs.readFile(itemsFile, 'utf8')).toBe('{"id":1}\n{"id":2}\n');
+    });
+
+    it('rejects an items file combined with other items or files', async () => {
+      const req = createRequest([
+        { name: 'items', value: '{"id":1}\n', fileName: 'rows.ndjson' },
+        { name: 'data', value: 'x', fileName: 'x.bin' },
+      ]);
+
+      await expect(parseMultipartExecution(req, tmpDir)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Items sent as an NDJSON file cannot be combined with an items field or other files',
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isNdjsonRequest, readNdjsonHeader, createLineCounter } = require('../../../src/utils/ndjsonUtils');
+
+/**
+ * Read what is left of a stream as a string
+ */
+async function readRest(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+describe('ndjsonUtils', () => {
+  describe('isNdjsonRequest', () => {
+    it('detects NDJSON bodies', () => {
+      expect(isNdjsonRequest({ headers: { 'content-type': 'application/x-ndjson' } })).toBe(true);
+      expect(isNdjsonRequest({ headers: { 'content-type': 'application/x-ndjson; charset=utf-8' } })).toBe(true);
+      expect(isNdjsonRequest({ headers: { 'content-type': 'application/json' } })).toBe(false);
+      expect(isNdjsonRequest({})).toBe(false);
+    });
+  });
+
+  describe('readNdjsonHeader', () => {
+    it('parses the first line and leaves the items unread', async () => {
+      const stream = new PassThrough();
+      stream.write('{"code":"module.exports = ');
+      stream.write('() => 1","cacheKey":"k"}\n{"id":1}\n');
+      stream.end('{"id":2}\n');
+
+      const header = await readNdjsonHeader(stream);
+
+      expect(header).toEqual({ code: 'module.exports = () => 1', cacheKey: 'k' });
+      expect(await readRest(stream)).toBe('{"id":1}\n{"id":2}\n');
+    });
+
+    it('accepts a body holding only the request object', async () => {
+      expect(await readNdjsonHeader(Readable.from([Buffer.from('{"cacheKey":"k"}')]))).toEqual({ cacheKey: 'k' });
+    });
+
+    it('rejects with 400 when the first line is not a request object', async () => {
+      await expect(readNdjsonHeader(Readable.from([Buffer.from('[1]\n')]))).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'The first line of the NDJSON body must be the request object',
+      });
+      await expect(readNdjsonHeader(Readable.from([Buffer.from('{oops\n')]))).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invalid JSON in the first line of the NDJSON body',
+      });
+      await expect(readNdjsonHeader(Readable.from([]))).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'The NDJSON body is empty',
+      });
+    });
+
+    it('rejects with 413 when the first line is too long', async () => {
+      await expect(readNdjsonHeader(Readable.from([Buffer.from('{"code":"')]), 4)).rejects.toMatchObject({
+        statusCode: 413,
+      });
+    });
+  });
+
+  describe('createLineCounter', () => {
+    it('counts non-empty lines and keeps a sample while passing the data through', async () => {
+      const counter = createLineCounter(2);
+      let output = '';
+
+      await pipeline(
+        Readable.from([Buffer.from('{"id":1}\n{"id"'), Buffer.from(':2}\n\n  \n{"id":3}\n{"id":4}')]),
+        counter.stream,
+        async (source) => {
+          for await (const chunk of source) output += chunk;
+        }
+      );
+
+      expect(output).toBe('{"id":1}\n{"id":2}\n\n  \n{"id":3}\n{"id":4}');
+      expect(counter.stats()).toEqual({ count: 4, sample: [{ id: 1 }, { id: 2 }] });
+    });
+
+    it('leaves invalid lines out of the sample', async () => {
+      const counter = createLineCounter(5);
+      counter.stream.resume();
+
+      await pipeline(Readable.from([Buffer.from('nope\n{"id":1}\n')]), counter.stream);
+
+      expect(counter.stats()).toEqual({ count: 2, sample: [{ id: 1 }] });
+    });
+  });
+});
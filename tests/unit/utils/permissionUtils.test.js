@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  resolveSandboxPolicy,
+  buildPermissionArgs,
+  buildPermissionEnv,
+  loadSandboxPolicies,
+} = require('../../../src/utils/permissionUtils');
+
+describe('permissionUtils', () => {
+  describe('resolveSandboxPolicy', () => {
+    it('returns a disabled policy by default', () => {
+      expect(resolveSandboxPolicy({}, 'key')).toEqual({
+        enabled: false,
+        allowChildProcess: false,
+        allowWorker: false,
+        allowRead: [],
+        allowWrite: [],
+      });
+    });
+
+    it('applies the cache key override on top of the global policy', () => {
+      const config = {
+        defaults: { enabled: true, allowRead: ['/shared'] },
+        cacheKeys: { puppeteer: { allowChildProcess: true, allowRead: ['/usr/bin/chromium'] } },
+      };
+
+      expect(resolveSandboxPolicy(config, 'puppeteer')).toMatchObject({
+        enabled: true,
+        allowChildProcess: true,
+        allowRead: ['/shared', '/usr/bin/chromium'],
+      });
+      expect(resolveSandboxPolicy(config, 'other')).toMatchObject({
+        enabled: true,
+        allowChildProcess: false,
+        allowRead: ['/shared'],
+      });
+    });
+  });
+
+  describe('buildPermissionArgs', () => {
+    it('enables the permission model with deduplicated path grants', () => {
+      const args = buildPermissionArgs({
+        readPaths: ['/exec', '/exec', '/cache/node_modules'],
+        writePaths: ['/exec'],
+      });
+
+      expect(args[0]).toMatch(/^--(experimental-)?permission$/);
+      expect(args).toContain('--allow-fs-read=/exec');
+      expect(args).toContain('--allow-fs-read=/cache/node_modules');
+      expect(args.filter((a) => a === '--allow-fs-read=/exec')).toHaveLength(1);
+      expect(args).toContain('--allow-fs-write=/exec');
+      expect(args).not.toContain('--allow-child-process');
+      expect(args).not.toContain('--allow-worker');
+    });
+
+    it('grants child process and worker creation when allowed', () => {
+      const args = buildPermissionArgs({ allowChildProcess: true, allowWorker: true });
+      expect(args).toContain('--allow-child-process');
+      expect(args).toContain('--allow-worker');
+    });
+  });
+
+  describe('buildPermissionEnv', () => {
+    it('silences the security warning only when child processes or workers are allowed', () => {
+      expect(buildPermissionEnv({})).toEqual({});
+      expect(buildPermissionEnv({ allowChildProcess: true })).toEqual(
+        process.allowedNodeEnvironmentFlags.has('--disable-warning')
+          ? { NODE_OPTIONS: '--disable-warning=SecurityWarning' }
+          : {}
+      );
+    });
+  });
+
+  describe('loadSandboxPolicies', () => {
+    it('returns an empty object when no file is configured', () => {
+      expect(loadSandboxPolicies('')).toEqual({});
+    });
+
+    it('reads policies from a JSON file', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+      const file = path.join(tmpDir, 'policies.json');
+      fs.writeFileSync(file, JSON.stringify({ key: { allowChildProcess: true } }));
+
+      expect(loadSandboxPolicies(file)).toEqual({ key: { allowChildProcess: true } });
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('returns an empty object when the file cannot be read', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(loadSandboxPolicies('/nonexistent/policies.json')).toEqual({});
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const {
+  readProcessUsage,
+  monitorProcessLimits,
+  isOutOfMemoryError,
+} = require('../../../src/utils/processUtils');
+
+const hasProcFs = fs.existsSync('/proc/self/stat');
+
+describe('processUtils', () => {
+  describe('readProcessUsage', () => {
+    it.skipIf(!hasProcFs)('reads RSS and CPU time of a running process', () => {
+      const usage = readProcessUsage(process.pid);
+      expect(usage.rssBytes).toBeGreaterThan(0);
+      expect(usage.cpuTimeMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('returns null for a process that does not exist', () => {
+      expect(readProcessUsage(2 ** 30)).toBeNull();
+    });
+  });
+
+  describe('monitorProcessLimits', () => {
+    it('does nothing when no limits are set', () => {
+      const onExceeded = vi.fn();
+      const stop = monitorProcessLimits(process.pid, {}, onExceeded);
+      stop();
+      expect(onExceeded).not.toHaveBeenCalled();
+    });
+
+    it.skipIf(!hasProcFs)('reports a process exceeding its CPU time budget', async () => {
+      const child = spawn('node', ['-e', 'while (true) {}']);
+      try {
+        const limit = await new Promise((resolve) => {
+          monitorProcessLimits(child.pid, { cpuTimeMs: 200, intervalMs: 50 }, resolve);
+        });
+        expect(limit).toBe('cpu');
+      } finally {
+        child.kill('SIGKILL');
+      }
+    });
+
+    it.skipIf(!hasProcFs)('reports a process exceeding its memory budget', async () => {
+      const child = spawn('node', ['-e', 'setInterval(() => {}, 1000)']);
+      try {
+        const limit = await new Promise((resolve) => {
+          monitorProcessLimits(child.pid, { memoryLimitMb: 1, intervalMs: 50 }, resolve);
+        });
+        expect(limit).toBe('memory');
+      } finally {
+        child.kill('SIGKILL');
+      }
+    });
+  });
+
+  describe('isOutOfMemoryError', () => {
+    it('detects V8 heap exhaustion messages', () => {
+      expect(isOutOfMemoryError('FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory')).toBe(true);
+    });
+
+    it('ignores other errors', () => {
+      expect(isOutOfMemoryError('TypeError: x is not a function')).toBe(false);
+      expect(isOutOfMemoryError(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { MAX_RETRY_DELAY_MS, isValidRetry, shouldRetry, retryDelay } = require('../../../src/utils/retryUtils');
+
+describe('retryUtils', () => {
+  describe('isValidRetry', () => {
+    it('accepts a missing option and valid policies', () => {
+      expect(isValidRetry(undefined)).toBe(true);
+      expect(isValidRetry({ attempts: 1 })).toBe(true);
+      expect(isValidRetry({ attempts: 3, backoffMs: 0, retryOn: ['timeout', 'user_error'] })).toBe(true);
+      expect(isValidRetry({ attempts: 10, backoffMs: 500 })).toBe(true);
+    });
+
+    it('rejects invalid attempts, backoff and error types', () => {
+      expect(isValidRetry(null)).toBe(false);
+      expect(isValidRetry(3)).toBe(false);
+      expect(isValidRetry({})).toBe(false);
+      expect(isValidRetry({ attempts: 0 })).toBe(false);
+      expect(isValidRetry({ attempts: 11 })).toBe(false);
+      expect(isValidRetry({ attempts: 2, backoffMs: -1 })).toBe(false);
+      expect(isValidRetry({ attempts: 2, backoffMs: 1.5 })).toBe(false);
+      expect(isValidRetry({ attempts: 2, backoffMs: 60001 })).toBe(false);
+      expect(isValidRetry({ attempts: 2, retryOn: [] })).toBe(false);
+      expect(isValidRetry({ attempts: 2, retryOn: ['output_limit_exceeded'] })).toBe(false);
+      expect(isValidRetry({ attempts: 2, retryOn: 'timeout' })).toBe(false);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    const timeout = { success: false, errorType: 'timeout' };
+
+    it('retries the listed error types while attempts are left', () => {
+      const retry = { attempts: 3, retryOn: ['timeout'] };
+      expect(shouldRetry(retry, timeout, 1)).toBe(true);
+      expect(shouldRetry(retry, timeout, 2)).toBe(true);
+      expect(shouldRetry(retry, timeout, 3)).toBe(false);
+      expect(shouldRetry(retry, { success: false, errorType: 'user_error' }, 1)).toBe(false);
+    });
+
+    it('retries every retryable error type by default', () => {
+      const retry = { attempts: 2 };
+      expect(shouldRetry(retry, { errorType: 'memory_exceeded' }, 1)).toBe(true);
+      expect(shouldRetry(retry, { errorType: 'dependency_install_failed' }, 1)).toBe(true);
+      expect(shouldRetry(retry, { error: 'Internal server error' }, 1)).toBe(false);
+    });
+
+    it('does not retry without a policy or after a cancellation', () => {
+      expect(shouldRetry(undefined, timeout, 1)).toBe(false);
+      expect(shouldRetry({ attempts: 3 }, { ...timeout, cancelled: true }, 1)).toBe(false);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('doubles the backoff after each failed attempt', () => {
+      const retry = { attempts: 4, backoffMs: 100 };
+      expect(retryDelay(retry, 1)).toBe(100);
+      expect(retryDelay(retry, 2)).toBe(200);
+      expect(retryDelay(retry, 3)).toBe(400);
+      expect(retryDelay({ attempts: 2 }, 1)).toBe(0);
+    });
+
+    it('caps the delay', () => {
+      expect(retryDelay({ attempts: 10, backoffMs: 60000 }, 9)).toBe(MAX_RETRY_DELAY_MS);
+    });
+  });
+});
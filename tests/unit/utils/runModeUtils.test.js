@@ -0,0 +1,30 @@
+const { isValidRunMode, isValidConcurrency } = require('../../../src/utils/runModeUtils');
+
+describe('runModeUtils', () => {
+  describe('isValidRunMode', () => {
+    it('accepts the supported modes and a missing mode', () => {
+      expect(isValidRunMode(undefined)).toBe(true);
+      expect(isValidRunMode('all')).toBe(true);
+      expect(isValidRunMode('eachItem')).toBe(true);
+    });
+
+    it('rejects other values', () => {
+      expect(isValidRunMode('each')).toBe(false);
+      expect(isValidRunMode(null)).toBe(false);
+    });
+  });
+
+  describe('isValidConcurrency', () => {
+    it('accepts positive integers and a missing value', () => {
+      expect(isValidConcurrency(undefined)).toBe(true);
+      expect(isValidConcurrency(1)).toBe(true);
+      expect(isValidConcurrency(8)).toBe(true);
+    });
+
+    it('rejects zero, fractions and non-numbers', () => {
+      expect(isValidConcurrency(0)).toBe(false);
+      expect(isValidConcurrency(1.5)).toBe(false);
+      expect(isValidConcurrency('2')).toBe(false);
+    });
+  });
+});
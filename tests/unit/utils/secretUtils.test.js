@@ -0,0 +1,90 @@
+const {
+  isValidSecretName,
+  buildExecutionEnv,
+  deriveSecretKey,
+  encryptSecret,
+  decryptSecret,
+  redactSecrets,
+} = require('../../../src/utils/secretUtils');
+
+describe('secretUtils', () => {
+  describe('isValidSecretName', () => {
+    it('accepts environment variable names', () => {
+      expect(isValidSecretName('API_KEY')).toBe(true);
+      expect(isValidSecretName('_token2')).toBe(true);
+    });
+
+    it('rejects other names', () => {
+      expect(isValidSecretName('2FA')).toBe(false);
+      expect(isValidSecretName('API-KEY')).toBe(false);
+      expect(isValidSecretName('')).toBe(false);
+      expect(isValidSecretName(undefined)).toBe(false);
+    });
+
+    it('rejects reserved names that change how node runs or hold server keys', () => {
+      for (const name of ['NODE_OPTIONS', 'NODE_PATH', 'node_tls_reject_unauthorized', 'PATH', 'LD_PRELOAD', 'SECRET_KEY', 'SECRETS_MASTER_KEY']) {
+        expect(isValidSecretName(name)).toBe(false);
+      }
+    });
+  });
+
+  describe('buildExecutionEnv', () => {
+    it('keeps only allowlisted server variables and adds the secrets', () => {
+      const baseEnv = { PATH: '/usr/bin', HOME: '/home/app', SECRET_KEY: 'api', SECRETS_MASTER_KEY: 'master', AWS_SECRET: 'x' };
+
+      expect(buildExecutionEnv({ API_TOKEN: 'tok' }, baseEnv)).toEqual({
+        PATH: '/usr/bin',
+        HOME: '/home/app',
+        API_TOKEN: 'tok',
+      });
+    });
+  });
+
+  describe('encryptSecret / decryptSecret', () => {
+    const key = deriveSecretKey('master-key');
+
+    it('round-trips a value with a random IV', () => {
+      const first = encryptSecret('sk-123', key);
+      const second = encryptSecret('sk-123', key);
+
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('sk-123');
+      expect(decryptSecret(first, key)).toBe('sk-123');
+    });
+
+    it('fails with another master key or a tampered value', () => {
+      const encrypted = encryptSecret('sk-123', key);
+      const [iv, tag, data] = encrypted.split(':');
+      const tampered = [iv, tag, Buffer.from('other').toString('base64')].join(':');
+
+      expect(() => decryptSecret(encrypted, deriveSecretKey('other-key'))).toThrow();
+      expect(() => decryptSecret(tampered, key)).toThrow();
+      expect(data).toBeTruthy();
+    });
+  });
+
+  describe('redactSecrets', () => {
+    it('replaces secret values in nested strings', () => {
+      const value = {
+        message: 'token=abc123 and abc123',
+        list: ['abc123', 1, null],
+        nested: { deep: 'x-abc123-y' },
+      };
+
+      expect(redactSecrets(value, ['abc123'])).toEqual({
+        message: 'token=[REDACTED] and [REDACTED]',
+        list: ['[REDACTED]', 1, null],
+        nested: { deep: 'x-[REDACTED]-y' },
+      });
+    });
+
+    it('replaces longer values first and ignores empty ones', () => {
+      expect(redactSecrets('abc abcdef', ['abc', 'abcdef', ''])).toBe('[REDACTED] [REDACTED]');
+    });
+
+    it('returns the value unchanged without secrets', () => {
+      const value = { a: 1 };
+      expect(redactSecrets(value, [])).toBe(value);
+    });
+  });
+});
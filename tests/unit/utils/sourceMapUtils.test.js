@@ -0,0 +1,42 @@
+const { decodeMappings, createPositionMapper } = require('../../../src/utils/sourceMapUtils');
+
+describe('sourceMapUtils', () => {
+  describe('decodeMappings', () => {
+    it('decodes segments into absolute positions per generated line', () => {
+      // Line 1: column 0 -> source 0 line 0 col 0, column 4 -> line 0 col 6
+      // Line 2: column 2 -> line 2 col 2
+      expect(decodeMappings('AAAA,IAAM;EAEJ')).toEqual([
+        [
+          [0, 0, 0, 0],
+          [4, 0, 0, 6],
+        ],
+        [[2, 0, 2, 2]],
+      ]);
+    });
+
+    it('returns an empty list for lines without mappings', () => {
+      expect(decodeMappings(';AAAA')).toEqual([[], [[0, 0, 0, 0]]]);
+    });
+  });
+
+  describe('createPositionMapper', () => {
+    const sourceMap = { version: 3, sources: ['execution.ts'], mappings: 'AAAA,IAAM;EAEJ' };
+
+    it('maps to the closest segment at or before the column', () => {
+      const map = createPositionMapper(sourceMap);
+      expect(map(1, 1)).toEqual({ line: 1, column: 1 });
+      expect(map(1, 8)).toEqual({ line: 1, column: 7 });
+      expect(map(2, 5)).toEqual({ line: 3, column: 3 });
+    });
+
+    it('accepts a JSON string', () => {
+      const map = createPositionMapper(JSON.stringify(sourceMap));
+      expect(map(2, 3)).toEqual({ line: 3, column: 3 });
+    });
+
+    it('returns null for unmapped lines', () => {
+      const map = createPositionMapper(sourceMap);
+      expect(map(5, 1)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+const { getStreamFormat, startEventStream, waitForDrain } = require('../../../src/utils/streamUtils');
+
+describe('streamUtils', () => {
+  describe('getStreamFormat', () => {
+    it('detects server-sent events and NDJSON from the Accept header', () => {
+      expect(getStreamFormat({ headers: { accept: 'text/event-stream' } })).toBe('sse');
+      expect(getStreamFormat({ headers: { accept: 'application/x-ndjson' } })).toBe('ndjson');
+    });
+
+    it('returns null for regular JSON requests', () => {
+      expect(getStreamFormat({ headers: { accept: 'application/json' } })).toBeNull();
+      expect(getStreamFormat({ headers: {} })).toBeNull();
+    });
+  });
+
+  describe('startEventStream', () => {
+    function createRes() {
+      return {
+        status: vi.fn(),
+        setHeader: vi.fn(),
+        flushHeaders: vi.fn(),
+        write: vi.fn(),
+        writableEnded: false,
+        destroyed: false,
+      };
+    }
+
+    it('sends headers and formats NDJSON events', () => {
+      const res = createRes();
+      const send = startEventStream(res, 'ndjson');
+
+      send('console', { message: 'hi' });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson');
+      expect(res.flushHeaders).toHaveBeenCalled();
+      expect(res.write).toHaveBeenCalledWith('{"event":"console","data":{"message":"hi"}}\n');
+    });
+
+    it('formats server-sent events', () => {
+      const res = createRes();
+      const send = startEventStream(res, 'sse');
+
+      send('result', { success: true });
+
+      expect(res.write).toHaveBeenCalledWith('event: result\ndata: {"success":true}\n\n');
+    });
+
+    it('stops writing once the response is closed', () => {
+      const res = createRes();
+      const send = startEventStream(res, 'sse');
+      res.destroyed = true;
+
+      send('console', {});
+
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitForDrain', () => {
+    it('resolves on drain or close and removes its listeners', async () => {
+      const res = new EventEmitter();
+
+      const drained = waitForDrain(res);
+      res.emit('drain');
+      await drained;
+      expect(res.listenerCount('close')).toBe(0);
+
+      const closed = waitForDrain(res);
+      res.emit('close');
+      await closed;
+      expect(res.listenerCount('drain')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { transpileTypeScript, isValidLanguage } = require('../../../src/utils/typescriptUtils');
+const { createPositionMapper } = require('../../../src/utils/sourceMapUtils');
+
+describe('typescriptUtils', () => {
+  describe('transpileTypeScript', () => {
+    it('strips type annotations and type-only imports', () => {
+      const { code } = transpileTypeScript(
+        "import type { Foo } from 'foo';\nexport default (items: Foo[]): number => items.length;\n"
+      );
+      expect(code).toContain('export default (items) => items.length;');
+      expect(code).not.toContain('foo');
+      expect(code).not.toContain('sourceMappingURL');
+    });
+
+    it('produces a source map pointing at the original lines', () => {
+      const { code, sourceMap } = transpileTypeScript(
+        'type Id = string;\n\nconst id: Id = "a";\nmodule.exports = () => id;\n'
+      );
+      const lines = code.split('\n');
+      const generatedLine = lines.findIndex((line) => line.includes('const id')) + 1;
+
+      expect(createPositionMapper(sourceMap)(generatedLine, 1)).toEqual({ line: 3, column: 1 });
+    });
+
+    it('compiles to CommonJS when requested', () => {
+      const { code } = transpileTypeScript('export default (items: number[]) => items;', {
+        moduleType: 'cjs',
+      });
+      expect(code).toContain('exports.default');
+    });
+
+    it('rewrites the modules of imports, exports, import() and require()', () => {
+      const rewriteImport = (specifier) => (specifier.startsWith('.') ? `${specifier}.mjs` : specifier);
+      const source = [
+        "import { parse } from './parse';",
+        "export { format } from './format';",
+        "import lodash from 'lodash';",
+        "const lazy = () => import('./lazy');",
+        "const config = require('./config');",
+        'export default () => [parse, lodash, lazy, config];',
+      ].join('\n');
+
+      const { code } = transpileTypeScript(source, { rewriteImport });
+      expect(code).toContain('from "./parse.mjs"');
+      expect(code).toContain('from "./format.mjs"');
+      expect(code).toContain("from 'lodash'");
+      expect(code).toContain('import("./lazy.mjs")');
+      expect(code).toContain('require("./config.mjs")');
+      expect(transpileTypeScript(source, { moduleType: 'cjs', rewriteImport }).code).toContain('require("./parse.mjs")');
+    });
+
+    it('throws with the location of syntax errors', () => {
+      expect(() => transpileTypeScript('const x: = 1;')).toThrow(
+        /TypeScript compilation failed: .*execution\.ts:1:10/
+      );
+    });
+  });
+
+  describe('isValidLanguage', () => {
+    it('accepts supported languages and undefined', () => {
+      expect(isValidLanguage(undefined)).toBe(true);
+      expect(isValidLanguage('typescript')).toBe(true);
+      expect(isValidLanguage('coffeescript')).toBe(false);
+    });
+  });
+});